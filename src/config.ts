@@ -22,17 +22,38 @@ interface Config {
     features: {
         enableWebsocket: boolean;
         enableFTS: boolean;
+        enableMcpHttp: boolean;
+    };
+    trash: {
+        // Days a deleted note stays in the trash before it is purged; 0 keeps it until purged by hand
+        retentionDays: number;
+    };
+    revisions: {
+        // Revisions kept per note, oldest dropped first; 0 keeps every revision
+        maxPerNote: number;
+    };
+    attachments: {
+        // Largest attachment accepted, in bytes
+        maxFileSize: number;
+        // Combined size of all stored attachments, in bytes
+        maxTotalSize: number;
     };
 }
 
 type PartialDbConfig = Partial<Config['db']>;
 type PartialServerConfig = Partial<Config['server']>;
 type PartialFeaturesConfig = Partial<Config['features']>;
+type PartialTrashConfig = Partial<Config['trash']>;
+type PartialRevisionsConfig = Partial<Config['revisions']>;
+type PartialAttachmentsConfig = Partial<Config['attachments']>;
 
 interface PartialConfig {
     db?: PartialDbConfig;
     server?: PartialServerConfig;
     features?: PartialFeaturesConfig;
+    trash?: PartialTrashConfig;
+    revisions?: PartialRevisionsConfig;
+    attachments?: PartialAttachmentsConfig;
 }
 
 // Default configuration
@@ -49,7 +70,18 @@ const defaultConfig: Config = {
     },
     features: {
         enableWebsocket: true,
-        enableFTS: true
+        enableFTS: true,
+        enableMcpHttp: false
+    },
+    trash: {
+        retentionDays: 30
+    },
+    revisions: {
+        maxPerNote: 100
+    },
+    attachments: {
+        maxFileSize: 10 * 1024 * 1024,
+        maxTotalSize: 500 * 1024 * 1024
     }
 };
 
@@ -121,8 +153,27 @@ class Configuration {
         if (process.env.ENABLE_FTS !== undefined) {
             featuresConfig.enableFTS = process.env.ENABLE_FTS === 'true';
         }
+        if (process.env.ENABLE_MCP_HTTP !== undefined) {
+            featuresConfig.enableMcpHttp = process.env.ENABLE_MCP_HTTP === 'true';
+        }
         if (Object.keys(featuresConfig).length > 0) envConfig.features = featuresConfig;
 
+        // Trash Config
+        const trashConfig: PartialTrashConfig = {};
+        if (process.env.TRASH_RETENTION_DAYS) trashConfig.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+        if (Object.keys(trashConfig).length > 0) envConfig.trash = trashConfig;
+
+        // Revisions Config
+        const revisionsConfig: PartialRevisionsConfig = {};
+        if (process.env.REVISIONS_MAX_PER_NOTE) revisionsConfig.maxPerNote = parseInt(process.env.REVISIONS_MAX_PER_NOTE, 10);
+        if (Object.keys(revisionsConfig).length > 0) envConfig.revisions = revisionsConfig;
+
+        // Attachments Config
+        const attachmentsConfig: PartialAttachmentsConfig = {};
+        if (process.env.ATTACHMENT_MAX_FILE_SIZE) attachmentsConfig.maxFileSize = parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE, 10);
+        if (process.env.ATTACHMENT_MAX_TOTAL_SIZE) attachmentsConfig.maxTotalSize = parseInt(process.env.ATTACHMENT_MAX_TOTAL_SIZE, 10);
+        if (Object.keys(attachmentsConfig).length > 0) envConfig.attachments = attachmentsConfig;
+
         return envConfig;
     }
 
@@ -140,6 +191,18 @@ class Configuration {
                 features: {
                     ...acc.features,
                     ...(curr.features || {})
+                },
+                trash: {
+                    ...acc.trash,
+                    ...(curr.trash || {})
+                },
+                revisions: {
+                    ...acc.revisions,
+                    ...(curr.revisions || {})
+                },
+                attachments: {
+                    ...acc.attachments,
+                    ...(curr.attachments || {})
                 }
             };
         }, defaultConfig);
@@ -1,21 +1,31 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { hostHeaderValidation } from '@modelcontextprotocol/sdk/server/middleware/hostHeaderValidation.js';
 import {
     CallToolRequestSchema,
     ErrorCode,
+    GetPromptRequestSchema,
+    isInitializeRequest,
+    ListPromptsRequestSchema,
     ListResourcesRequestSchema,
     ListResourceTemplatesRequestSchema,
     ListToolsRequestSchema,
     McpError,
     ReadResourceRequestSchema,
     Request as McpRequest,
+    Resource,
     ServerRequest,
     ServerResult,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import Database from 'better-sqlite3';
 import express, { NextFunction, RequestHandler } from 'express';
+import multer from 'multer';
 import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { Request, Response } from 'express';
@@ -24,7 +34,95 @@ import { ParsedQs } from 'qs';
 import { config } from './config.js';
 import { findAvailablePort } from './utils/ValidationUtils.js';
 import { ExportService } from './services/exportService.js';
+import { FtsIndexService } from './services/ftsIndexService.js';
+import { ARCHIVED_FILTERS, ArchivedFilter, NoteFilters, NoteQueryService, RELEVANCE_SORT, tagTreeCte } from './services/noteQueryService.js';
+import { PromptService } from './services/promptService.js';
+import { RelatedNotesService } from './services/relatedNotesService.js';
 import { renderMarkdown } from './utils/markdown.js';
+import { diffLines, formatUnifiedDiff } from './utils/diff.js';
+import { extractWikiLinks, isLinkableTitle, parseNoteIdTarget, replaceWikiLinks } from './utils/wikiLinks.js';
+import { attachmentMarkdown, formatBytes, isInlineMimeType } from './utils/attachments.js';
+import { extractTasks, setTaskDone } from './utils/tasks.js';
+import { BUILT_IN_VARIABLES, builtInValues, fillTemplate, templateVariables } from './utils/templates.js';
+import { omitProperties, typedPropertyValue } from './utils/properties.js';
+import { ValidationError, invalidParams, toInputSchema, validate, validateRequest, validateToolArguments } from './utils/validation.js';
+import {
+    CreateNoteArgs,
+    CreateNoteBody,
+    MAX_BATCH_SIZE,
+    addAttachmentArgsSchema,
+    attachmentFileSchema,
+    attachmentIdArgsSchema,
+    emptyArgsSchema,
+    batchCreateNotesArgsSchema,
+    batchCreateNotesBodySchema,
+    batchTagNotesArgsSchema,
+    batchTagNotesBodySchema,
+    bulkColorBodySchema,
+    conversationParamsSchema,
+    createNoteArgsSchema,
+    createNoteBodySchema,
+    createNoteFromTemplateArgsSchema,
+    createSectionSchema,
+    createTagSchema,
+    createTemplateBodySchema,
+    createViewBodySchema,
+    deleteConversationArgsSchema,
+    deleteConversationQuerySchema,
+    deleteTagArgsSchema,
+    diffNoteRevisionsArgsSchema,
+    findRelatedNotesArgsSchema,
+    idParamsSchema,
+    listNotesArgsSchema,
+    listTasksArgsSchema,
+    mergeConversationBodySchema,
+    mergeConversationsArgsSchema,
+    mergeTagBodySchema,
+    mergeTagsArgsSchema,
+    moveNotesToSectionArgsSchema,
+    noteAttachmentsArgsSchema,
+    noteColorBodySchema,
+    noteFiltersQuerySchema,
+    noteIdArgsSchema,
+    noteIdsSchema,
+    noteSectionBodySchema,
+    noteStateBodySchema,
+    purgeNotesArgsSchema,
+    relatedNotesQuerySchema,
+    renameTagArgsSchema,
+    renderTemplateBodySchema,
+    reorderSectionsArgsSchema,
+    restoreNoteRevisionArgsSchema,
+    revisionDiffQuerySchema,
+    revisionParamsSchema,
+    searchNotesArgsSchema,
+    sectionIdArgsSchema,
+    setNoteStateSchema,
+    setTagParentArgsSchema,
+    tagListQuerySchema,
+    tagParentBodySchema,
+    TaskFilters,
+    taskFiltersQuerySchema,
+    taskParamsSchema,
+    toggleTaskArgsSchema,
+    toggleTaskBodySchema,
+    updateConversationArgsSchema,
+    updateConversationBodySchema,
+    updateNoteArgsSchema,
+    updateNoteBodySchema,
+    updateSectionArgsSchema,
+    updateSectionBodySchema,
+    updateTagBodySchema,
+    updateTemplateBodySchema,
+    updateViewBodySchema,
+    ViewFilters,
+    viewNoteFilters,
+} from './schemas.js';
+import {
+    MatchRange,
+    boldExcerpt,
+    buildSnippet,
+} from './utils/search.js';
 import WebSocket from 'ws';
 import NotesWebSocketServer from './websocket/server.js';
 
@@ -38,6 +136,7 @@ interface Tag {
 interface TagRecord {
     id: number;
     name: string;
+    parent_id?: number | null;
 }
 
 // Add near your other interfaces
@@ -49,21 +148,238 @@ interface Note {
     created_at: number;
     updated_at: number;
     color_hex?: string;
+    section_id?: number | null;
+    deleted_at?: number | null;
+    pinned?: number;
+    archived?: number;
     tags?: string[];
+    properties?: Record<string, string>;
 }
 
 interface CountResult {
     count: number;
 }
 
+interface NoteUpdate {
+    title?: string;
+    content?: string;
+    contentMode?: 'replace' | 'append' | 'prepend';
+    conversation_id?: string;
+    color_hex?: string | null;
+    section_id?: number | null;
+    pinned?: boolean;
+    archived?: boolean;
+    tags?: string[];
+    addTags?: string[];
+    removeTags?: string[];
+    properties?: Record<string, string>;
+    setProperties?: Record<string, string>;
+    removeProperties?: string[];
+}
+
+// Snapshot of a note's title, content, tags and color after a change
+interface NoteRevision {
+    id: number;
+    note_id: number;
+    title: string;
+    content: string;
+    tags: string[];
+    color_hex: string | null;
+    created_at: number;
+}
+
+// note_revisions row; tags are stored as a JSON array
+interface NoteRevisionRow extends Omit<NoteRevision, 'tags'> {
+    tags: string;
+}
+
+// A [[...]] link in a note's content; broken when no note matches the target or the match is in the trash
+interface NoteLink {
+    target: string;
+    note_id: number | null;
+    title: string | null;
+    broken: boolean;
+}
+
+// A task list item in a note's content, located by its line
+interface NoteTask {
+    note_id: number;
+    note_title: string;
+    conversation_id: string;
+    line: number;
+    text: string;
+    done: boolean;
+}
+
+// File stored with a note; the content is only read for downloads and exports
+interface Attachment {
+    id: number;
+    note_id: number;
+    filename: string;
+    mime_type: string;
+    size: number;
+    created_at: number;
+}
+
+interface NoteInput {
+    title: string;
+    content: string;
+    conversation_id: string;
+    color_hex?: string | null;
+    section_id?: number | null;
+    tags?: string[];
+    properties?: Record<string, string>;
+}
+
+// A reusable note shape. variables lists the {{variables}} in its title and content
+// that are not filled in automatically.
+interface NoteTemplate {
+    id: number;
+    name: string;
+    title: string;
+    content: string;
+    tags: string[];
+    color_hex: string | null;
+    section_id: number | null;
+    variables: string[];
+    created_at: number;
+    updated_at: number;
+}
+
+// templates row; tags are stored as a JSON array
+interface NoteTemplateRow extends Omit<NoteTemplate, 'tags' | 'variables'> {
+    tags: string;
+}
+
+interface NoteTemplateFields {
+    name: string;
+    title: string;
+    content: string;
+    tags: string[];
+    color_hex: string | null;
+    section_id: number | null;
+}
+
+// A named filter set and sort. note_count is how many notes match it now.
+interface SavedView {
+    id: number;
+    name: string;
+    filters: ViewFilters;
+    sort: string | null;
+    note_count: number;
+    created_at: number;
+    updated_at: number;
+}
+
+// saved_views row; filters are stored as a JSON object
+interface SavedViewRow extends Omit<SavedView, 'filters' | 'note_count'> {
+    filters: string;
+}
+
+interface SavedViewFields {
+    name: string;
+    filters: ViewFilters;
+    sort: string | null;
+}
+
+interface BatchItemResult {
+    index: number;
+    id?: number;
+    status: 'ok' | 'failed' | 'rolled_back';
+    error?: string;
+}
+
+interface BatchResult {
+    success: boolean;
+    results: BatchItemResult[];
+}
+
 interface NoteWithMetadata extends Note {
     conversationId: string;
     createdAt: number;
     updatedAt: number;
 }
 
-interface ConversationRow {
+// A conversation's record. note_count (notes outside the trash) is kept up to date by triggers on notes;
+// last_updated is when one of its notes last changed.
+interface ConversationRecord {
+    conversation_id: string;
+    title: string | null;
+    description: string | null;
+    note_count: number;
+    created_at: number;
+    updated_at: number;
+    last_updated: number | null;
+}
+
+interface SectionRecord {
+    id: number;
+    name: string;
+    order_index: number;
+    created_at: number;
+    updated_at: number;
+    note_count?: number;
+}
+
+interface TagWithCount {
+    id: number;
+    name: string;
+    parent_id: number | null;
+    // Notes outside the trash
+    note_count: number;
+}
+
+interface TagHierarchyRow {
+    id: number;
+    name: string;
+    parent_id: number | null;
+    level: number;
+}
+
+interface ResourceCursor {
+    offset: number;
+}
+
+// One connected MCP client, over stdio or HTTP
+interface McpSession {
+    server: Server;
+    // Subscribed resources, keyed by decoded URI, holding each URI exactly as the client sent it
+    subscriptions: Map<string, Set<string>>;
+}
+
+interface TagTreeNode {
+    id: number;
+    name: string;
+    parent_id: number | null;
+    note_count: number;
+    children: TagTreeNode[];
+}
+
+interface SearchOptions {
+    query: string;
+    tags?: string[];
+    conversationId?: string;
+    color_hex?: string;
+    startDate?: number | null;
+    endDate?: number | null;
+    archived: ArchivedFilter;
+    limit: number;
+    offset: number;
+}
+
+interface SearchResult {
+    id: number;
+    title: string;
     conversation_id: string;
+    color_hex?: string;
+    pinned: boolean;
+    archived: boolean;
+    tags: string[];
+    created_at: number;
+    updated_at: number;
+    score: number;
+    snippet: string;
+    highlights: MatchRange[];
 }
 
 interface ResourceRequest extends McpRequest {
@@ -103,6 +419,14 @@ db.pragma('busy_timeout = 10000');
 db.pragma('synchronous = NORMAL');
 db.pragma('cache_size = -2000'); // 2MB cache
 
+// CREATE TABLE IF NOT EXISTS leaves existing tables as they are, so columns added later are created here
+const addColumnIfMissing = (table: string, column: string, definition: string) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all() as { name: string }[];
+    if (!columns.some(existing => existing.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
 // Initialize database schema
 const initDatabase = () => {
     console.error('Initializing database schema...');
@@ -117,6 +441,10 @@ const initDatabase = () => {
             section_id INTEGER,
             created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
             updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            -- Set when the note is moved to the trash
+            deleted_at INTEGER,
+            pinned INTEGER NOT NULL DEFAULT 0,
+            archived INTEGER NOT NULL DEFAULT 0,
             FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE SET NULL
         );
 
@@ -146,33 +474,96 @@ const initDatabase = () => {
             FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
         );
 
-        ${config.features?.enableFTS ? `
-        -- Full-text search virtual table
-        CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
-            title,
-            content,
-            content='notes',
-            content_rowid='id'
+        -- Snapshot of a note after each change, newest has the highest id
+        CREATE TABLE IF NOT EXISTS note_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            note_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            tags TEXT NOT NULL DEFAULT '[]',
+            color_hex TEXT,
+            created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
         );
 
-        -- FTS triggers
-        CREATE TRIGGER IF NOT EXISTS notes_ai AFTER INSERT ON notes BEGIN
-            INSERT INTO notes_fts(rowid, title, content)
-            VALUES (new.id, new.title, new.content);
-        END;
+        -- [[...]] links parsed from note content, target as written; target_id is NULL while no note matches
+        CREATE TABLE IF NOT EXISTS note_links (
+            source_id INTEGER NOT NULL,
+            target TEXT NOT NULL COLLATE NOCASE,
+            target_id INTEGER,
+            PRIMARY KEY (source_id, target),
+            FOREIGN KEY (source_id) REFERENCES notes(id) ON DELETE CASCADE,
+            FOREIGN KEY (target_id) REFERENCES notes(id) ON DELETE SET NULL
+        );
 
-        CREATE TRIGGER IF NOT EXISTS notes_ad AFTER DELETE ON notes BEGIN
-            INSERT INTO notes_fts(notes_fts, rowid, title, content)
-            VALUES('delete', old.id, old.title, old.content);
-        END;
+        -- Task list items ("- [ ] ...") parsed from note content, by their 1-based line
+        CREATE TABLE IF NOT EXISTS note_tasks (
+            note_id INTEGER NOT NULL,
+            line INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            done INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (note_id, line),
+            FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+        );
 
-        CREATE TRIGGER IF NOT EXISTS notes_au AFTER UPDATE ON notes BEGIN
-            INSERT INTO notes_fts(notes_fts, rowid, title, content)
-            VALUES('delete', old.id, old.title, old.content);
-            INSERT INTO notes_fts(rowid, title, content)
-            VALUES (new.id, new.title, new.content);
-        END;
-        ` : ''}
+        -- Key-value properties; number_value and date_value hold the value parsed
+        -- as a number or date (Unix seconds), or NULL, for typed filtering and sorting
+        CREATE TABLE IF NOT EXISTS note_properties (
+            note_id INTEGER NOT NULL,
+            key TEXT NOT NULL COLLATE NOCASE,
+            value TEXT NOT NULL,
+            number_value REAL,
+            date_value INTEGER,
+            PRIMARY KEY (note_id, key),
+            FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+        );
+
+        -- Conversations notes belong to, by the conversation_id the notes carry.
+        -- Rows are created by the notes triggers below, which also keep note_count current.
+        CREATE TABLE IF NOT EXISTS conversations (
+            conversation_id TEXT PRIMARY KEY,
+            title TEXT,
+            description TEXT,
+            note_count INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+        );
+
+        -- Reusable note shapes; title and content may contain {{variables}}
+        CREATE TABLE IF NOT EXISTS templates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            title TEXT NOT NULL DEFAULT '',
+            content TEXT NOT NULL DEFAULT '',
+            tags TEXT NOT NULL DEFAULT '[]',
+            color_hex TEXT,
+            section_id INTEGER,
+            created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE SET NULL
+        );
+
+        -- Named filter sets for the sidebar and view:// resources; filters is a JSON object
+        CREATE TABLE IF NOT EXISTS saved_views (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            filters TEXT NOT NULL DEFAULT '{}',
+            sort TEXT,
+            created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+        );
+
+        -- Files attached to notes, stored in the database so they are backed up and purged with their note
+        CREATE TABLE IF NOT EXISTS attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            note_id INTEGER NOT NULL,
+            filename TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            data BLOB NOT NULL,
+            created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+            FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+        );
 
         -- Indexes for performance
         CREATE INDEX IF NOT EXISTS idx_notes_conversation_updated ON notes(conversation_id, updated_at DESC);
@@ -182,44 +573,383 @@ const initDatabase = () => {
         CREATE INDEX IF NOT EXISTS idx_notes_updated ON notes(updated_at DESC);
         CREATE INDEX IF NOT EXISTS idx_sections_order ON sections(order_index);
         CREATE INDEX IF NOT EXISTS idx_tags_parent ON tags(parent_id);
+        CREATE INDEX IF NOT EXISTS idx_note_revisions_note ON note_revisions(note_id, id);
+        CREATE INDEX IF NOT EXISTS idx_note_links_target ON note_links(target_id);
+        CREATE INDEX IF NOT EXISTS idx_attachments_note ON attachments(note_id);
+        CREATE INDEX IF NOT EXISTS idx_note_tasks_done ON note_tasks(done);
+        CREATE INDEX IF NOT EXISTS idx_note_properties_key ON note_properties(key, value);
+
+        -- Baseline revision for notes written before revision history existed
+        INSERT INTO note_revisions (note_id, title, content, tags, color_hex, created_at)
+        SELECT notes.id, notes.title, notes.content,
+            (SELECT json_group_array(name) FROM (
+                SELECT tags.name FROM note_tags
+                JOIN tags ON note_tags.tag_id = tags.id
+                WHERE note_tags.note_id = notes.id
+                ORDER BY tags.name
+            )),
+            notes.color_hex, notes.updated_at
+        FROM notes
+        WHERE NOT EXISTS (SELECT 1 FROM note_revisions WHERE note_revisions.note_id = notes.id);
+    `);
+
+    addColumnIfMissing('notes', 'deleted_at', 'INTEGER');
+    addColumnIfMissing('notes', 'pinned', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('notes', 'archived', 'INTEGER NOT NULL DEFAULT 0');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_notes_deleted ON notes(deleted_at);');
+
+    // Created after deleted_at exists, which the triggers read
+    db.exec(`
+        CREATE TRIGGER IF NOT EXISTS notes_conversation_ai AFTER INSERT ON notes BEGIN
+            INSERT OR IGNORE INTO conversations (conversation_id) VALUES (new.conversation_id);
+            UPDATE conversations SET note_count = note_count + 1
+            WHERE conversation_id = new.conversation_id AND new.deleted_at IS NULL;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS notes_conversation_ad AFTER DELETE ON notes BEGIN
+            UPDATE conversations SET note_count = note_count - 1
+            WHERE conversation_id = old.conversation_id AND old.deleted_at IS NULL;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS notes_conversation_au AFTER UPDATE OF conversation_id, deleted_at ON notes BEGIN
+            INSERT OR IGNORE INTO conversations (conversation_id) VALUES (new.conversation_id);
+            UPDATE conversations SET note_count = note_count - 1
+            WHERE conversation_id = old.conversation_id AND old.deleted_at IS NULL;
+            UPDATE conversations SET note_count = note_count + 1
+            WHERE conversation_id = new.conversation_id AND new.deleted_at IS NULL;
+        END;
+
+        -- Records for conversations that predate the table, dated by their first note. Notes in the trash
+        -- are left out so a conversation deleted with its notes stays deleted; restoring one recreates it.
+        INSERT OR IGNORE INTO conversations (conversation_id, created_at, updated_at)
+        SELECT conversation_id, MIN(created_at), MIN(created_at) FROM notes
+        WHERE deleted_at IS NULL
+        GROUP BY conversation_id;
+
+        UPDATE conversations SET note_count = (
+            SELECT COUNT(*) FROM notes
+            WHERE notes.conversation_id = conversations.conversation_id AND notes.deleted_at IS NULL
+        );
     `);
+
+    // Revisions beyond the cap, e.g. after it was lowered; new ones are pruned as they are recorded
+    if (config.revisions.maxPerNote > 0) {
+        db.prepare(`
+            DELETE FROM note_revisions WHERE id IN (
+                SELECT id FROM (
+                    SELECT id, ROW_NUMBER() OVER (PARTITION BY note_id ORDER BY id DESC) AS position
+                    FROM note_revisions
+                )
+                WHERE position > ?
+            )
+        `).run(config.revisions.maxPerNote);
+    }
+
+    // notes_fts is kept by FtsIndexService, which also indexes notes written while FTS was off
+    if (config.features?.enableFTS) {
+        const result = new FtsIndexService(db).ensure();
+        if (result !== 'current') {
+            console.error(`Full-text search index ${result} from existing notes.`);
+        }
+    }
     console.error('Database schema initialized.');
 };
 
 initDatabase();
 
+// Conversation fields with the time one of its notes last changed
+const CONVERSATION_COLUMNS = `
+    conversations.conversation_id, conversations.title, conversations.description, conversations.note_count,
+    conversations.created_at, conversations.updated_at,
+    (SELECT MAX(notes.updated_at) FROM notes
+     WHERE notes.conversation_id = conversations.conversation_id AND notes.deleted_at IS NULL) AS last_updated
+`;
+
+// Which notes a listing shows by archive state: @archived is 'exclude', 'include' or 'only'
+const ARCHIVED_FILTER = `(@archived = 'include' OR notes.archived = (@archived = 'only'))`;
+
+// Filters shared by the task listing statements; every parameter except @archived may be NULL
+const TASK_FILTERS = `
+    notes.deleted_at IS NULL
+    AND ${ARCHIVED_FILTER}
+    AND (@done IS NULL OR note_tasks.done = @done)
+    AND (@conversationId IS NULL OR notes.conversation_id = @conversationId)
+    AND (@tags IS NULL OR EXISTS (
+        SELECT 1
+        FROM note_tags
+        JOIN tags ON note_tags.tag_id = tags.id
+        WHERE note_tags.note_id = notes.id
+        AND tags.name IN (SELECT value FROM json_each(@tags))
+    ))
+`;
+
+// Attachment columns without the content
+const ATTACHMENT_COLUMNS = `
+    attachments.id, attachments.note_id, attachments.filename,
+    attachments.mime_type, attachments.size, attachments.created_at
+`;
+
 // Prepare common statements for better performance
 const preparedStatements = {
     insertNote: db.prepare(`
-        INSERT INTO notes (title, content, conversation_id, color_hex)
-        VALUES (@title, @content, @conversationId, @color_hex)
+        INSERT INTO notes (title, content, conversation_id, color_hex, section_id)
+        VALUES (@title, @content, @conversationId, @color_hex, @section_id)
     `),
 
-    searchNotes: db.prepare(`
-        SELECT notes.* FROM notes_fts
-        JOIN notes ON notes.id = notes_fts.rowid
-        WHERE notes_fts MATCH @query
-        ORDER BY rank
-        LIMIT @limit OFFSET @offset
-    `),
     getNotesByConversation: db.prepare(`
         SELECT * FROM notes
-        WHERE conversation_id = @conversationId
-        ORDER BY updated_at DESC
+        WHERE conversation_id = @conversationId AND deleted_at IS NULL AND ${ARCHIVED_FILTER}
+        ORDER BY pinned DESC, updated_at DESC
     `),
     getNoteById: db.prepare(`
         SELECT * FROM notes
-        WHERE id = @id
+        WHERE id = @id AND deleted_at IS NULL
+    `),
+    trashNote: db.prepare(`
+        UPDATE notes SET deleted_at = strftime('%s', 'now') WHERE id = @id AND deleted_at IS NULL
+    `),
+    restoreNote: db.prepare(`
+        UPDATE notes SET deleted_at = NULL WHERE id = @id AND deleted_at IS NOT NULL
+    `),
+    purgeNote: db.prepare(`
+        DELETE FROM notes WHERE id = @id AND deleted_at IS NOT NULL
+    `),
+    purgeTrash: db.prepare(`
+        DELETE FROM notes WHERE deleted_at IS NOT NULL
+    `),
+    purgeExpiredNotes: db.prepare(`
+        DELETE FROM notes WHERE deleted_at IS NOT NULL AND deleted_at <= @cutoff
     `),
-    deleteNote: db.prepare(`
-        DELETE FROM notes WHERE id = @id
+    getExpiredNotes: db.prepare(`
+        SELECT * FROM notes WHERE deleted_at IS NOT NULL AND deleted_at <= @cutoff
+    `),
+    getTrashedNoteById: db.prepare(`
+        SELECT * FROM notes
+        WHERE id = @id AND deleted_at IS NOT NULL
+    `),
+    getTrashedNotes: db.prepare(`
+        SELECT * FROM notes
+        WHERE deleted_at IS NOT NULL
+        ORDER BY deleted_at DESC, id DESC
+    `),
+    touchNote: db.prepare(`
+        UPDATE notes SET updated_at = strftime('%s', 'now') WHERE id = @id
     `),
     updateNote: db.prepare(`
         UPDATE notes 
-        SET content = @content,
+        SET title = @title,
+            content = @content,
+            conversation_id = @conversation_id,
+            color_hex = @color_hex,
+            section_id = @section_id,
+            pinned = @pinned,
+            archived = @archived,
             updated_at = strftime('%s', 'now') 
+        WHERE id = @id AND deleted_at IS NULL
+    `),
+    // NULL leaves a flag unchanged
+    updateNoteState: db.prepare(`
+        UPDATE notes
+        SET pinned = COALESCE(@pinned, pinned),
+            archived = COALESCE(@archived, archived),
+            updated_at = strftime('%s', 'now')
+        WHERE id = @id AND deleted_at IS NULL
+    `),
+    insertRevision: db.prepare(`
+        INSERT INTO note_revisions (note_id, title, content, tags, color_hex)
+        VALUES (@note_id, @title, @content, @tags, @color_hex)
+    `),
+    // Drops a note's revisions beyond the newest @keep
+    pruneRevisions: db.prepare(`
+        DELETE FROM note_revisions
+        WHERE note_id = @note_id AND id NOT IN (
+            SELECT id FROM note_revisions WHERE note_id = @note_id ORDER BY id DESC LIMIT @keep
+        )
+    `),
+    getLatestRevision: db.prepare(`
+        SELECT * FROM note_revisions
+        WHERE note_id = @note_id
+        ORDER BY id DESC
+        LIMIT 1
+    `),
+    getPreviousRevision: db.prepare(`
+        SELECT * FROM note_revisions
+        WHERE note_id = @note_id AND id < @id
+        ORDER BY id DESC
+        LIMIT 1
+    `),
+    getRevision: db.prepare(`
+        SELECT * FROM note_revisions
+        WHERE note_id = @note_id AND id = @id
+    `),
+    getRevisionsByNoteId: db.prepare(`
+        SELECT * FROM note_revisions
+        WHERE note_id = @note_id
+        ORDER BY id DESC
+    `),
+    // Exact-case matches win, then the oldest note, so a link keeps its target when a duplicate title appears
+    getNoteByTitle: db.prepare(`
+        SELECT id, title FROM notes
+        WHERE title = @title COLLATE NOCASE AND deleted_at IS NULL
+        ORDER BY title = @title DESC, id ASC
+        LIMIT 1
+    `),
+    insertNoteLink: db.prepare(`
+        INSERT INTO note_links (source_id, target, target_id)
+        VALUES (@source_id, @target, @target_id)
+    `),
+    deleteNoteLinks: db.prepare(`
+        DELETE FROM note_links WHERE source_id = @source_id
+    `),
+    // Points broken links at a note that now matches them by title or id
+    resolveBrokenLinks: db.prepare(`
+        UPDATE note_links SET target_id = @id
+        WHERE target_id IS NULL AND (target = @title OR target = '#' || @id)
+    `),
+    getLinkSourcesByTitle: db.prepare(`
+        SELECT DISTINCT source_id FROM note_links
+        WHERE target_id = @target_id AND target = @title
+    `),
+    getNoteLinks: db.prepare(`
+        SELECT note_links.target, target.id AS note_id, target.title,
+            (note_links.target_id IS NULL OR target.deleted_at IS NOT NULL) AS broken
+        FROM note_links
+        LEFT JOIN notes AS target ON target.id = note_links.target_id
+        WHERE note_links.source_id = @source_id
+        ORDER BY note_links.rowid
+    `),
+    getBacklinks: db.prepare(`
+        SELECT DISTINCT notes.id, notes.title, notes.conversation_id, notes.updated_at
+        FROM note_links
+        JOIN notes ON notes.id = note_links.source_id
+        WHERE note_links.target_id = @target_id AND notes.deleted_at IS NULL
+        ORDER BY notes.updated_at DESC, notes.id DESC
+    `),
+    getBrokenLinks: db.prepare(`
+        SELECT source.id AS source_id, source.title AS source_title, note_links.target
+        FROM note_links
+        JOIN notes AS source ON source.id = note_links.source_id
+        LEFT JOIN notes AS target ON target.id = note_links.target_id
+        WHERE source.deleted_at IS NULL
+        AND (note_links.target_id IS NULL OR target.deleted_at IS NOT NULL)
+        ORDER BY source.id, note_links.rowid
+    `),
+    // Notes that contain [[ but have no parsed links, e.g. ones written before links were tracked
+    getUnparsedLinkSources: db.prepare(`
+        SELECT id, content FROM notes
+        WHERE content LIKE '%[[%'
+        AND NOT EXISTS (SELECT 1 FROM note_links WHERE note_links.source_id = notes.id)
+    `),
+    insertTask: db.prepare(`
+        INSERT INTO note_tasks (note_id, line, text, done)
+        VALUES (@note_id, @line, @text, @done)
+    `),
+    deleteNoteTasks: db.prepare(`
+        DELETE FROM note_tasks WHERE note_id = @note_id
+    `),
+    getTasks: db.prepare(`
+        SELECT note_tasks.note_id, notes.title AS note_title, notes.conversation_id,
+            note_tasks.line, note_tasks.text, note_tasks.done
+        FROM note_tasks
+        JOIN notes ON notes.id = note_tasks.note_id
+        WHERE ${TASK_FILTERS}
+        ORDER BY notes.pinned DESC, notes.updated_at DESC, note_tasks.note_id DESC, note_tasks.line ASC
+        LIMIT @limit OFFSET @offset
+    `),
+    countTasks: db.prepare(`
+        SELECT COUNT(*) as count
+        FROM note_tasks
+        JOIN notes ON notes.id = note_tasks.note_id
+        WHERE ${TASK_FILTERS}
+    `),
+    // Notes that look like they contain checkboxes but have no parsed tasks, e.g. ones written before tasks were tracked
+    getUnparsedTaskSources: db.prepare(`
+        SELECT id, content FROM notes
+        WHERE (content LIKE '%[ ]%' OR content LIKE '%[x]%')
+        AND NOT EXISTS (SELECT 1 FROM note_tasks WHERE note_tasks.note_id = notes.id)
+    `),
+    getTemplates: db.prepare(`
+        SELECT * FROM templates ORDER BY name ASC
+    `),
+    getTemplateById: db.prepare(`
+        SELECT * FROM templates WHERE id = @id
+    `),
+    getTemplateByName: db.prepare(`
+        SELECT * FROM templates WHERE name = @name
+    `),
+    insertTemplate: db.prepare(`
+        INSERT INTO templates (name, title, content, tags, color_hex, section_id)
+        VALUES (@name, @title, @content, @tags, @color_hex, @section_id)
+    `),
+    updateTemplate: db.prepare(`
+        UPDATE templates
+        SET name = @name,
+            title = @title,
+            content = @content,
+            tags = @tags,
+            color_hex = @color_hex,
+            section_id = @section_id,
+            updated_at = strftime('%s', 'now')
+        WHERE id = @id
+    `),
+    deleteTemplate: db.prepare(`
+        DELETE FROM templates WHERE id = @id
+    `),
+    getSavedViews: db.prepare(`
+        SELECT * FROM saved_views ORDER BY name ASC
+    `),
+    getSavedViewById: db.prepare(`
+        SELECT * FROM saved_views WHERE id = @id
+    `),
+    getSavedViewByName: db.prepare(`
+        SELECT * FROM saved_views WHERE name = @name
+    `),
+    insertSavedView: db.prepare(`
+        INSERT INTO saved_views (name, filters, sort)
+        VALUES (@name, @filters, @sort)
+    `),
+    updateSavedView: db.prepare(`
+        UPDATE saved_views
+        SET name = @name,
+            filters = @filters,
+            sort = @sort,
+            updated_at = strftime('%s', 'now')
         WHERE id = @id
     `),
+    deleteSavedView: db.prepare(`
+        DELETE FROM saved_views WHERE id = @id
+    `),
+    insertAttachment: db.prepare(`
+        INSERT INTO attachments (note_id, filename, mime_type, size, data)
+        VALUES (@note_id, @filename, @mime_type, @size, @data)
+    `),
+    // Attachments of trashed notes are kept but not served
+    getAttachmentById: db.prepare(`
+        SELECT ${ATTACHMENT_COLUMNS} FROM attachments
+        JOIN notes ON notes.id = attachments.note_id
+        WHERE attachments.id = @id AND notes.deleted_at IS NULL
+    `),
+    getAttachmentData: db.prepare(`
+        SELECT attachments.data FROM attachments
+        JOIN notes ON notes.id = attachments.note_id
+        WHERE attachments.id = @id AND notes.deleted_at IS NULL
+    `),
+    getAttachmentsByNoteId: db.prepare(`
+        SELECT ${ATTACHMENT_COLUMNS} FROM attachments
+        WHERE note_id = @note_id
+        ORDER BY id
+    `),
+    getAttachmentsWithDataByNoteId: db.prepare(`
+        SELECT * FROM attachments
+        WHERE note_id = @note_id
+        ORDER BY id
+    `),
+    deleteAttachment: db.prepare(`
+        DELETE FROM attachments WHERE id = @id
+    `),
+    getTotalAttachmentSize: db.prepare(`
+        SELECT COALESCE(SUM(size), 0) AS total FROM attachments
+    `),
     insertTag: db.prepare(`
         INSERT INTO tags (name) VALUES (@name)
     `),
@@ -232,9 +962,26 @@ const preparedStatements = {
     deleteNoteTags: db.prepare(`
         DELETE FROM note_tags WHERE note_id = @note_id
     `),
+    deleteNoteTag: db.prepare(`
+        DELETE FROM note_tags WHERE note_id = @note_id AND tag_id = @tag_id
+    `),
     getTagsByNoteId: db.prepare(`
         SELECT tags.name FROM note_tags JOIN tags ON note_tags.tag_id = tags.id WHERE note_tags.note_id = @note_id
     `),
+    getPropertiesByNoteId: db.prepare(`
+        SELECT key, value FROM note_properties WHERE note_id = @note_id ORDER BY key
+    `),
+    upsertProperty: db.prepare(`
+        INSERT INTO note_properties (note_id, key, value, number_value, date_value)
+        VALUES (@note_id, @key, @value, @number_value, @date_value)
+        ON CONFLICT (note_id, key) DO UPDATE SET
+            value = excluded.value,
+            number_value = excluded.number_value,
+            date_value = excluded.date_value
+    `),
+    deleteNoteProperties: db.prepare(`
+        DELETE FROM note_properties WHERE note_id = @note_id
+    `),
     createSection: db.prepare(`
         INSERT INTO sections (name, order_index)
         VALUES (@name, @order_index)
@@ -252,9 +999,29 @@ const preparedStatements = {
     getSections: db.prepare(`
         SELECT * FROM sections ORDER BY order_index ASC
     `),
-    updateNoteColor: db.prepare(`
-        UPDATE notes 
-        SET color_hex = @color_hex,
+    getSectionById: db.prepare(`
+        SELECT * FROM sections WHERE id = @id
+    `),
+    getSectionsWithCounts: db.prepare(`
+        SELECT sections.*, COUNT(notes.id) as note_count
+        FROM sections
+        LEFT JOIN notes ON notes.section_id = sections.id AND notes.deleted_at IS NULL
+        GROUP BY sections.id
+        ORDER BY sections.order_index ASC, sections.id ASC
+    `),
+    getSectionWithCount: db.prepare(`
+        SELECT sections.*, COUNT(notes.id) as note_count
+        FROM sections
+        LEFT JOIN notes ON notes.section_id = sections.id AND notes.deleted_at IS NULL
+        WHERE sections.id = @id
+        GROUP BY sections.id
+    `),
+    getMaxSectionOrder: db.prepare(`
+        SELECT MAX(order_index) as max_order FROM sections
+    `),
+    updateSectionOrder: db.prepare(`
+        UPDATE sections
+        SET order_index = @order_index,
             updated_at = strftime('%s', 'now')
         WHERE id = @id
     `),
@@ -262,23 +1029,15 @@ const preparedStatements = {
         UPDATE notes 
         SET section_id = @section_id,
             updated_at = strftime('%s', 'now')
-        WHERE id = @id
+        WHERE id = @id AND deleted_at IS NULL
     `),
     getNotesBySection: db.prepare(`
         SELECT * FROM notes 
-        WHERE section_id = @section_id 
-        ORDER BY updated_at DESC
+        WHERE section_id = @section_id AND deleted_at IS NULL AND ${ARCHIVED_FILTER}
+        ORDER BY pinned DESC, updated_at DESC
     `),
     getTagHierarchy: db.prepare(`
-        WITH RECURSIVE tag_tree AS (
-            SELECT id, name, parent_id, 0 as level
-            FROM tags 
-            WHERE parent_id IS NULL
-            UNION ALL
-            SELECT t.id, t.name, t.parent_id, tt.level + 1
-            FROM tags t
-            JOIN tag_tree tt ON t.parent_id = tt.id
-        )
+        ${tagTreeCte('parent_id IS NULL')}
         SELECT * FROM tag_tree
         ORDER BY level, name
     `),
@@ -287,61 +1046,275 @@ const preparedStatements = {
         SET parent_id = @parent_id 
         WHERE id = @id
     `),
-    getUniqueConversations: db.prepare(`
-        SELECT DISTINCT conversation_id FROM notes ORDER BY conversation_id ASC
+    getTagById: db.prepare(`
+        SELECT * FROM tags WHERE id = @id
+    `),
+    getTagNoteCounts: db.prepare(`
+        SELECT note_tags.tag_id, COUNT(*) as count
+        FROM note_tags
+        JOIN notes ON notes.id = note_tags.note_id
+        WHERE notes.deleted_at IS NULL
+        GROUP BY note_tags.tag_id
+    `),
+    getConversations: db.prepare(`
+        SELECT ${CONVERSATION_COLUMNS}
+        FROM conversations
+        ORDER BY COALESCE(title, conversation_id) COLLATE NOCASE ASC
+    `),
+    getConversation: db.prepare(`
+        SELECT ${CONVERSATION_COLUMNS}
+        FROM conversations
+        WHERE conversation_id = @conversation_id
+    `),
+    ensureConversation: db.prepare(`
+        INSERT OR IGNORE INTO conversations (conversation_id) VALUES (@conversation_id)
+    `),
+    updateConversation: db.prepare(`
+        UPDATE conversations
+        SET title = @title, description = @description, updated_at = strftime('%s', 'now')
+        WHERE conversation_id = @conversation_id
+    `),
+    // Fills the target's missing title and description from the source and keeps the earlier creation date
+    mergeConversationDetails: db.prepare(`
+        UPDATE conversations
+        SET title = COALESCE(conversations.title, source.title),
+            description = COALESCE(conversations.description, source.description),
+            created_at = MIN(conversations.created_at, source.created_at),
+            updated_at = strftime('%s', 'now')
+        FROM (SELECT title, description, created_at FROM conversations WHERE conversation_id = @from) AS source
+        WHERE conversations.conversation_id = @to
+    `),
+    deleteConversation: db.prepare(`
+        DELETE FROM conversations WHERE conversation_id = @conversation_id
+    `),
+    // Includes notes in the trash, so restoring them puts them back in the right conversation
+    moveConversationNotes: db.prepare(`
+        UPDATE notes SET conversation_id = @to WHERE conversation_id = @from
+    `),
+    getConversationNoteIds: db.prepare(`
+        SELECT id FROM notes WHERE conversation_id = @conversation_id AND deleted_at IS NULL
+    `),
+    getRecentNotes: db.prepare(`
+        SELECT id, title, conversation_id, updated_at FROM notes
+        WHERE deleted_at IS NULL
+        ORDER BY updated_at DESC, id DESC
+        LIMIT @limit
+    `),
+    getTagsWithCounts: db.prepare(`
+        SELECT tags.id, tags.name, tags.parent_id, COUNT(notes.id) as note_count
+        FROM tags
+        LEFT JOIN note_tags ON note_tags.tag_id = tags.id
+        LEFT JOIN notes ON notes.id = note_tags.note_id AND notes.deleted_at IS NULL
+        GROUP BY tags.id
+        ORDER BY tags.name ASC
+    `),
+    getTagWithCount: db.prepare(`
+        SELECT tags.id, tags.name, tags.parent_id, COUNT(notes.id) as note_count
+        FROM tags
+        LEFT JOIN note_tags ON note_tags.tag_id = tags.id
+        LEFT JOIN notes ON notes.id = note_tags.note_id AND notes.deleted_at IS NULL
+        WHERE tags.id = @id
+        GROUP BY tags.id
+    `),
+    getTagNoteIds: db.prepare(`
+        SELECT notes.id FROM notes
+        JOIN note_tags ON note_tags.note_id = notes.id
+        WHERE note_tags.tag_id = @tag_id AND notes.deleted_at IS NULL
+    `),
+    renameTag: db.prepare(`
+        UPDATE tags SET name = @name WHERE id = @id
+    `),
+    // Includes notes in the trash, so they keep the tag under its new name when restored
+    mergeNoteTags: db.prepare(`
+        INSERT OR IGNORE INTO note_tags (note_id, tag_id)
+        SELECT note_id, @to FROM note_tags WHERE tag_id = @from
+    `),
+    moveChildTags: db.prepare(`
+        UPDATE tags SET parent_id = @to WHERE parent_id = @from AND id IS NOT @to
+    `),
+    deleteTag: db.prepare(`
+        DELETE FROM tags WHERE id = @id
+    `),
+    // Tags on no note, not even one in the trash, and without child tags
+    deleteUnusedTags: db.prepare(`
+        DELETE FROM tags
+        WHERE NOT EXISTS (SELECT 1 FROM note_tags WHERE note_tags.tag_id = tags.id)
+        AND NOT EXISTS (SELECT 1 FROM tags AS child WHERE child.parent_id = tags.id)
+        RETURNING name
+    `),
+    getNotesByTag: db.prepare(`
+        SELECT notes.* FROM notes
+        JOIN note_tags ON note_tags.note_id = notes.id
+        JOIN tags ON tags.id = note_tags.tag_id
+        WHERE tags.name = @name AND notes.deleted_at IS NULL AND ${ARCHIVED_FILTER}
+        ORDER BY notes.pinned DESC, notes.updated_at DESC
     `),
 };
 
-// MCP Server Implementation
-class StickyNotesServer {
-    private server: Server;
-    private webSocketServer: NotesWebSocketServer;
-    private expressApp: express.Express;
-    private db: Database.Database;
-    private exportService: ExportService;
+// Trims tag names and drops empty and duplicate entries
+const normalizeTagNames = (names: unknown[]): string[] => {
+    const result: string[] = [];
+    for (const name of names) {
+        const trimmed = String(name).trim();
+        if (trimmed && !result.includes(trimmed)) {
+            result.push(trimmed);
+        }
+    }
+    return result;
+};
 
-    constructor() {
-        this.server = new Server(
-            {
-                name: 'sticky-notes-server',
-                version: '0.1.0',
-            },
-            {
-                capabilities: {
-                    resources: {},
-                    tools: {},
-                    notifications: {
-                        logging: true,
-                        toolProgress: true
-                    }
-                },
-            }
-        );
+// Parses the stored tag list of a revision
+const toNoteRevision = (row: NoteRevisionRow): NoteRevision => ({
+    ...row,
+    tags: JSON.parse(row.tags)
+});
+
+// Thrown inside a batch transaction to roll it back once an item has failed
+class BatchRollbackError extends Error {}
+
+// Thrown when an attachment would exceed attachments.maxFileSize or attachments.maxTotalSize
+class AttachmentLimitError extends Error {
+    public readonly status = 413;
+
+    constructor(message: string) {
+        super(message);
+        this.name = 'AttachmentLimitError';
+    }
+}
+
+// Maps create-note tool arguments onto the REST field names
+const toNoteInput = ({ conversationId, ...note }: CreateNoteArgs): NoteInput => ({
+    ...note,
+    conversation_id: conversationId
+});
+
+// How often notes past the trash retention period are purged
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Resource listing page size and how many recently updated notes are listed
+const RESOURCE_PAGE_SIZE = 100;
+const RECENT_NOTES_LIMIT = 50;
+
+// Host and Origin hostnames accepted by the MCP HTTP endpoint
+const MCP_HTTP_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+type ResourceFormat = 'json' | 'md' | 'html';
+
+const RESOURCE_MIME_TYPES: Record<ResourceFormat, string> = {
+    json: 'application/json',
+    md: 'text/markdown',
+    html: 'text/html'
+};
+
+// Normalizes a resource URI so encoded and unencoded forms compare equal.
+// The query string only selects a representation, so it is not part of the key.
+const resourceKey = (uri: string): string => {
+    const queryIndex = uri.indexOf('?');
+    const path = queryIndex === -1 ? uri : uri.substring(0, queryIndex);
+    try {
+        return decodeURIComponent(path);
+    } catch {
+        return path;
+    }
+};
+
+// Reads the representation requested by a resource URI, e.g. note://12?format=md
+const resourceFormat = (uri: string): ResourceFormat => {
+    const queryIndex = uri.indexOf('?');
+    const format = queryIndex === -1 ? null : new URLSearchParams(uri.substring(queryIndex + 1)).get('format');
+    if (!format || format === 'json') return 'json';
+    if (format === 'md' || format === 'markdown') return 'md';
+    if (format === 'html') return 'html';
+    throw new McpError(ErrorCode.InvalidParams, `Unsupported resource format: ${format}`);
+};
+
+// Reads which notes a listing resource should show by archive state, e.g. notes://abc?archived=include
+const resourceArchivedFilter = (uri: string): ArchivedFilter => {
+    const queryIndex = uri.indexOf('?');
+    const archived = queryIndex === -1 ? null : new URLSearchParams(uri.substring(queryIndex + 1)).get('archived');
+    if (!archived) return 'exclude';
+    if ((ARCHIVED_FILTERS as readonly string[]).includes(archived)) return archived as ArchivedFilter;
+    throw new McpError(ErrorCode.InvalidParams, `Unsupported archived filter: ${archived}`);
+};
+
+// MCP Server Implementation
+class StickyNotesServer {
+    private webSocketServer: NotesWebSocketServer;
+    private expressApp: express.Express;
+    private db: Database.Database;
+    private exportService: ExportService;
+    private noteQueryService: NoteQueryService;
+    private relatedNotesService: RelatedNotesService;
+    private ftsIndexService: FtsIndexService;
+    private promptService: PromptService;
+    private sessions = new Set<McpSession>();
+    // Open HTTP transports, keyed by session id
+    private httpTransports = new Map<string, StreamableHTTPServerTransport>();
+    private trashPurgeTimer: NodeJS.Timeout | null = null;
 
+    constructor() {
         this.expressApp = express();
         this.db = db;
         this.exportService = new ExportService();
+        this.noteQueryService = new NoteQueryService(this.db, { fts: config.features?.enableFTS });
+        this.relatedNotesService = new RelatedNotesService(this.db, this.noteQueryService, { fts: config.features?.enableFTS });
+        this.ftsIndexService = new FtsIndexService(this.db);
+        this.promptService = new PromptService(this.noteQueryService, this.exportService);
         this.webSocketServer = new NotesWebSocketServer(this.db);
 
-        // Error handling
-        this.server.onerror = (error: any) => console.error('[MCP Error]', error);
         process.on('SIGINT', async () => {
             await this.cleanup();
             process.exit(0);
         });
     }
 
+    // Creates an MCP server with all handlers registered. Each transport needs its own instance.
+    private createSession(): McpSession {
+        const server = new Server(
+            {
+                name: 'sticky-notes-server',
+                version: '0.1.0',
+            },
+            {
+                capabilities: {
+                    resources: {
+                        subscribe: true,
+                        listChanged: true
+                    },
+                    tools: {},
+                    prompts: {},
+                    logging: {}
+                },
+            }
+        );
+        const session: McpSession = { server, subscriptions: new Map() };
+
+        // Error handling
+        server.onerror = (error: any) => console.error('[MCP Error]', error);
+
+        this.setupResourceHandlers(session);
+        this.setupToolHandlers(server);
+        this.setupPromptHandlers(server);
+
+        this.sessions.add(session);
+        return session;
+    }
+
     private async initialize() {
         await this.setupExpress();
         await this.setupWebSocket();
-        this.setupResourceHandlers();
-        this.setupToolHandlers();
+
+        this.backfillNoteLinks();
+        this.backfillNoteTasks();
+        this.purgeExpiredTrash();
+        this.trashPurgeTimer = setInterval(() => this.purgeExpiredTrash(), TRASH_PURGE_INTERVAL_MS);
+        this.trashPurgeTimer.unref();
     }
 
     async run() {
         const transport = new StdioServerTransport();
         await this.initialize();
-        await this.server.connect(transport);
+        await this.createSession().server.connect(transport);
         console.error('Sticky Notes MCP server running on stdio');
     }
 
@@ -354,6 +1327,22 @@ class StickyNotesServer {
         const errorHandler: express.ErrorRequestHandler = (err: any, req: Request, res: Response, next: NextFunction) => {
             console.error('Error occurred:', err);
 
+            if (err instanceof ValidationError) {
+                res.status(400).json({ error: err.message, fields: err.fields });
+                return;
+            }
+
+            // Rejected multipart uploads, e.g. a file over attachments.maxFileSize
+            if (err instanceof multer.MulterError) {
+                res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                    error: err.code === 'LIMIT_FILE_SIZE'
+                        ? `File too large: the limit is ${formatBytes(config.attachments.maxFileSize)} per file`
+                        : err.message,
+                    code: err.code
+                });
+                return;
+            }
+
             // Handle database errors
             if (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED') {
                 res.status(503).json({
@@ -381,346 +1370,60 @@ class StickyNotesServer {
         // API Routes
         const getNotes = async (req: Request, res: Response, next: NextFunction) => {
             try {
-                console.error('Starting getNotes request');
-                const {
-                    search,
-                    page = 1,
-                    limit = 10,
-                    tags,
-                    conversation,
-                    color,
-                    startDate,
-                    sort = 'updated_at DESC'
-                } = req.query;
-                const offset = (Number(page) - 1) * Number(limit);
-
-                console.error('Query parameters:', {
-                    search,
-                    page,
-                    limit,
-                    tags,
-                    conversation,
-                    color,
-                    startDate,
-                    sort
-                });
-
-                const transaction = db.transaction(() => {
-                    // Base query with all necessary joins
-                    let baseQuery = 'SELECT notes.* FROM notes';
-                    const params: any[] = [];
-                    const conditions: string[] = [];
-
-                    // Handle tag filtering
-                    if (tags) {
-                        let tagArray: string[];
-
-                        if (typeof tags === 'string') {
-                            // If tags is a string, convert it to an array
-                            tagArray = [tags];
-                        } else if (Array.isArray(tags)) {
-                            // If tags is already an array, ensure all elements are strings
-                            tagArray = tags.map(tag => String(tag));
-                        } else {
-                            // Handle unexpected tag format
-                            console.error("Unexpected tags format:", tags);
-                            tagArray = [];
-                        }
-
-                        if (tagArray.length > 0) {
-                            const existsSubquery = `
-                                EXISTS (
-                                    SELECT 1
-                                    FROM note_tags
-                                    JOIN tags ON note_tags.tag_id = tags.id
-                                    WHERE note_tags.note_id = notes.id
-                                    AND tags.name IN (${tagArray.map(() => '?').join(', ')})
-                                )
-                            `;
-                            conditions.push(existsSubquery);
-                            params.push(...tagArray);
-                        }
-                    }
-
-                    // Simple equality filters
-                    if (typeof conversation === 'string' && conversation.trim()) {
-                        conditions.push('notes.conversation_id = ?');
-                        params.push(conversation.trim());
-                    }
-
-                    if (typeof color === 'string' && color.trim()) {
-                        conditions.push('notes.color_hex = ?');
-                        params.push(color.trim());
-                    }
-
-                    // Date filter
-                    if (startDate) {
-                        conditions.push('notes.created_at >= ?');
-                        params.push(startDate);
-                    }
-
-                    // Search filter
-                    if (typeof search === 'string' && search.trim()) {
-                        conditions.push('(notes.title LIKE ? OR notes.content LIKE ?)');
-                        const searchTerm = `%${search.trim()}%`;
-                        params.push(searchTerm, searchTerm);
-                    }
-
-                    // Add WHERE clause if we have conditions
-                    if (conditions.length > 0) {
-                        baseQuery += ' WHERE ' + conditions.join(' AND ');
-                    }
-
-                    // Handle sorting
-                    const validSortFields = ['title', 'updated_at', 'created_at', 'color_hex', 'conversation_id'];
-                    const validSortDirections = ['ASC', 'DESC'];
-
-                    let sortField = 'updated_at';
-                    let sortDirection = 'DESC';
-
-                    if (typeof sort === 'string') {
-                        const [field, direction] = sort.split(' ');
-                        if (field && validSortFields.includes(field.toLowerCase())) {
-                            sortField = field.toLowerCase();
-                        }
-                        if (direction && validSortDirections.includes(direction.toUpperCase())) {
-                            sortDirection = direction.toUpperCase();
-                        }
-                    }
-
-                    // Add sorting and pagination
-                    baseQuery += ` ORDER BY notes.${sortField} ${sortDirection} LIMIT ? OFFSET ?`;
-                    params.push(Number(limit), offset);
-
-                    // Log the final query and parameters
-                    console.error('Query:', baseQuery);
-                    console.error('Parameters:', params);
-
-                    // Execute the query
-                    const notes = db.prepare(baseQuery).all(...params) as Note[];
-
-                    // If no notes found, return early
-                    if (notes.length === 0) {
-                        return {
-                            notes: [],
-                            pagination: {
-                                total: 0,
-                                page: Number(page),
-                                limit: Number(limit),
-                                totalPages: 0
-                            }
-                        };
-                    }
-
-                    // Count query uses the same conditions
-                    let countQuery = 'SELECT COUNT(DISTINCT notes.id) as total FROM notes';
-                    if (tags) {
-                        let tagArray: string[];
-
-                        if (typeof tags === 'string') {
-                            tagArray = [tags];
-                        } else if (Array.isArray(tags)) {
-                            tagArray = tags.map(tag => String(tag));
-                        } else {
-                            tagArray = [];
-                        }
-
-                        if (tagArray.length > 0) {
-                            const existsSubquery = `
-                                EXISTS (
-                                    SELECT 1
-                                    FROM note_tags
-                                    JOIN tags ON note_tags.tag_id = tags.id
-                                    WHERE note_tags.note_id = notes.id
-                                    AND tags.name IN (${tagArray.map(() => '?').join(', ')})
-                                )
-                            `;
-                            conditions.push(existsSubquery);
-                            params.push(...tagArray);
-                        }
-                    }
-
-                    if (conditions.length > 0) {
-                        countQuery += ' WHERE ' + conditions.join(' AND ');
-                    }
-
-                    // Log count query
-                    console.error('Count Query:', countQuery);
-                    console.error('Count Parameters:', params);
-
-                    const totalResult = db.prepare(countQuery).get(...params.slice(0, -2)) as { total: number };
-
-                    // Fetch tags for all notes in a single query
-                    const noteIds = notes.map(note => note.id);
-                    const tagQuery = `
-                        SELECT note_tags.note_id, tags.name 
-                        FROM note_tags 
-                        JOIN tags ON note_tags.tag_id = tags.id 
-                        WHERE note_tags.note_id IN (${noteIds.map(() => '?').join(',')})
-                    `;
-
-                    const tagResults = db.prepare(tagQuery).all(...noteIds) as { note_id: number; name: string }[];
-
-                    // Group tags by note
-                    const tagsByNote = new Map<number, string[]>();
-                    for (const { note_id, name } of tagResults) {
-                        if (!tagsByNote.has(note_id)) {
-                            tagsByNote.set(note_id, []);
-                        }
-                        tagsByNote.get(note_id)!.push(name);
-                    }
-
-                    // Add tags to notes
-                    for (const note of notes) {
-                        note.tags = tagsByNote.get(note.id) || [];
-                    }
-
-                    return {
-                        notes,
-                        pagination: {
-                            total: totalResult?.total || 0,
-                            page: Number(page),
-                            limit: Number(limit),
-                            totalPages: Math.ceil((totalResult?.total || 0) / Number(limit))
-                        }
-                    };
-                });
-
-                // Execute the transaction and send response
-                console.error('Executing transaction');
-                const result = transaction();
-                console.error('Transaction complete, sending response');
-                res.json(result);
-                console.error('Response sent');
-
+                const filters = req.query as unknown as NoteFilters;
+                res.json(this.noteQueryService.queryNotes(filters));
             } catch (error) {
                 console.error('Error in getNotes:', error);
                 next(error);
             }
         };
 
-        this.expressApp.get('/api/notes', getNotes as express.RequestHandler);
+        this.expressApp.get('/api/notes', validateRequest({ query: noteFiltersQuerySchema }), getNotes as express.RequestHandler);
 
-        this.expressApp.post('/api/notes', async (req: Request, res: Response) => {
+        this.expressApp.post('/api/notes', validateRequest({ body: createNoteBodySchema }), async (req: Request, res: Response, next: NextFunction) => {
             try {
-                const note = req.body as Note;
-                const result = preparedStatements.insertNote.run({
-                    title: note.title,
-                    content: note.content,
-                    conversationId: note.conversation_id,
-                    color_hex: note.color_hex || null
-                });
-
-                const id = result.lastInsertRowid;
-                const noteCount = this.getConversationNoteCount(note.conversation_id);
-                this.webSocketServer.broadcastConversationUpdate({
-                    conversation_id: note.conversation_id,
-                    note_count: noteCount
-                });
-
-                // Handle WebSocket broadcasts
-                if (note.tags && note.tags.length > 0) {
-                    for (const tagName of note.tags) {
-                        let tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
-                        if (!tag) {
-                            const result = preparedStatements.insertTag.run({ name: tagName });
-                            tag = { id: result.lastInsertRowid as number, name: tagName };
-                            this.webSocketServer.broadcastTagCreation({
-                                name: tagName,
-                                note_count: 1
-                            });
-                        } else {
-                            const tagCount = this.getTagNoteCount(tagName);
-                            this.webSocketServer.broadcastTagUpdate({
-                                name: tagName,
-                                note_count: tagCount
-                            });
-                        }
-                    }
-                }
+                const { id } = this.createNote(req.body as CreateNoteBody);
 
                 res.status(201).json({ success: true, id });
             } catch (error) {
-                console.error('Error creating note:', error);
-                res.status(500).json({ success: false, error: 'Failed to create note' });
+                next(error);
             }
         });
 
-        this.expressApp.put('/api/notes/:id', async (req: Request, res: Response) => {
+        this.expressApp.get('/api/notes/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const note = req.body as Note;
-
-                preparedStatements.updateNote.run({ id, content: note.content });
-
-                if (note.tags) {
-                    // Handle tag updates through WebSocket
-                    const existingTags = preparedStatements.getTagsByNoteId.all({ note_id: id }) as { name: string }[];
-                    const existingTagNames = existingTags.map(t => t.name);
-                    const newTags = note.tags.filter(tag => !existingTagNames.includes(tag));
-                    const removedTags = existingTagNames.filter(tag => !note.tags!.includes(tag));
-
-                    for (const tagName of newTags) {
-                        let tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
-                        if (!tag) {
-                            const result = preparedStatements.insertTag.run({ name: tagName });
-                            tag = { id: result.lastInsertRowid as number, name: tagName };
-                            this.webSocketServer.broadcastTagCreation({
-                                name: tagName,
-                                note_count: 1
-                            });
-                        }
-                        const tagCount = this.getTagNoteCount(tagName);
-                        this.webSocketServer.broadcastTagUpdate({
-                            name: tagName,
-                            note_count: tagCount
-                        });
-                    }
-
-                    for (const tagName of removedTags) {
-                        const tagCount = this.getTagNoteCount(tagName);
-                        this.webSocketServer.broadcastTagUpdate({
-                            name: tagName,
-                            note_count: tagCount
-                        });
-                    }
+                const note = this.getNoteWithTags(Number(req.params.id));
+                if (!note) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
                 }
-
-                res.json({ success: true, id });
+                res.json({ note });
             } catch (error) {
-                console.error('Error updating note:', error);
-                res.status(500).json({ success: false, error: 'Failed to update note' });
+                next(error);
             }
         });
 
-        this.expressApp.delete('/api/notes/:id', (async (req: Request, res: Response, next: NextFunction) => {
+        this.expressApp.put('/api/notes/:id', validateRequest({ params: idParamsSchema, body: updateNoteBodySchema }), (async (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const note = preparedStatements.getNoteById.get({ id }) as Note;
-                if (!note) {
+                const id = Number(req.params.id);
+                const note = req.body as NoteUpdate;
+
+                const updated = this.updateNote(id, note);
+                if (!updated) {
                     return res.status(404).json({ success: false, error: 'Note not found' });
                 }
 
-                const tags = preparedStatements.getTagsByNoteId.all({ note_id: id }) as { name: string }[];
-                preparedStatements.deleteNote.run({ id });
-
-                // Broadcast note deletion
-                this.webSocketServer.broadcastNoteDeleted(note);
-
-                // Update conversation count
-                const conversationCount = this.getConversationNoteCount(note.conversation_id);
-                this.webSocketServer.broadcastConversationUpdate({
-                    conversation_id: note.conversation_id,
-                    note_count: conversationCount
-                });
+                res.json({ success: true, id, note: updated });
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
 
-                // Update tag counts
-                for (const tag of tags) {
-                    const tagCount = this.getTagNoteCount(tag.name);
-                    this.webSocketServer.broadcastTagUpdate({
-                        name: tag.name,
-                        note_count: tagCount
-                    });
+        this.expressApp.delete('/api/notes/:id', validateRequest({ params: idParamsSchema }), (async (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const note = this.trashNote(Number(req.params.id));
+                if (!note) {
+                    return res.status(404).json({ success: false, error: 'Note not found' });
                 }
 
                 res.json({ success: true });
@@ -730,512 +1433,3453 @@ class StickyNotesServer {
             }
         }) as RequestHandler);
 
-        // Section Management
-        this.expressApp.get('/api/sections', (req: Request, res: Response) => {
+        // Trash
+        this.expressApp.get('/api/trash', (req: Request, res: Response, next: NextFunction) => {
             try {
-                const sections = preparedStatements.getSections.all();
-                res.json({ sections });
+                res.json({ notes: this.listTrash(), retention_days: config.trash.retentionDays });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch sections' });
+                next(error);
             }
         });
 
-        this.expressApp.post('/api/sections', (req: Request, res: Response) => {
+        this.expressApp.post('/api/trash/restore', validateRequest({ body: noteIdsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { name, order_index } = req.body;
-                const result = preparedStatements.createSection.run({ name, order_index });
-                res.json({ id: result.lastInsertRowid });
+                const { noteIds } = req.body as { noteIds: number[] };
+                const batch = this.restoreNotes(noteIds);
+                res.status(batch.success ? 200 : 400).json(batch);
             } catch (error) {
-                res.status(500).json({ error: 'Failed to create section' });
+                next(error);
             }
         });
 
-        this.expressApp.put('/api/sections/:id', (req: Request, res: Response) => {
+        this.expressApp.post('/api/trash/purge', validateRequest({ body: noteIdsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const { name, order_index } = req.body;
-                preparedStatements.updateSection.run({ id, name, order_index });
-                res.json({ success: true });
+                const { noteIds } = req.body as { noteIds: number[] };
+                const batch = this.purgeNotes(noteIds);
+                res.status(batch.success ? 200 : 400).json(batch);
             } catch (error) {
-                res.status(500).json({ error: 'Failed to update section' });
+                next(error);
             }
         });
 
-        this.expressApp.delete('/api/sections/:id', (req: Request, res: Response) => {
+        this.expressApp.delete('/api/trash', (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                preparedStatements.deleteSection.run({ id });
-                res.json({ success: true });
+                res.json({ success: true, purged: this.emptyTrash() });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to delete section' });
+                next(error);
             }
         });
 
-        // Note Color and Section Management
-        this.expressApp.patch('/api/notes/:id/color', (req: Request, res: Response) => {
+        // Revision History
+        this.expressApp.get('/api/notes/:id/revisions', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const { color_hex } = req.body;
-                preparedStatements.updateNoteColor.run({ id, color_hex });
-                res.json({ success: true });
+                const id = Number(req.params.id);
+                if (!preparedStatements.getNoteById.get({ id })) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.json({ revisions: this.listRevisions(id) });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to update note color' });
+                next(error);
             }
         });
 
-        this.expressApp.patch('/api/notes/:id/section', (req: Request, res: Response) => {
+        // Registered before /revisions/:revisionId, which would otherwise match 'diff' as an id
+        this.expressApp.get('/api/notes/:id/revisions/diff', validateRequest({ params: idParamsSchema, query: revisionDiffQuerySchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const { section_id } = req.body;
-                preparedStatements.updateNoteSection.run({ id, section_id });
-                res.json({ success: true });
+                const { from, to } = req.query as { from?: number; to?: number };
+                const pair = this.resolveRevisionPair(Number(req.params.id), from, to);
+                if (!pair) {
+                    res.status(404).json({ error: 'Revision not found' });
+                    return;
+                }
+                res.json(this.diffRevisions(pair.from, pair.to));
             } catch (error) {
-                res.status(500).json({ error: 'Failed to update note section' });
+                next(error);
             }
         });
 
-        this.expressApp.get('/api/sections/:id/notes', (req: Request, res: Response) => {
+        this.expressApp.get('/api/notes/:id/revisions/:revisionId', validateRequest({ params: revisionParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const notes = preparedStatements.getNotesBySection.all({ section_id: id });
-                res.json({ notes });
+                const revision = this.getRevision(Number(req.params.id), Number(req.params.revisionId));
+                if (!revision) {
+                    res.status(404).json({ error: 'Revision not found' });
+                    return;
+                }
+                res.json({ revision });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch notes for section' });
+                next(error);
             }
         });
 
-        // Tag Hierarchy Management
-        this.expressApp.get('/api/tags/hierarchy', (req: Request, res: Response) => {
+        this.expressApp.post('/api/notes/:id/revisions/:revisionId/restore', validateRequest({ params: revisionParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const tags = preparedStatements.getTagHierarchy.all();
-                res.json({ tags });
+                const id = Number(req.params.id);
+                const revision = this.getRevision(id, Number(req.params.revisionId));
+                if (!revision) {
+                    res.status(404).json({ error: 'Revision not found' });
+                    return;
+                }
+                const note = this.restoreRevision(id, revision);
+                if (!note) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.json({ success: true, note });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch tag hierarchy' });
+                next(error);
             }
         });
 
-        this.expressApp.patch('/api/tags/:id/parent', (req: Request, res: Response) => {
+        // Links
+        this.expressApp.get('/api/notes/:id/links', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { id } = req.params;
-                const { parent_id } = req.body;
-                preparedStatements.updateTagParent.run({ id, parent_id });
-                res.json({ success: true });
+                const id = Number(req.params.id);
+                if (!preparedStatements.getNoteById.get({ id })) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.json({ links: this.getNoteLinks(id) });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to update tag parent' });
+                next(error);
             }
         });
 
-        // Register the routes
-        this.expressApp.get('/api/tags', (req: Request, res: Response) => {
+        this.expressApp.get('/api/notes/:id/backlinks', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const tags = db.prepare('SELECT DISTINCT name FROM tags ORDER BY name').all() as { name: string }[];
-                res.json({ tags: tags.map(t => t.name) });
+                const id = Number(req.params.id);
+                if (!preparedStatements.getNoteById.get({ id })) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.json({ backlinks: this.getBacklinks(id) });
             } catch (error) {
-                console.error('Error fetching tags:', error);
-                res.status(500).json({ error: 'Failed to fetch tags' });
+                next(error);
             }
         });
 
-        // Add bulk color update endpoint
-        this.expressApp.patch('/api/notes/bulk/color', ((req: Request, res: Response, next: NextFunction) => {
+        this.expressApp.get('/api/notes/:id/related', validateRequest({ params: idParamsSchema, query: relatedNotesQuerySchema }), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { noteIds, color_hex } = req.body;
-
-                if (!Array.isArray(noteIds) || !color_hex) {
-                    return res.status(400).json({ error: 'Invalid request parameters' });
+                const { limit } = req.query as unknown as { limit: number };
+                const related = this.relatedNotesService.findRelated(Number(req.params.id), limit);
+                if (!related) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
                 }
+                res.json({ related });
+            } catch (error) {
+                next(error);
+            }
+        });
 
-                const updateStmt = db.prepare(`
-                    UPDATE notes 
-                    SET color_hex = ?,
-                        updated_at = strftime('%s', 'now')
-                    WHERE id = ?
-                `);
+        this.expressApp.get('/api/links/broken', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                res.json({ links: preparedStatements.getBrokenLinks.all() });
+            } catch (error) {
+                next(error);
+            }
+        });
 
-                db.transaction(() => {
-                    for (const id of noteIds) {
-                        updateStmt.run(color_hex, id);
-                    }
-                })();
+        // Attachments
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: config.attachments.maxFileSize, files: 1 },
+            // Browsers send file names as raw UTF-8
+            defParamCharset: 'utf8'
+        });
 
-                res.json({ success: true });
+        this.expressApp.get('/api/notes/:id/attachments', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const id = Number(req.params.id);
+                if (!preparedStatements.getNoteById.get({ id })) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.json({ attachments: this.listAttachments(id) });
             } catch (error) {
                 next(error);
             }
-        }) as RequestHandler);
+        });
 
-        // Add markdown rendering endpoint
-        this.expressApp.post('/api/markdown/render', (req: Request, res: Response) => {
+        this.expressApp.post('/api/notes/:id/attachments', validateRequest({ params: idParamsSchema }), upload.single('file'), (req: Request, res: Response, next: NextFunction) => {
             try {
-                const { content } = req.body;
-                if (!content || typeof content !== 'string') {
-                    res.status(400).json({ error: 'Invalid content' });
+                if (!req.file) {
+                    res.status(400).json({ error: 'Send the file as the "file" field of a multipart/form-data request' });
                     return;
                 }
-
-                const html = renderMarkdown(content);
-                res.json({ html });
+                const { filename, mimeType } = validate(attachmentFileSchema, { filename: req.file.originalname, mimeType: req.file.mimetype });
+                const attachment = this.addAttachment(Number(req.params.id), filename, mimeType, req.file.buffer);
+                if (!attachment) {
+                    res.status(404).json({ error: 'Note not found' });
+                    return;
+                }
+                res.status(201).json({ attachment });
             } catch (error) {
-                console.error('Error rendering markdown:', error);
-                res.status(500).json({ error: 'Failed to render markdown' });
+                next(error);
             }
         });
 
-        // Add after other API routes
-        this.expressApp.post('/api/notes/export', (async (req: Request, res: Response, next: NextFunction) => {
+        this.expressApp.get('/api/attachments/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const id = Number(req.params.id);
+                const attachment = preparedStatements.getAttachmentById.get({ id }) as Attachment | undefined;
+                if (!attachment) {
+                    res.status(404).json({ error: 'Attachment not found' });
+                    return;
+                }
+                const { data } = preparedStatements.getAttachmentData.get({ id }) as { data: Buffer };
+
+                // res.attachment() encodes the file name; safe types are shown in place unless ?download is given
+                res.attachment(attachment.filename);
+                if (isInlineMimeType(attachment.mime_type) && req.query.download === undefined) {
+                    res.set('Content-Disposition', res.get('Content-Disposition')!.replace(/^attachment/, 'inline'));
+                }
+                res.set({
+                    'Content-Type': attachment.mime_type,
+                    'X-Content-Type-Options': 'nosniff',
+                    // Uploaded content must never run scripts on this origin
+                    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+                });
+                res.send(data);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/attachments/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const id = Number(req.params.id);
+                if (!preparedStatements.getAttachmentById.get({ id })) {
+                    res.status(404).json({ error: 'Attachment not found' });
+                    return;
+                }
+                preparedStatements.deleteAttachment.run({ id });
+                res.json({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.get('/api/tasks', validateRequest({ query: taskFiltersQuerySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                res.json(this.listTasks(req.query as unknown as TaskFilters));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.patch('/api/notes/:id/tasks/:line', validateRequest({ params: taskParamsSchema, body: toggleTaskBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const task = this.toggleTask(Number(req.params.id), Number(req.params.line), req.body.done);
+                if (!task) {
+                    res.status(404).json({ error: 'Task not found' });
+                    return;
+                }
+                res.json({ success: true, task });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Templates
+        this.expressApp.get('/api/templates', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const templates = (preparedStatements.getTemplates.all() as NoteTemplateRow[]).map(row => this.toTemplate(row));
+                res.json({ templates });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/templates', validateRequest({ body: createTemplateBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const fields = req.body as NoteTemplateFields;
+                const problem = this.checkTemplateFields(fields);
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                res.status(201).json({ success: true, template: this.saveTemplate(fields) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.get('/api/templates/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const template = this.findTemplate(Number(req.params.id));
+                if (!template) {
+                    res.status(404).json({ error: 'Template not found' });
+                    return;
+                }
+                res.json({ template });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.put('/api/templates/:id', validateRequest({ params: idParamsSchema, body: updateTemplateBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const template = this.findTemplate(Number(req.params.id));
+                if (!template) {
+                    res.status(404).json({ error: 'Template not found' });
+                    return;
+                }
+                const update = req.body as Partial<NoteTemplateFields>;
+                const fields: NoteTemplateFields = {
+                    name: update.name ?? template.name,
+                    title: update.title ?? template.title,
+                    content: update.content ?? template.content,
+                    tags: update.tags ?? template.tags,
+                    color_hex: update.color_hex === undefined ? template.color_hex : update.color_hex,
+                    section_id: update.section_id === undefined ? template.section_id : update.section_id
+                };
+                const problem = this.checkTemplateFields(fields, template.id);
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                res.json({ success: true, template: this.saveTemplate(fields, template.id) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/templates/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const result = preparedStatements.deleteTemplate.run({ id: Number(req.params.id) });
+                if (result.changes === 0) {
+                    res.status(404).json({ error: 'Template not found' });
+                    return;
+                }
+                res.json({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Fills a template without creating a note, so the UI can prefill the editor
+        this.expressApp.post('/api/templates/:id/render', validateRequest({ params: idParamsSchema, body: renderTemplateBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const template = this.findTemplate(Number(req.params.id));
+                if (!template) {
+                    res.status(404).json({ error: 'Template not found' });
+                    return;
+                }
+                const { conversation_id, variables } = req.body as { conversation_id: string; variables: Record<string, string> };
+                const { title, content, tags, color_hex, section_id } = this.fillNoteTemplate(template, conversation_id, variables);
+                res.json({ title, content, tags, color_hex, section_id });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Saved views
+        this.expressApp.get('/api/views', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const views = (preparedStatements.getSavedViews.all() as SavedViewRow[]).map(row => this.toSavedView(row));
+                res.json({ views });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/views', validateRequest({ body: createViewBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const fields = req.body as SavedViewFields;
+                const problem = this.checkSavedViewName(fields.name);
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                res.status(201).json({ success: true, view: this.saveSavedView(fields) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.get('/api/views/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const view = this.findSavedView(Number(req.params.id));
+                if (!view) {
+                    res.status(404).json({ error: 'View not found' });
+                    return;
+                }
+                res.json({ view });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.put('/api/views/:id', validateRequest({ params: idParamsSchema, body: updateViewBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const view = this.findSavedView(Number(req.params.id));
+                if (!view) {
+                    res.status(404).json({ error: 'View not found' });
+                    return;
+                }
+                const update = req.body as Partial<SavedViewFields>;
+                const fields: SavedViewFields = {
+                    name: update.name ?? view.name,
+                    filters: update.filters ?? view.filters,
+                    sort: update.sort === undefined ? view.sort : update.sort
+                };
+                const problem = this.checkSavedViewName(fields.name, view.id);
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                res.json({ success: true, view: this.saveSavedView(fields, view.id) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/views/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const result = preparedStatements.deleteSavedView.run({ id: Number(req.params.id) });
+                if (result.changes === 0) {
+                    res.status(404).json({ error: 'View not found' });
+                    return;
+                }
+                this.notifyResourceListChanged();
+                res.json({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Section Management
+        this.expressApp.get('/api/sections', (req: Request, res: Response) => {
+            try {
+                const sections = preparedStatements.getSections.all();
+                res.json({ sections });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch sections' });
+            }
+        });
+
+        this.expressApp.post('/api/sections', validateRequest({ body: createSectionSchema }), (req: Request, res: Response) => {
+            try {
+                const { name, order_index } = req.body as { name: string; order_index?: number };
+                const section = this.createSection(name, order_index);
+                res.json({ id: section.id });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to create section' });
+            }
+        });
+
+        this.expressApp.put('/api/sections/:id', validateRequest({ params: idParamsSchema, body: updateSectionBodySchema }), (req: Request, res: Response) => {
+            try {
+                const id = Number(req.params.id);
+                const { name, order_index } = req.body as { name?: string; order_index?: number };
+                const section = preparedStatements.getSectionById.get({ id }) as SectionRecord | undefined;
+                if (!section) {
+                    res.status(404).json({ error: 'Section not found' });
+                    return;
+                }
+                preparedStatements.updateSection.run({
+                    id,
+                    name: name ?? section.name,
+                    order_index: order_index ?? section.order_index
+                });
+                this.notifyResourceListChanged();
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to update section' });
+            }
+        });
+
+        this.expressApp.delete('/api/sections/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response) => {
+            try {
+                const { id } = req.params;
+                if (preparedStatements.deleteSection.run({ id }).changes === 0) {
+                    res.status(404).json({ error: 'Section not found' });
+                    return;
+                }
+                this.notifyResourceListChanged();
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to delete section' });
+            }
+        });
+
+        // Bulk endpoints are registered before the /api/notes/:id routes, which would otherwise match 'bulk' as an id
+
+        // Add bulk color update endpoint
+        this.expressApp.patch('/api/notes/bulk/color', validateRequest({ body: bulkColorBodySchema }), ((req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { noteIds, color_hex } = req.body as { noteIds: number[]; color_hex: string };
+
+                const updateStmt = db.prepare(`
+                    UPDATE notes 
+                    SET color_hex = ?,
+                        updated_at = strftime('%s', 'now')
+                    WHERE id = ? AND deleted_at IS NULL
+                `);
+
+                db.transaction(() => {
+                    for (const id of noteIds) {
+                        updateStmt.run(color_hex, id);
+                        this.recordRevision(id);
+                    }
+                })();
+
+                this.notifyResourcesChanged(noteIds.map(id => this.getNoteWithTags(id)), false);
+
+                res.json({ success: true });
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
+
+        this.expressApp.patch('/api/notes/bulk/state', validateRequest({ body: setNoteStateSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { noteIds, pinned, archived } = req.body as { noteIds: number[]; pinned?: boolean; archived?: boolean };
+                const batch = this.setNoteState(noteIds, { pinned, archived });
+                res.status(batch.success ? 200 : 400).json(batch);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/notes/bulk', validateRequest({ body: batchCreateNotesBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { notes } = req.body as { notes: CreateNoteBody[] };
+                const batch = this.batchCreateNotes(notes);
+                res.status(batch.success ? 201 : 400).json(batch);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.patch('/api/notes/bulk/tags', validateRequest({ body: batchTagNotesBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { noteIds, conversation_id, addTags, removeTags } = req.body as { noteIds?: number[]; conversation_id?: string; addTags: string[]; removeTags: string[] };
+                const batch = this.batchTagNotes(this.resolveBatchTagTargets(noteIds, conversation_id), addTags, removeTags);
+                res.status(batch.success ? 200 : 400).json(batch);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/notes/bulk/delete', validateRequest({ body: noteIdsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { noteIds } = req.body as { noteIds: number[] };
+                const batch = this.batchDeleteNotes(noteIds);
+                res.status(batch.success ? 200 : 400).json(batch);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Note Color and Section Management
+        this.expressApp.patch('/api/notes/:id/color', validateRequest({ params: idParamsSchema, body: noteColorBodySchema }), ((req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { color_hex } = req.body as { color_hex: string };
+                const note = this.updateNote(Number(req.params.id), { color_hex });
+                if (!note) {
+                    return res.status(404).json({ error: 'Note not found' });
+                }
+                res.json({ success: true, note });
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
+
+        this.expressApp.patch('/api/notes/:id/state', validateRequest({ params: idParamsSchema, body: noteStateBodySchema }), ((req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { pinned, archived } = req.body as { pinned?: boolean; archived?: boolean };
+                const note = this.updateNote(Number(req.params.id), { pinned, archived });
+                if (!note) {
+                    return res.status(404).json({ error: 'Note not found' });
+                }
+                res.json({ success: true, note });
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
+
+        this.expressApp.patch('/api/notes/:id/section', validateRequest({ params: idParamsSchema, body: noteSectionBodySchema }), ((req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { section_id } = req.body as { section_id: number | null };
+                // An unknown section is a 400 on section_id even when the note is missing too
+                this.checkSectionExists(section_id);
+                const note = this.updateNote(Number(req.params.id), { section_id });
+                if (!note) {
+                    return res.status(404).json({ error: 'Note not found' });
+                }
+                res.json({ success: true, note });
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
+
+        this.expressApp.get('/api/sections/:id/notes', validateRequest({ params: idParamsSchema }), (req: Request, res: Response) => {
+            try {
+                const { id } = req.params;
+                const notes = preparedStatements.getNotesBySection.all({ section_id: id, archived: 'exclude' });
+                res.json({ notes });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch notes for section' });
+            }
+        });
+
+        // Tag Hierarchy Management
+        this.expressApp.get('/api/tags/hierarchy', (req: Request, res: Response) => {
+            try {
+                const tags = preparedStatements.getTagHierarchy.all();
+                res.json({ tags });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch tag hierarchy' });
+            }
+        });
+
+        this.expressApp.patch('/api/tags/:id/parent', validateRequest({ params: idParamsSchema, body: tagParentBodySchema }), (req: Request, res: Response) => {
+            try {
+                const { id } = req.params;
+                const { parent_id } = req.body;
+                const tag = preparedStatements.getTagById.get({ id }) as TagRecord | undefined;
+                if (!tag) {
+                    res.status(404).json({ error: 'Tag not found' });
+                    return;
+                }
+                const problem = this.checkTagParent(tag, parent_id);
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                preparedStatements.updateTagParent.run({ id, parent_id });
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to update tag parent' });
+            }
+        });
+
+        // Register the routes
+        this.expressApp.get('/api/tags', validateRequest({ query: tagListQuerySchema }), (req: Request, res: Response) => {
+            try {
+                const { detail } = req.query as { detail?: boolean };
+                const tags = preparedStatements.getTagsWithCounts.all() as TagWithCount[];
+                res.json({ tags: detail ? tags : tags.map(tag => tag.name) });
+            } catch (error) {
+                console.error('Error fetching tags:', error);
+                res.status(500).json({ error: 'Failed to fetch tags' });
+            }
+        });
+
+        this.expressApp.post('/api/tags', validateRequest({ body: createTagSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { name, parent_id = null } = req.body as { name: string; parent_id?: number | null };
+                if (preparedStatements.getTagByName.get({ name })) {
+                    res.status(409).json({ error: `Tag ${name} already exists` });
+                    return;
+                }
+                if (parent_id !== null && !preparedStatements.getTagById.get({ id: parent_id })) {
+                    res.status(404).json({ error: `Parent tag with id ${parent_id} not found` });
+                    return;
+                }
+                res.status(201).json({ success: true, tag: this.createTag(name, parent_id) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Deletes tags that no note uses
+        this.expressApp.post('/api/tags/cleanup', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                res.json({ success: true, deleted: this.cleanupTags() });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.get('/api/tags/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const tag = this.getTag(Number(req.params.id));
+                if (!tag) {
+                    res.status(404).json({ error: 'Tag not found' });
+                    return;
+                }
+                res.json({ tag });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.put('/api/tags/:id', validateRequest({ params: idParamsSchema, body: updateTagBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { name, parent_id } = req.body as { name?: string; parent_id?: number | null };
+                let tag = this.getTag(Number(req.params.id));
+                if (!tag) {
+                    res.status(404).json({ error: 'Tag not found' });
+                    return;
+                }
+                const existing = name !== undefined ? preparedStatements.getTagByName.get({ name }) as TagRecord | undefined : undefined;
+                if (existing && existing.id !== tag.id) {
+                    res.status(409).json({ error: `Tag ${name} already exists; merge into it instead` });
+                    return;
+                }
+                const problem = parent_id !== undefined ? this.checkTagParent(tag, parent_id) : null;
+                if (problem) {
+                    res.status(problem.status).json({ error: problem.error });
+                    return;
+                }
+                if (parent_id !== undefined) {
+                    preparedStatements.updateTagParent.run({ id: tag.id, parent_id });
+                }
+                if (name !== undefined && name !== tag.name) {
+                    tag = this.renameTag(tag, name);
+                }
+                res.json({ success: true, tag: this.getTag(tag.id) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/tags/:id/merge', validateRequest({ params: idParamsSchema, body: mergeTagBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { into } = req.body as { into: number };
+                const source = this.getTag(Number(req.params.id));
+                const target = this.getTag(into);
+                if (!source || !target) {
+                    res.status(404).json({ error: 'Tag not found' });
+                    return;
+                }
+                if (source.id === target.id) {
+                    res.status(400).json({ error: 'Cannot merge a tag into itself' });
+                    return;
+                }
+                res.json({ success: true, tag: this.mergeTags(source, target) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/tags/:id', validateRequest({ params: idParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const tag = this.getTag(Number(req.params.id));
+                if (!tag) {
+                    res.status(404).json({ error: 'Tag not found' });
+                    return;
+                }
+                res.json({ success: true, notes: this.deleteTag(tag) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+
+        // Add markdown rendering endpoint
+        this.expressApp.post('/api/markdown/render', (req: Request, res: Response) => {
+            try {
+                const { content } = req.body;
+                if (!content || typeof content !== 'string') {
+                    res.status(400).json({ error: 'Invalid content' });
+                    return;
+                }
+
+                const html = renderMarkdown(content, target => this.resolveWikiLink(target));
+                res.json({ html });
+            } catch (error) {
+                console.error('Error rendering markdown:', error);
+                res.status(500).json({ error: 'Failed to render markdown' });
+            }
+        });
+
+        // Add after other API routes
+        this.expressApp.post('/api/notes/export', (async (req: Request, res: Response, next: NextFunction) => {
             try {
                 const { noteIds } = req.body;
 
-                if (!Array.isArray(noteIds) || noteIds.length === 0) {
-                    return res.status(400).json({ error: 'Invalid note IDs' });
+                if (!Array.isArray(noteIds) || noteIds.length === 0) {
+                    return res.status(400).json({ error: 'Invalid note IDs' });
+                }
+
+                // Fetch notes with their tags
+                const notes = noteIds.map(id => {
+                    const note = db.prepare(`
+                        SELECT notes.*, GROUP_CONCAT(tags.name) as tag_list 
+                        FROM notes 
+                        LEFT JOIN note_tags ON notes.id = note_tags.note_id 
+                        LEFT JOIN tags ON note_tags.tag_id = tags.id 
+                        WHERE notes.id = ? AND notes.deleted_at IS NULL
+                        GROUP BY notes.id
+                    `).get(id) as Note & { tag_list: string | null };
+
+                    if (!note) {
+                        throw new Error(`Note with ID ${id} not found`);
+                    }
+
+                    return {
+                        ...note,
+                        tags: note.tag_list ? note.tag_list.split(',') : [],
+                        properties: this.getNoteProperties(note.id),
+                        attachments: preparedStatements.getAttachmentsWithDataByNoteId.all({ note_id: note.id })
+                    } as Note & { attachments: (Attachment & { data: Buffer })[] };
+                });
+
+                // Generate markdown content
+                let markdown = '';
+
+                if (notes.length === 1) {
+                    const note = notes[0];
+                    markdown = this.exportService.exportNote(note, {
+                        includeMetadata: true,
+                        format: 'md'
+                    });
+                } else {
+                    markdown = this.exportService.exportNotes(notes, {
+                        includeMetadata: true,
+                        format: 'md'
+                    });
+                }
+
+                // Set headers for file download
+                res.setHeader('Content-Type', 'text/markdown');
+                res.setHeader('Content-Disposition', 'attachment; filename="notes.md"');
+
+                res.send(markdown);
+            } catch (error) {
+                next(error);
+            }
+        }) as RequestHandler);
+
+        // Root route
+        this.expressApp.get('/', (req: Request, res: Response) => {
+            res.sendFile(join(publicPath, 'index.html'));
+        });
+
+        // Add conversations endpoint
+        this.expressApp.get('/api/conversations', (req: Request, res: Response) => {
+            try {
+                const conversations = preparedStatements.getConversations.all() as ConversationRecord[];
+                res.json({ conversations });
+            } catch (error) {
+                console.error('Error fetching conversations:', error);
+                res.status(500).json({ error: 'Failed to fetch conversations' });
+            }
+        });
+
+        this.expressApp.get('/api/conversations/:id', validateRequest({ params: conversationParamsSchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const conversation = this.getConversation(req.params.id);
+                if (!conversation) {
+                    res.status(404).json({ error: 'Conversation not found' });
+                    return;
+                }
+                res.json({ conversation });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Changes the title or description; a new conversation_id renames the conversation
+        this.expressApp.put('/api/conversations/:id', validateRequest({ params: conversationParamsSchema, body: updateConversationBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                let conversationId = req.params.id;
+                const { title, description, conversation_id } = req.body as { title?: string | null; description?: string | null; conversation_id?: string };
+                if (!this.getConversation(conversationId)) {
+                    res.status(404).json({ error: 'Conversation not found' });
+                    return;
+                }
+                if (conversation_id !== undefined && conversation_id !== conversationId) {
+                    if (this.getConversation(conversation_id)) {
+                        res.status(409).json({ error: `Conversation ${conversation_id} already exists; merge into it instead` });
+                        return;
+                    }
+                    this.mergeConversations(conversationId, conversation_id);
+                    conversationId = conversation_id;
+                }
+                const conversation = title !== undefined || description !== undefined
+                    ? this.updateConversationDetails(conversationId, { title, description })
+                    : this.getConversation(conversationId);
+                res.json({ success: true, conversation });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/conversations/:id/merge', validateRequest({ params: conversationParamsSchema, body: mergeConversationBodySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { into } = req.body as { into: string };
+                if (!this.getConversation(req.params.id) || !this.getConversation(into)) {
+                    res.status(404).json({ error: 'Conversation not found' });
+                    return;
+                }
+                if (into === req.params.id) {
+                    res.status(400).json({ error: 'Cannot merge a conversation into itself' });
+                    return;
+                }
+                res.json({ success: true, conversation: this.mergeConversations(req.params.id, into) });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/conversations/:id', validateRequest({ params: conversationParamsSchema, query: deleteConversationQuerySchema }), (req: Request, res: Response, next: NextFunction) => {
+            try {
+                const { notes, moveTo } = req.query as unknown as { notes: 'move' | 'trash'; moveTo: string };
+                if (!this.getConversation(req.params.id)) {
+                    res.status(404).json({ error: 'Conversation not found' });
+                    return;
+                }
+                if (notes === 'move' && moveTo === req.params.id) {
+                    res.status(400).json({ error: 'moveTo must be another conversation' });
+                    return;
+                }
+                const count = this.deleteConversation(req.params.id, notes, moveTo);
+                res.json({ success: true, notes: count });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // Add WebSocket port configuration endpoint
+        this.expressApp.get('/api/config/ws-port', async (req: Request, res: Response) => {
+            try {
+                const port = this.webSocketServer.getCurrentPort();
+                if (!port) {
+                    throw new Error('WebSocket server not initialized or disabled');
+                }
+                res.json({ port });
+            } catch (error) {
+                console.error('Error getting WebSocket port:', error);
+                res.status(500).json({ error: 'Failed to get WebSocket port configuration' });
+            }
+        });
+
+        // Add configuration endpoint
+        this.expressApp.get('/api/config', async (req: Request, res: Response) => {
+            try {
+                res.json({
+                    webPort: WEB_UI_PORT,
+                    wsPort: this.webSocketServer.getCurrentPort(),
+                    dbPath: DB_PATH
+                });
+            } catch (error) {
+                console.error('Error getting configuration:', error);
+                res.status(500).json({ error: 'Failed to get server configuration' });
+            }
+        });
+
+        // Full-text index maintenance: how the index compares with the notes, and rebuilding,
+        // optimizing or dropping it
+        this.expressApp.get('/api/admin/fts', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                res.json({ success: true, enabled: config.features?.enableFTS ?? false, index: this.ftsIndexService.status() });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/admin/fts/rebuild', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                if (!config.features?.enableFTS) {
+                    res.status(409).json({ error: 'Full-text search is disabled; enable enableFTS to build the index' });
+                    return;
+                }
+                res.json({ success: true, index: this.ftsIndexService.rebuild() });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.post('/api/admin/fts/optimize', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                if (!config.features?.enableFTS) {
+                    res.status(409).json({ error: 'Full-text search is disabled; there is no index to optimize' });
+                    return;
+                }
+                res.json({ success: true, index: this.ftsIndexService.optimize() });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.expressApp.delete('/api/admin/fts', (req: Request, res: Response, next: NextFunction) => {
+            try {
+                if (config.features?.enableFTS) {
+                    res.status(409).json({ error: 'Full-text search is enabled and searches use the index; disable enableFTS first' });
+                    return;
+                }
+                this.ftsIndexService.drop();
+                res.json({ success: true, index: this.ftsIndexService.status() });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        if (config.features.enableMcpHttp) {
+            this.setupMcpHttp();
+        }
+
+        // Register error handler after all routes
+        this.expressApp.use(errorHandler);
+
+        // Find available port starting from configured port
+        const port = await findAvailablePort(WEB_UI_PORT);
+        if (!port) {
+            throw new Error(`Could not find available port after trying ${WEB_UI_PORT} through ${WEB_UI_PORT + 100}`);
+        }
+
+        this.expressApp.listen(port, () => {
+            console.error(`Web UI running at http://localhost:${port}${port !== WEB_UI_PORT ? ` (original port ${WEB_UI_PORT} was in use)` : ''}`);
+            if (config.features.enableMcpHttp) {
+                console.error(`MCP HTTP endpoint at http://localhost:${port}/mcp`);
+            }
+        });
+    }
+
+    // Serves MCP over Streamable HTTP at /mcp, sharing this process and database. An initialize
+    // request opens a session; later POST, GET (notification stream) and DELETE (close) requests
+    // carry its Mcp-Session-Id header. Only loopback hosts and origins are accepted, so a web page
+    // can not reach the endpoint through DNS rebinding or a cross-site request.
+    private setupMcpHttp() {
+        const mcpError = (res: Response, status: number, message: string) => {
+            res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+        };
+
+        const originValidation: RequestHandler = (req, res, next) => {
+            const origin = req.headers.origin;
+            if (origin !== undefined) {
+                let hostname: string | null = null;
+                try {
+                    hostname = new URL(origin).hostname;
+                } catch {
+                    // An unparseable origin, including "null", is rejected below
+                }
+                if (!hostname || !MCP_HTTP_HOSTNAMES.includes(hostname)) {
+                    mcpError(res, 403, `Invalid Origin: ${origin}`);
+                    return;
+                }
+            }
+            next();
+        };
+
+        this.expressApp.all('/mcp', hostHeaderValidation(MCP_HTTP_HOSTNAMES), originValidation, async (req: Request, res: Response) => {
+            const sessionId = req.header('mcp-session-id');
+            let transport = sessionId ? this.httpTransports.get(sessionId) : undefined;
+            let opened = false;
+
+            if (sessionId && !transport) {
+                mcpError(res, 404, 'Unknown or expired MCP session');
+                return;
+            }
+
+            try {
+                if (!transport) {
+                    if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+                        mcpError(res, 400, 'No MCP session: send an initialize request without an Mcp-Session-Id header');
+                        return;
+                    }
+
+                    const session = this.createSession();
+                    const newTransport = new StreamableHTTPServerTransport({
+                        sessionIdGenerator: () => randomUUID(),
+                        onsessioninitialized: id => {
+                            this.httpTransports.set(id, newTransport);
+                            console.error(`MCP HTTP session opened: ${id}`);
+                        }
+                    });
+                    newTransport.onclose = () => {
+                        if (newTransport.sessionId) {
+                            this.httpTransports.delete(newTransport.sessionId);
+                        }
+                        this.sessions.delete(session);
+                    };
+                    await session.server.connect(newTransport);
+                    transport = newTransport;
+                    opened = true;
+                }
+
+                // express.json() has already consumed the stream, so hand over the parsed body
+                await transport.handleRequest(req, res, req.body);
+
+                // An initialize request the transport rejected leaves a session nobody can reach
+                if (opened && !transport.sessionId) {
+                    await transport.close();
+                }
+            } catch (error) {
+                console.error('Error handling MCP HTTP request:', error);
+                if (!res.headersSent) {
+                    mcpError(res, 500, 'Internal server error');
+                }
+            }
+        });
+    }
+
+    private async setupWebSocket() {
+        await this.webSocketServer.initialize();
+    }
+
+    private setupResourceHandlers(session: McpSession) {
+        const { server, subscriptions } = session;
+
+        // List resources handler
+        server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+            let offset = 0;
+            const cursor = request.params?.cursor;
+            if (cursor) {
+                try {
+                    offset = (JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) as ResourceCursor).offset;
+                } catch {
+                    offset = NaN;
+                }
+                if (!Number.isInteger(offset) || offset < 0) {
+                    throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+                }
+            }
+
+            const resources = this.listResources();
+            const page = resources.slice(offset, offset + RESOURCE_PAGE_SIZE);
+            const nextOffset = offset + page.length;
+            const nextCursor: ResourceCursor = { offset: nextOffset };
+
+            return {
+                resources: page,
+                ...(nextOffset < resources.length
+                    ? { nextCursor: Buffer.from(JSON.stringify(nextCursor)).toString('base64url') }
+                    : {})
+            };
+        });
+
+        server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const key = resourceKey(request.params.uri);
+            if (!subscriptions.has(key)) {
+                subscriptions.set(key, new Set());
+            }
+            subscriptions.get(key)!.add(request.params.uri);
+            return {};
+        });
+
+        server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            const key = resourceKey(request.params.uri);
+            const uris = subscriptions.get(key);
+            uris?.delete(request.params.uri);
+            if (!uris?.size) {
+                subscriptions.delete(key);
+            }
+            return {};
+        });
+
+        // List resource templates handler
+        server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: [
+                {
+                    uriTemplate: 'notes://{conversationId}',
+                    name: 'Notes by Conversation ID',
+                    mimeType: 'application/json',
+                    description: 'Returns all notes for a given conversation ID, pinned first. Archived notes are left out unless ?archived=include or ?archived=only. Append ?format=md or ?format=html for a readable document',
+                },
+                {
+                    uriTemplate: 'note://{id}',
+                    name: 'Note by ID',
+                    mimeType: 'application/json',
+                    description: 'Returns a single note by ID. Append ?format=md or ?format=html for a readable document',
+                },
+                {
+                    uriTemplate: 'tag://{name}',
+                    name: 'Notes by Tag',
+                    mimeType: 'application/json',
+                    description: 'Returns all notes with a given tag, pinned first. Archived notes are left out unless ?archived=include or ?archived=only. Append ?format=md or ?format=html for a readable document',
+                },
+                {
+                    uriTemplate: 'section://{id}',
+                    name: 'Notes by Section',
+                    mimeType: 'application/json',
+                    description: 'Returns a section and the notes assigned to it, pinned first. Archived notes are left out unless ?archived=include or ?archived=only. Append ?format=md or ?format=html for a readable document',
+                },
+                {
+                    uriTemplate: 'view://{name}',
+                    name: 'Notes in a Saved View',
+                    mimeType: 'application/json',
+                    description: 'Returns a saved view and the notes matching its filters, in its sort order. Append ?format=md or ?format=html for a readable document',
+                },
+            ],
+            tools: []
+        }));
+
+        // Read resource handler
+        server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const uri = request.params.uri;
+            const path = resourceKey(uri);
+            const format = resourceFormat(uri);
+            const archived = resourceArchivedFilter(uri);
+
+            if (path.startsWith('notes://')) {
+                const conversationId = path.substring('notes://'.length);
+                const notes = preparedStatements.getNotesByConversation.all({ conversationId, archived }) as Note[];
+                this.noteQueryService.attachTags(notes);
+                this.noteQueryService.attachProperties(notes);
+                return this.notesResource(uri, format, `Conversation: ${conversationId}`, notes);
+            } else if (path.startsWith('note://')) {
+                const id = path.substring('note://'.length);
+                const note = this.getNoteWithTags(Number(id));
+                if (!note) {
+                    throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                }
+                return {
+                    contents: [{
+                        uri: uri,
+                        mimeType: RESOURCE_MIME_TYPES[format],
+                        text: format === 'json'
+                            ? JSON.stringify(note, null, 2)
+                            : this.exportService.exportNote(note, { includeMetadata: true, format })
+                    }],
+                    tools: []
+                };
+            } else if (path.startsWith('tag://')) {
+                const name = path.substring('tag://'.length);
+                const notes = preparedStatements.getNotesByTag.all({ name, archived }) as Note[];
+                this.noteQueryService.attachTags(notes);
+                this.noteQueryService.attachProperties(notes);
+                return this.notesResource(uri, format, `Tag: ${name}`, notes);
+            } else if (path.startsWith('section://')) {
+                const id = path.substring('section://'.length);
+                const section = preparedStatements.getSectionById.get({ id }) as SectionRecord | undefined;
+                if (!section) {
+                    throw new McpError(ErrorCode.InvalidParams, `Section with id ${id} not found`);
+                }
+                const notes = preparedStatements.getNotesBySection.all({ section_id: id, archived }) as Note[];
+                this.noteQueryService.attachTags(notes);
+                this.noteQueryService.attachProperties(notes);
+                return this.notesResource(uri, format, `Section: ${section.name}`, notes, { section, notes });
+            } else if (path.startsWith('view://')) {
+                const name = path.substring('view://'.length);
+                const view = this.findSavedView(name);
+                if (!view) {
+                    throw new McpError(ErrorCode.InvalidParams, `View ${JSON.stringify(name)} not found`);
+                }
+                // LIMIT -1 is SQLite for no limit, so the resource holds every matching note like tag:// does
+                const { notes } = this.noteQueryService.findNotes(viewNoteFilters(view.filters, view.sort, 1, -1), -1, 0);
+                return this.notesResource(uri, format, `View: ${view.name}`, notes, { view, notes });
+            } else {
+                throw new McpError(ErrorCode.InvalidParams, `Invalid URI: ${uri}`);
+            }
+        });
+    }
+
+    // Builds a resources/read result for a list of notes in the requested format
+    private notesResource(uri: string, format: ResourceFormat, title: string, notes: Note[], json: unknown = notes) {
+        return {
+            contents: [{
+                uri: uri,
+                mimeType: RESOURCE_MIME_TYPES[format],
+                text: format === 'json'
+                    ? JSON.stringify(json, null, 2)
+                    : this.exportService.exportNotes(notes, { includeMetadata: true, title, format })
+            }],
+            tools: []
+        };
+    }
+
+    // Enumerates conversations, recently updated notes, tags, sections and saved views as concrete resources
+    private listResources(): Resource[] {
+        const conversations = preparedStatements.getConversations.all() as ConversationRecord[];
+        const recentNotes = preparedStatements.getRecentNotes.all({ limit: RECENT_NOTES_LIMIT }) as Note[];
+        const tags = preparedStatements.getTagsWithCounts.all() as TagWithCount[];
+        const sections = preparedStatements.getSectionsWithCounts.all() as SectionRecord[];
+        const views = (preparedStatements.getSavedViews.all() as SavedViewRow[]).map(row => this.toSavedView(row));
+
+        return [
+            // Conversations without notes have nothing to read
+            ...conversations.filter(conversation => conversation.note_count > 0).map(conversation => ({
+                uri: `notes://${encodeURIComponent(conversation.conversation_id)}`,
+                name: `Conversation: ${conversation.title || conversation.conversation_id}`,
+                description: `${conversation.note_count} notes, last updated ${new Date(conversation.last_updated! * 1000).toISOString()}`,
+                mimeType: 'application/json'
+            })),
+            ...recentNotes.map(note => ({
+                uri: `note://${note.id}`,
+                name: note.title,
+                description: `Note in conversation ${note.conversation_id}, updated ${new Date(note.updated_at * 1000).toISOString()}`,
+                mimeType: 'application/json'
+            })),
+            ...tags.map(tag => ({
+                uri: `tag://${encodeURIComponent(tag.name)}`,
+                name: `Tag: ${tag.name}`,
+                description: `${tag.note_count} notes`,
+                mimeType: 'application/json'
+            })),
+            ...sections.map(section => ({
+                uri: `section://${section.id}`,
+                name: `Section: ${section.name}`,
+                description: `${section.note_count} notes`,
+                mimeType: 'application/json'
+            })),
+            ...views.map(view => ({
+                uri: `view://${encodeURIComponent(view.name)}`,
+                name: `View: ${view.name}`,
+                description: `${view.note_count} notes`,
+                mimeType: 'application/json'
+            }))
+        ];
+    }
+
+    // Tells every connected MCP client the set of listed resources changed
+    private notifyResourceListChanged() {
+        for (const { server } of this.sessions) {
+            server.sendResourceListChanged().catch(error => {
+                console.error('Error sending resource list change:', error);
+            });
+        }
+    }
+
+    // Sends resources/updated to every session subscribed to a resource that shows any of the given notes.
+    // Pass both the old and new state of an updated note so moves notify both sides.
+    private notifyResourcesChanged(notes: (Note | null)[], listChanged: boolean = true) {
+        const uris = new Set<string>();
+        for (const note of notes) {
+            if (!note) continue;
+            uris.add(`note://${note.id}`);
+            uris.add(`notes://${note.conversation_id}`);
+            for (const tag of note.tags || []) {
+                uris.add(`tag://${tag}`);
+            }
+            if (note.section_id) {
+                uris.add(`section://${note.section_id}`);
+            }
+        }
+
+        // Any note change can move notes in or out of a saved view
+        const viewsChanged = notes.some(note => note !== null);
+
+        for (const { server, subscriptions } of this.sessions) {
+            const keys = viewsChanged
+                ? [...uris, ...[...subscriptions.keys()].filter(key => key.startsWith('view://'))]
+                : uris;
+            for (const key of keys) {
+                for (const uri of subscriptions.get(key) || []) {
+                    server.sendResourceUpdated({ uri }).catch(error => {
+                        console.error('Error sending resource update:', error);
+                    });
+                }
+            }
+        }
+
+        if (listChanged) {
+            this.notifyResourceListChanged();
+        }
+    }
+
+    private setupPromptHandlers(server: Server) {
+        server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+            prompts: this.promptService.listPrompts()
+        }));
+
+        server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+            return this.promptService.getPrompt(request.params.name, request.params.arguments);
+        });
+    }
+
+    private setupToolHandlers(server: Server) {
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: [
+                {
+                    name: 'create-note',
+                    description: 'Creates a new note',
+                    inputSchema: toInputSchema(createNoteArgsSchema)
+                },
+                {
+                    name: 'update-note',
+                    description: 'Updates an existing note. Only the fields provided are changed; returns the updated note',
+                    inputSchema: toInputSchema(updateNoteArgsSchema)
+                },
+                {
+                    name: 'delete-note',
+                    description: 'Moves a note to the trash. It can be brought back with restore-notes until it is purged',
+                    inputSchema: toInputSchema(noteIdArgsSchema)
+                },
+                {
+                    name: 'list-trash',
+                    description: 'Lists notes in the trash, most recently deleted first',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'restore-notes',
+                    description: 'Restores notes from the trash with their tags. If any note is not in the trash, none are restored',
+                    inputSchema: toInputSchema(noteIdsSchema)
+                },
+                {
+                    name: 'purge-notes',
+                    description: 'Permanently deletes notes from the trash, or empties the trash with all: true. This cannot be undone',
+                    inputSchema: toInputSchema(purgeNotesArgsSchema)
+                },
+                {
+                    name: 'search-notes',
+                    description: 'Full-text search over note titles and content. Returns ranked results with snippets and highlighted match ranges',
+                    inputSchema: toInputSchema(searchNotesArgsSchema)
+                },
+                {
+                    name: 'list-notes',
+                    description: 'Lists notes with the same filters, sorting and pagination as the web UI, plus filtering and sorting by properties. Pinned notes come first; archived notes are left out unless archived is include or only',
+                    inputSchema: toInputSchema(listNotesArgsSchema)
+                },
+                {
+                    name: 'list-note-revisions',
+                    description: 'Lists the saved revisions of a note, newest first. Every change to title, content, tags or color is recorded',
+                    inputSchema: toInputSchema(noteIdArgsSchema)
+                },
+                {
+                    name: 'diff-note-revisions',
+                    description: 'Compares two revisions of a note and returns the changed fields with a unified diff of the content. Without arguments, shows the latest change',
+                    inputSchema: toInputSchema(diffNoteRevisionsArgsSchema)
+                },
+                {
+                    name: 'restore-note-revision',
+                    description: "Restores a note's title, content, tags and color from a revision. The restore is itself recorded as a new revision",
+                    inputSchema: toInputSchema(restoreNoteRevisionArgsSchema)
+                },
+                {
+                    name: 'get-note-links',
+                    description: 'Lists the [[Note Title]] and [[#id]] links in a note, flagging broken ones, and the notes that link back to it',
+                    inputSchema: toInputSchema(noteIdArgsSchema)
+                },
+                {
+                    name: 'find-related-notes',
+                    description: 'Finds notes likely related to a note by shared tags, shared distinctive terms, [[links]] in either direction and a shared conversation. Each result has a score and the reasons it matched',
+                    inputSchema: toInputSchema(findRelatedNotesArgsSchema)
+                },
+                {
+                    name: 'list-broken-links',
+                    description: 'Lists links whose target note does not exist or is in the trash, with the note containing each one',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'add-attachment',
+                    description: 'Attaches a file such as a screenshot or log to a note. Returns the attachment with markdown that embeds it, e.g. ![screenshot.png](attachment:5)',
+                    inputSchema: toInputSchema(addAttachmentArgsSchema)
+                },
+                {
+                    name: 'list-attachments',
+                    description: "Lists a note's attachments without their content",
+                    inputSchema: toInputSchema(noteAttachmentsArgsSchema)
+                },
+                {
+                    name: 'get-attachment',
+                    description: 'Returns an attachment with its content as an embedded base64 resource',
+                    inputSchema: toInputSchema(attachmentIdArgsSchema)
+                },
+                {
+                    name: 'delete-attachment',
+                    description: 'Permanently deletes an attachment',
+                    inputSchema: toInputSchema(attachmentIdArgsSchema)
+                },
+                {
+                    name: 'list-tasks',
+                    description: 'Lists markdown task list items ("- [ ] ...") across notes, filtered by open/done state, tags and conversation',
+                    inputSchema: toInputSchema(listTasksArgsSchema)
+                },
+                {
+                    name: 'toggle-task',
+                    description: 'Checks or unchecks a task by rewriting its checkbox in the note content. Returns the updated task',
+                    inputSchema: toInputSchema(toggleTaskArgsSchema)
+                },
+                {
+                    name: 'list-conversations',
+                    description: 'Lists conversations with their title, description, note count and dates',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'update-conversation',
+                    description: 'Sets a conversation\'s title or description, or renames its id. Returns the updated conversation',
+                    inputSchema: toInputSchema(updateConversationArgsSchema)
+                },
+                {
+                    name: 'merge-conversations',
+                    description: 'Moves every note of one conversation into another and deletes the first. The target keeps its title and description',
+                    inputSchema: toInputSchema(mergeConversationsArgsSchema)
+                },
+                {
+                    name: 'delete-conversation',
+                    description: 'Deletes a conversation, moving its notes to another conversation (default "default") or to the trash',
+                    inputSchema: toInputSchema(deleteConversationArgsSchema)
+                },
+                {
+                    name: 'list-templates',
+                    description: 'Lists note templates with their default tags, color, section and the {{variables}} they need',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'create-note-from-template',
+                    description: 'Creates a note from a template, filling its {{variables}}. The note gets the template\'s default tags, color and section',
+                    inputSchema: toInputSchema(createNoteFromTemplateArgsSchema)
+                },
+                {
+                    name: 'list-sections',
+                    description: 'Lists all sections in display order with their note counts',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'create-section',
+                    description: 'Creates a new section',
+                    inputSchema: toInputSchema(createSectionSchema)
+                },
+                {
+                    name: 'update-section',
+                    description: 'Renames a section or changes its position',
+                    inputSchema: toInputSchema(updateSectionArgsSchema)
+                },
+                {
+                    name: 'reorder-sections',
+                    description: 'Sets the display order of sections. Sections not listed keep their relative order after the listed ones',
+                    inputSchema: toInputSchema(reorderSectionsArgsSchema)
+                },
+                {
+                    name: 'delete-section',
+                    description: 'Deletes a section. Its notes are kept and become unassigned',
+                    inputSchema: toInputSchema(sectionIdArgsSchema)
+                },
+                {
+                    name: 'move-notes-to-section',
+                    description: 'Moves notes into a section, or out of any section when section_id is null',
+                    inputSchema: toInputSchema(moveNotesToSectionArgsSchema)
+                },
+                {
+                    name: 'batch-create-notes',
+                    description: `Creates up to ${MAX_BATCH_SIZE} notes in one transaction. If any note is invalid, none are created. Returns a per-note result report`,
+                    inputSchema: toInputSchema(batchCreateNotesArgsSchema)
+                },
+                {
+                    name: 'batch-tag-notes',
+                    description: 'Adds and/or removes tags on many notes in one transaction, selected by noteIds or by conversationId. If any note fails, no changes are made',
+                    inputSchema: toInputSchema(batchTagNotesArgsSchema)
+                },
+                {
+                    name: 'set-note-state',
+                    description: 'Pins, unpins, archives or unarchives notes in one transaction. Pinned notes are listed first; archived notes are hidden from listings. If any note does not exist, no changes are made',
+                    inputSchema: toInputSchema(setNoteStateSchema)
+                },
+                {
+                    name: 'batch-delete-notes',
+                    description: `Moves up to ${MAX_BATCH_SIZE} notes to the trash in one transaction. If any note does not exist, none are deleted`,
+                    inputSchema: toInputSchema(noteIdsSchema)
+                },
+                {
+                    name: 'get-tag-hierarchy',
+                    description: 'Returns all tags as a tree of parent/child relationships with note counts',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'set-tag-parent',
+                    description: 'Sets the parent of a tag, or makes it a top-level tag when parent_id is null',
+                    inputSchema: toInputSchema(setTagParentArgsSchema)
+                },
+                {
+                    name: 'list-tags',
+                    description: 'Lists all tags with their parent and the number of notes using each',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                },
+                {
+                    name: 'rename-tag',
+                    description: 'Renames a tag on every note that has it',
+                    inputSchema: toInputSchema(renameTagArgsSchema)
+                },
+                {
+                    name: 'merge-tags',
+                    description: 'Replaces one tag with another on every note, e.g. to merge "bugs" into "bug", and deletes it. Its child tags move under the target',
+                    inputSchema: toInputSchema(mergeTagsArgsSchema)
+                },
+                {
+                    name: 'delete-tag',
+                    description: 'Deletes a tag and removes it from every note',
+                    inputSchema: toInputSchema(deleteTagArgsSchema)
+                },
+                {
+                    name: 'cleanup-tags',
+                    description: 'Deletes tags that no note uses, including notes in the trash, and that have no child tags',
+                    inputSchema: toInputSchema(emptyArgsSchema)
+                }
+            ]
+        }));
+
+        server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            if (!request.params?.name) {
+                throw new McpError(ErrorCode.InvalidParams, 'Tool name is required');
+            }
+
+            switch (request.params.name) {
+                case 'create-note': {
+                    const args = validateToolArguments(createNoteArgsSchema, request.params.arguments);
+                    try {
+                        const { id } = this.createNote(toNoteInput(args));
+
+                        return {
+                            content: [{ type: 'text', text: `Note created with id ${id}` }],
+                        };
+                    } catch (error: any) {
+                        if (error instanceof ValidationError) throw invalidParams(error);
+                        console.error('Error creating note:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error creating note: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'update-note': {
+                    const { id, title, content, mode, conversationId, color_hex, section_id, tags, addTags, removeTags, properties, setProperties, removeProperties, pinned, archived } =
+                        validateToolArguments(updateNoteArgsSchema, request.params.arguments);
+
+                    try {
+                        const note = this.updateNote(id, {
+                            title,
+                            content,
+                            contentMode: mode,
+                            conversation_id: conversationId,
+                            color_hex,
+                            section_id,
+                            tags,
+                            addTags,
+                            removeTags,
+                            properties,
+                            setProperties,
+                            removeProperties,
+                            pinned,
+                            archived
+                        });
+
+                        if (!note) {
+                            return {
+                                content: [{ type: 'text', text: `Note with id ${id} not found` }],
+                                isError: true,
+                            };
+                        }
+
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(note, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        if (error instanceof ValidationError) throw invalidParams(error);
+                        console.error('Error updating note:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error updating note: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'delete-note': {
+                    const { id } = validateToolArguments(noteIdArgsSchema, request.params.arguments);
+                    try {
+                        if (!this.trashNote(id)) {
+                            throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                        }
+
+                        return {
+                            content: [{ type: 'text', text: `Note with id ${id} moved to the trash` }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error deleting note:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error deleting note: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-trash': {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify({ notes: this.listTrash(), retention_days: config.trash.retentionDays }, null, 2)
+                        }],
+                    };
+                }
+
+                case 'restore-notes': {
+                    const { noteIds } = validateToolArguments(noteIdsSchema, request.params.arguments);
+                    try {
+                        const batch = this.restoreNotes(noteIds);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error restoring notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error restoring notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'purge-notes': {
+                    const { noteIds, all } = validateToolArguments(purgeNotesArgsSchema, request.params.arguments);
+                    try {
+                        if (all) {
+                            const purged = this.emptyTrash();
+                            return {
+                                content: [{ type: 'text', text: JSON.stringify({ success: true, purged }, null, 2) }],
+                            };
+                        }
+
+                        const batch = this.purgeNotes(noteIds!);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error purging notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error purging notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'search-notes': {
+                    const args = validateToolArguments(searchNotesArgsSchema, request.params.arguments);
+
+                    try {
+                        const results = this.searchNotes(args);
+
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(results, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error searching notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error searching notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-notes': {
+                    const filters = validateToolArguments(listNotesArgsSchema, request.params.arguments);
+                    try {
+                        const result = this.noteQueryService.queryNotes(filters);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error listing notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error listing notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-note-revisions': {
+                    const { id } = validateToolArguments(noteIdArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getNoteById.get({ id })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ revisions: this.listRevisions(id) }, null, 2) }],
+                    };
+                }
+
+                case 'diff-note-revisions': {
+                    const { id, from, to } = validateToolArguments(diffNoteRevisionsArgsSchema, request.params.arguments);
+                    const pair = this.resolveRevisionPair(id, from, to);
+                    if (!pair) {
+                        throw new McpError(ErrorCode.InvalidParams, `Revision not found for note ${id}`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify(this.diffRevisions(pair.from, pair.to), null, 2) }],
+                    };
+                }
+
+                case 'restore-note-revision': {
+                    const { id, revisionId } = validateToolArguments(restoreNoteRevisionArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getNoteById.get({ id })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                    }
+                    const revision = this.getRevision(id, revisionId);
+                    if (!revision) {
+                        throw new McpError(ErrorCode.InvalidParams, `Revision ${revisionId} of note ${id} not found`);
+                    }
+
+                    try {
+                        const note = this.restoreRevision(id, revision);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(note, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error restoring revision:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error restoring revision: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'get-note-links': {
+                    const { id } = validateToolArguments(noteIdArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getNoteById.get({ id })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ links: this.getNoteLinks(id), backlinks: this.getBacklinks(id) }, null, 2) }],
+                    };
+                }
+
+                case 'find-related-notes': {
+                    const { id, limit } = validateToolArguments(findRelatedNotesArgsSchema, request.params.arguments);
+                    const related = this.relatedNotesService.findRelated(id, limit);
+                    if (!related) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ related }, null, 2) }],
+                    };
+                }
+
+                case 'list-broken-links': {
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ links: preparedStatements.getBrokenLinks.all() }, null, 2) }],
+                    };
+                }
+
+                case 'add-attachment': {
+                    const { noteId, filename, mimeType, content } = validateToolArguments(addAttachmentArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getNoteById.get({ id: noteId })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${noteId} not found`);
+                    }
+
+                    try {
+                        const attachment = this.addAttachment(noteId, filename, mimeType, Buffer.from(content, 'base64'));
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(attachment, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error adding attachment:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error adding attachment: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-attachments': {
+                    const { noteId } = validateToolArguments(noteAttachmentsArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getNoteById.get({ id: noteId })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${noteId} not found`);
+                    }
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ attachments: this.listAttachments(noteId) }, null, 2) }],
+                    };
+                }
+
+                case 'get-attachment': {
+                    const { id } = validateToolArguments(attachmentIdArgsSchema, request.params.arguments);
+                    const attachment = preparedStatements.getAttachmentById.get({ id }) as Attachment | undefined;
+                    if (!attachment) {
+                        throw new McpError(ErrorCode.InvalidParams, `Attachment with id ${id} not found`);
+                    }
+                    const { data } = preparedStatements.getAttachmentData.get({ id }) as { data: Buffer };
+                    return {
+                        content: [
+                            { type: 'text', text: JSON.stringify(attachment, null, 2) },
+                            {
+                                type: 'resource',
+                                resource: { uri: `attachment://${id}`, mimeType: attachment.mime_type, blob: data.toString('base64') }
+                            }
+                        ],
+                    };
+                }
+
+                case 'delete-attachment': {
+                    const { id } = validateToolArguments(attachmentIdArgsSchema, request.params.arguments);
+                    if (!preparedStatements.getAttachmentById.get({ id })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Attachment with id ${id} not found`);
+                    }
+                    preparedStatements.deleteAttachment.run({ id });
+                    return {
+                        content: [{ type: 'text', text: `Attachment with id ${id} deleted` }],
+                    };
+                }
+
+                case 'list-tasks': {
+                    const filters = validateToolArguments(listTasksArgsSchema, request.params.arguments);
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify(this.listTasks(filters), null, 2) }],
+                    };
+                }
+
+                case 'toggle-task': {
+                    const { noteId, line, done } = validateToolArguments(toggleTaskArgsSchema, request.params.arguments);
+                    const note = preparedStatements.getNoteById.get({ id: noteId }) as Note | undefined;
+                    if (!note) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note with id ${noteId} not found`);
+                    }
+                    if (!extractTasks(note.content).some(task => task.line === line)) {
+                        throw new McpError(ErrorCode.InvalidParams, `Note ${noteId} has no task on line ${line}`);
+                    }
+
+                    try {
+                        const task = this.toggleTask(noteId, line, done);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(task, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error toggling task:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error toggling task: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-conversations': {
+                    const conversations = preparedStatements.getConversations.all() as ConversationRecord[];
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ conversations }, null, 2) }],
+                    };
+                }
+
+                case 'update-conversation': {
+                    const { conversationId, title, description, newConversationId } = validateToolArguments(updateConversationArgsSchema, request.params.arguments);
+                    this.getConversationOrThrow(conversationId);
+                    if (newConversationId !== undefined && newConversationId !== conversationId && this.getConversation(newConversationId)) {
+                        throw new McpError(ErrorCode.InvalidParams, `Conversation ${newConversationId} already exists; use merge-conversations to move notes into it`);
+                    }
+
+                    try {
+                        let id = conversationId;
+                        if (newConversationId !== undefined && newConversationId !== conversationId) {
+                            this.mergeConversations(conversationId, newConversationId);
+                            id = newConversationId;
+                        }
+                        const conversation = title !== undefined || description !== undefined
+                            ? this.updateConversationDetails(id, { title, description })
+                            : this.getConversation(id);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ conversation }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error updating conversation:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error updating conversation: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'merge-conversations': {
+                    const { sourceId, targetId } = validateToolArguments(mergeConversationsArgsSchema, request.params.arguments);
+                    this.getConversationOrThrow(sourceId);
+                    this.getConversationOrThrow(targetId);
+
+                    try {
+                        const conversation = this.mergeConversations(sourceId, targetId);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ conversation }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error merging conversations:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error merging conversations: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'delete-conversation': {
+                    const { conversationId, notes, moveTo } = validateToolArguments(deleteConversationArgsSchema, request.params.arguments);
+                    this.getConversationOrThrow(conversationId);
+
+                    try {
+                        const count = this.deleteConversation(conversationId, notes, moveTo);
+                        return {
+                            content: [{ type: 'text', text: notes === 'trash'
+                                ? `Conversation ${conversationId} deleted; ${count} notes moved to the trash`
+                                : `Conversation ${conversationId} deleted; ${count} notes moved to ${moveTo}` }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error deleting conversation:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error deleting conversation: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-templates': {
+                    const templates = (preparedStatements.getTemplates.all() as NoteTemplateRow[]).map(row => this.toTemplate(row));
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ templates }, null, 2) }],
+                    };
+                }
+
+                case 'create-note-from-template': {
+                    const { template: idOrName, conversationId, variables, title, tags } = validateToolArguments(createNoteFromTemplateArgsSchema, request.params.arguments);
+                    const template = this.findTemplate(idOrName);
+                    if (!template) {
+                        throw new McpError(ErrorCode.InvalidParams, `Template ${JSON.stringify(idOrName)} not found`);
+                    }
+                    const missing = this.missingTemplateVariables(template, variables);
+                    if (missing.length > 0) {
+                        throw new McpError(ErrorCode.InvalidParams, `Missing template variables: ${missing.join(', ')}`);
+                    }
+
+                    try {
+                        const input = this.fillNoteTemplate(template, conversationId, variables, title);
+                        const { id } = this.createNote({ ...input, tags: [...new Set([...(input.tags ?? []), ...(tags ?? [])])] });
+                        return {
+                            content: [{ type: 'text', text: `Note created with id ${id}` }],
+                        };
+                    } catch (error: any) {
+                        if (error instanceof ValidationError) throw invalidParams(error);
+                        console.error('Error creating note from template:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error creating note from template: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-sections': {
+                    const sections = preparedStatements.getSectionsWithCounts.all() as SectionRecord[];
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ sections }, null, 2) }],
+                    };
+                }
+
+                case 'create-section': {
+                    const { name, order_index } = validateToolArguments(createSectionSchema, request.params.arguments);
+
+                    try {
+                        const section = this.createSection(name, order_index);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ section: { ...section, note_count: 0 } }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error creating section:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error creating section: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'update-section': {
+                    const { id, name, order_index } = validateToolArguments(updateSectionArgsSchema, request.params.arguments);
+                    const section = this.getSectionOrThrow(id);
+
+                    try {
+                        preparedStatements.updateSection.run({
+                            id,
+                            name: name ?? section.name,
+                            order_index: order_index ?? section.order_index
+                        });
+                        this.notifyResourceListChanged();
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ section: this.getSectionOrThrow(id) }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error updating section:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error updating section: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'reorder-sections': {
+                    const { ids: orderedIds } = validateToolArguments(reorderSectionsArgsSchema, request.params.arguments);
+                    const sections = preparedStatements.getSectionsWithCounts.all() as SectionRecord[];
+                    const unknownIds = orderedIds.filter(id => !sections.some(section => section.id === id));
+                    if (unknownIds.length > 0) {
+                        throw new McpError(ErrorCode.InvalidParams, `Sections not found: ${unknownIds.join(', ')}`);
+                    }
+
+                    try {
+                        const remainingIds = sections.map(section => section.id).filter(id => !orderedIds.includes(id));
+                        db.transaction(() => {
+                            [...orderedIds, ...remainingIds].forEach((id, index) => {
+                                preparedStatements.updateSectionOrder.run({ id, order_index: index });
+                            });
+                        })();
+                        this.notifyResourceListChanged();
+
+                        const reordered = preparedStatements.getSectionsWithCounts.all() as SectionRecord[];
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ sections: reordered }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error reordering sections:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error reordering sections: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'delete-section': {
+                    const { id } = validateToolArguments(sectionIdArgsSchema, request.params.arguments);
+                    const section = this.getSectionOrThrow(id);
+
+                    try {
+                        const notesInSection = preparedStatements.getNotesBySection.all({ section_id: id, archived: 'include' }) as Note[];
+                        preparedStatements.deleteSection.run({ id });
+                        this.notifyResourcesChanged(notesInSection.map(note => ({ ...note, section_id: id })));
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: JSON.stringify({ deleted: section, unassigned_notes: section.note_count }, null, 2)
+                            }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error deleting section:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error deleting section: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'move-notes-to-section': {
+                    const { noteIds: ids, section_id: sectionId } = validateToolArguments(moveNotesToSectionArgsSchema, request.params.arguments);
+                    if (sectionId !== null) {
+                        this.getSectionOrThrow(sectionId);
+                    }
+                    const missingIds = ids.filter(id => !preparedStatements.getNoteById.get({ id }));
+                    if (missingIds.length > 0) {
+                        throw new McpError(ErrorCode.InvalidParams, `Notes not found: ${missingIds.join(', ')}`);
+                    }
+
+                    try {
+                        const before = ids.map(id => this.getNoteWithTags(id));
+                        db.transaction(() => {
+                            for (const id of ids) {
+                                preparedStatements.updateNoteSection.run({ id, section_id: sectionId });
+                            }
+                        })();
+
+                        const after = ids.map(id => this.getNoteWithTags(id));
+                        for (const note of after) {
+                            this.webSocketServer.broadcastNoteUpdate(note);
+                        }
+                        this.notifyResourcesChanged([...before, ...after]);
+
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ section_id: sectionId, moved: ids }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error moving notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error moving notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'batch-create-notes': {
+                    const { notes } = validateToolArguments(batchCreateNotesArgsSchema, request.params.arguments);
+                    try {
+                        const batch = this.batchCreateNotes(notes.map(toNoteInput));
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error creating notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error creating notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'batch-tag-notes': {
+                    const { noteIds, conversationId, addTags, removeTags } = validateToolArguments(batchTagNotesArgsSchema, request.params.arguments);
+                    try {
+                        const batch = this.batchTagNotes(this.resolveBatchTagTargets(noteIds, conversationId), addTags, removeTags);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error tagging notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error tagging notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'set-note-state': {
+                    const { noteIds, pinned, archived } = validateToolArguments(setNoteStateSchema, request.params.arguments);
+                    try {
+                        const batch = this.setNoteState(noteIds, { pinned, archived });
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error setting note state:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error setting note state: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'batch-delete-notes': {
+                    const { noteIds } = validateToolArguments(noteIdsSchema, request.params.arguments);
+                    try {
+                        const batch = this.batchDeleteNotes(noteIds);
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify(batch, null, 2) }],
+                            ...(batch.success ? {} : { isError: true })
+                        };
+                    } catch (error: any) {
+                        console.error('Error deleting notes:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error deleting notes: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'get-tag-hierarchy': {
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ tags: this.getTagTree() }, null, 2) }],
+                    };
+                }
+
+                case 'set-tag-parent': {
+                    const { id, parent_id: parentId } = validateToolArguments(setTagParentArgsSchema, request.params.arguments);
+
+                    const tag = preparedStatements.getTagById.get({ id }) as TagRecord | undefined;
+                    if (!tag) {
+                        throw new McpError(ErrorCode.InvalidParams, `Tag with id ${id} not found`);
+                    }
+                    const problem = this.checkTagParent(tag, parentId);
+                    if (problem) {
+                        throw new McpError(ErrorCode.InvalidParams, problem.error);
+                    }
+                    const parent = parentId !== null ? preparedStatements.getTagById.get({ id: parentId }) as TagRecord : undefined;
+
+                    try {
+                        preparedStatements.updateTagParent.run({ id, parent_id: parentId });
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: JSON.stringify({
+                                    tag: { id, name: tag.name, parent_id: parentId, parent_name: parent ? parent.name : null }
+                                }, null, 2)
+                            }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error updating tag parent:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error updating tag parent: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'list-tags': {
+                    const tags = preparedStatements.getTagsWithCounts.all() as TagWithCount[];
+                    return {
+                        content: [{ type: 'text', text: JSON.stringify({ tags }, null, 2) }],
+                    };
+                }
+
+                case 'rename-tag': {
+                    const { name, newName } = validateToolArguments(renameTagArgsSchema, request.params.arguments);
+                    const tag = this.getTagByNameOrThrow(name);
+                    if (newName !== name && preparedStatements.getTagByName.get({ name: newName })) {
+                        throw new McpError(ErrorCode.InvalidParams, `Tag ${newName} already exists; use merge-tags to combine them`);
+                    }
+
+                    try {
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ tag: this.renameTag(tag, newName) }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error renaming tag:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error renaming tag: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'merge-tags': {
+                    const { source, target } = validateToolArguments(mergeTagsArgsSchema, request.params.arguments);
+                    const sourceTag = this.getTagByNameOrThrow(source);
+                    const targetTag = this.getTagByNameOrThrow(target);
+
+                    try {
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ tag: this.mergeTags(sourceTag, targetTag) }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error merging tags:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error merging tags: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
                 }
 
-                // Fetch notes with their tags
-                const notes = noteIds.map(id => {
-                    const note = db.prepare(`
-                        SELECT notes.*, GROUP_CONCAT(tags.name) as tag_list 
-                        FROM notes 
-                        LEFT JOIN note_tags ON notes.id = note_tags.note_id 
-                        LEFT JOIN tags ON note_tags.tag_id = tags.id 
-                        WHERE notes.id = ?
-                        GROUP BY notes.id
-                    `).get(id) as Note & { tag_list: string | null };
+                case 'delete-tag': {
+                    const { name } = validateToolArguments(deleteTagArgsSchema, request.params.arguments);
+                    const tag = this.getTagByNameOrThrow(name);
+
+                    try {
+                        const count = this.deleteTag(tag);
+                        return {
+                            content: [{ type: 'text', text: `Tag ${name} deleted and removed from ${count} notes` }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error deleting tag:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error deleting tag: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                case 'cleanup-tags': {
+                    try {
+                        const deleted = this.cleanupTags();
+                        return {
+                            content: [{ type: 'text', text: JSON.stringify({ deleted }, null, 2) }],
+                        };
+                    } catch (error: any) {
+                        console.error('Error cleaning up tags:', error);
+                        return {
+                            content: [{ type: 'text', text: `Error cleaning up tags: ${error.message}` }],
+                            isError: true,
+                        };
+                    }
+                }
+
+                default:
+                    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${request.params.name}`);
+            }
+        });
+    }
+
+    // Ranked search through the note query service, so the query syntax and ranking match the listings
+    private searchNotes(options: SearchOptions) {
+        const { notes, total } = this.noteQueryService.findNotes({
+            search: options.query,
+            tags: options.tags,
+            conversation: options.conversationId,
+            color: options.color_hex,
+            startDate: options.startDate,
+            endDate: options.endDate,
+            archived: options.archived,
+            sort: RELEVANCE_SORT,
+            page: 1,
+            limit: options.limit
+        }, options.limit, options.offset);
+
+        const results: SearchResult[] = notes.map(note => ({
+            id: note.id,
+            title: note.title,
+            conversation_id: note.conversation_id,
+            color_hex: note.color_hex,
+            pinned: Boolean(note.pinned),
+            archived: Boolean(note.archived),
+            tags: note.tags || [],
+            created_at: note.created_at,
+            updated_at: note.updated_at,
+            score: note.match ? note.match.score : 0,
+            snippet: note.match
+                ? boldExcerpt({ text: note.match.snippet, highlights: note.match.snippet_highlights })
+                : buildSnippet(note.content, []),
+            highlights: note.match ? note.match.highlights : []
+        }));
+
+        const mode: 'fts' | 'like' = config.features?.enableFTS ? 'fts' : 'like';
+        return { mode, total, limit: options.limit, offset: options.offset, results };
+    }
+
+    // Reads a section with its note count, failing the MCP request if it doesn't exist
+    private getSectionOrThrow(id: number): SectionRecord {
+        const section = preparedStatements.getSectionWithCount.get({ id }) as SectionRecord | undefined;
+        if (!section) {
+            throw new McpError(ErrorCode.InvalidParams, `Section with id ${id} not found`);
+        }
+        return section;
+    }
+
+    // Builds a nested tag tree from the getTagHierarchy CTE
+    private getTagTree(): TagTreeNode[] {
+        const rows = preparedStatements.getTagHierarchy.all() as TagHierarchyRow[];
+        const counts = preparedStatements.getTagNoteCounts.all() as { tag_id: number; count: number }[];
+        const countByTag = new Map(counts.map(row => [row.tag_id, row.count]));
+
+        const nodes = new Map<number, TagTreeNode>();
+        const roots: TagTreeNode[] = [];
+
+        // Rows are ordered by level, so parents are always seen before their children
+        for (const row of rows) {
+            const node: TagTreeNode = {
+                id: row.id,
+                name: row.name,
+                parent_id: row.parent_id,
+                note_count: countByTag.get(row.id) || 0,
+                children: []
+            };
+            nodes.set(row.id, node);
+
+            const parent = row.parent_id !== null ? nodes.get(row.parent_id) : undefined;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        return roots;
+    }
+
+    private getTag(id: number): TagWithCount | null {
+        return (preparedStatements.getTagWithCount.get({ id }) as TagWithCount | undefined) ?? null;
+    }
+
+    private getTagByNameOrThrow(name: string): TagWithCount {
+        const tag = preparedStatements.getTagByName.get({ name }) as TagRecord | undefined;
+        if (!tag) {
+            throw new McpError(ErrorCode.InvalidParams, `Tag ${name} not found`);
+        }
+        return this.getTag(tag.id)!;
+    }
+
+    // True when the tag is the ancestor itself or nested anywhere below it
+    private isTagWithin(id: number, ancestorId: number): boolean {
+        let tag = preparedStatements.getTagById.get({ id }) as TagRecord | undefined;
+        while (tag) {
+            if (tag.id === ancestorId) {
+                return true;
+            }
+            tag = tag.parent_id
+                ? preparedStatements.getTagById.get({ id: tag.parent_id }) as TagRecord | undefined
+                : undefined;
+        }
+        return false;
+    }
+
+    // Checks that a tag can be nested under a parent: the parent exists and is not the tag or one of its descendants.
+    // Returns the HTTP error to respond with, or null when it can.
+    private checkTagParent(tag: TagRecord, parentId: number | null): { status: number; error: string } | null {
+        if (parentId === null) {
+            return null;
+        }
+        const parent = preparedStatements.getTagById.get({ id: parentId }) as TagRecord | undefined;
+        if (!parent) {
+            return { status: 404, error: `Parent tag with id ${parentId} not found` };
+        }
+        if (this.isTagWithin(parent.id, tag.id)) {
+            return { status: 400, error: `Tag ${tag.name} cannot be nested under its own descendant ${parent.name}` };
+        }
+        return null;
+    }
+
+    private createTag(name: string, parentId: number | null): TagWithCount {
+        const id = Number(preparedStatements.insertTag.run({ name }).lastInsertRowid);
+        if (parentId !== null) {
+            preparedStatements.updateTagParent.run({ id, parent_id: parentId });
+        }
+        this.webSocketServer.broadcastTagCreation({ name, note_count: 0 });
+        this.notifyResourceListChanged();
+        return this.getTag(id)!;
+    }
+
+    // Renames a tag on every note that carries it
+    private renameTag(tag: TagWithCount, name: string): TagWithCount {
+        const noteIds = this.getTagNoteIds(tag.id);
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+        preparedStatements.renameTag.run({ id: tag.id, name });
+        this.broadcastRetaggedNotes(noteIds, before, [tag.name, name]);
+        return this.getTag(tag.id)!;
+    }
+
+    // Moves a tag's notes and child tags to another tag and deletes it
+    private mergeTags(source: TagWithCount, target: TagWithCount): TagWithCount {
+        const noteIds = this.getTagNoteIds(source.id);
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+
+        db.transaction(() => {
+            // A target nested below the source would become its own ancestor, so it takes the source's place first
+            if (this.isTagWithin(target.id, source.id)) {
+                preparedStatements.updateTagParent.run({ id: target.id, parent_id: source.parent_id });
+            }
+            preparedStatements.mergeNoteTags.run({ from: source.id, to: target.id });
+            preparedStatements.moveChildTags.run({ from: source.id, to: target.id });
+            preparedStatements.deleteTag.run({ id: source.id });
+        })();
+
+        this.broadcastRetaggedNotes(noteIds, before, [source.name, target.name]);
+        return this.getTag(target.id)!;
+    }
+
+    // Deletes a tag and removes it from its notes; its child tags move up to its parent.
+    // Returns the number of notes that carried it.
+    private deleteTag(tag: TagWithCount): number {
+        const noteIds = this.getTagNoteIds(tag.id);
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+
+        db.transaction(() => {
+            preparedStatements.moveChildTags.run({ from: tag.id, to: tag.parent_id });
+            preparedStatements.deleteTag.run({ id: tag.id });
+        })();
+
+        this.broadcastRetaggedNotes(noteIds, before, [tag.name]);
+        return noteIds.length;
+    }
+
+    // Deletes tags that no note uses, repeating until parents left without children are gone too.
+    // Returns the names of the deleted tags.
+    private cleanupTags(): string[] {
+        const deleted: string[] = [];
+        db.transaction(() => {
+            let rows: { name: string }[];
+            do {
+                rows = preparedStatements.deleteUnusedTags.all() as { name: string }[];
+                deleted.push(...rows.map(row => row.name));
+            } while (rows.length > 0);
+        })();
+
+        if (deleted.length > 0) {
+            this.notifyResourceListChanged();
+        }
+        return deleted;
+    }
+
+    private getTagNoteIds(tagId: number): number[] {
+        return (preparedStatements.getTagNoteIds.all({ tag_id: tagId }) as { id: number }[]).map(row => row.id);
+    }
+
+    // Broadcasts notes whose tags were renamed, merged or deleted, notifying resources of both names
+    private broadcastRetaggedNotes(noteIds: number[], before: (Note | null)[], tagNames: string[]) {
+        const after = noteIds.map(id => this.getNoteWithTags(id)!);
+        this.broadcastBatch('updated', after, tagNames, false);
+        this.notifyResourcesChanged([...before, ...after]);
+    }
+
+    // Reads a note together with its tag names and properties
+    private getNoteWithTags(id: number): Note | null {
+        const note = preparedStatements.getNoteById.get({ id }) as Note | undefined;
+        if (!note) {
+            return null;
+        }
+        const tags = preparedStatements.getTagsByNoteId.all({ note_id: id }) as { name: string }[];
+        return { ...note, tags: tags.map(t => t.name), properties: this.getNoteProperties(id) };
+    }
+
+    private getNoteProperties(noteId: number): Record<string, string> {
+        const rows = preparedStatements.getPropertiesByNoteId.all({ note_id: noteId }) as { key: string; value: string }[];
+        return Object.fromEntries(rows.map(({ key, value }) => [key, value]));
+    }
+
+    // Replaces all of a note's properties. Call inside the transaction that saved it.
+    private setNoteProperties(noteId: number, properties: Record<string, string>) {
+        preparedStatements.deleteNoteProperties.run({ note_id: noteId });
+        for (const [key, value] of Object.entries(properties)) {
+            preparedStatements.upsertProperty.run({ note_id: noteId, key, value, ...typedPropertyValue(value) });
+        }
+    }
+
+    // A note's section_id must name an existing section; null or undefined means no section
+    private checkSectionExists(sectionId: number | null | undefined): void {
+        if (sectionId !== undefined && sectionId !== null && !preparedStatements.getSectionById.get({ id: sectionId })) {
+            throw new ValidationError([{ field: 'section_id', message: `no section with id ${sectionId}` }]);
+        }
+    }
+
+    // Applies a partial note update in one transaction, then broadcasts the changes.
+    // Returns null when the note does not exist.
+    private updateNote(id: number, update: NoteUpdate): Note | null {
+        const before = this.getNoteWithTags(id);
+        if (!before) {
+            return null;
+        }
+
+        this.checkSectionExists(update.section_id);
+
+        let content = before.content;
+        if (update.content !== undefined) {
+            if (update.contentMode === 'append') {
+                content = before.content && !before.content.endsWith('\n')
+                    ? `${before.content}\n${update.content}`
+                    : `${before.content}${update.content}`;
+            } else if (update.contentMode === 'prepend') {
+                content = update.content && !update.content.endsWith('\n')
+                    ? `${update.content}\n${before.content}`
+                    : `${update.content}${before.content}`;
+            } else {
+                content = update.content;
+            }
+        }
+
+        const oldTags = before.tags || [];
+        let newTags = update.tags !== undefined ? normalizeTagNames(update.tags) : [...oldTags];
+        if (update.addTags) {
+            newTags = normalizeTagNames([...newTags, ...update.addTags]);
+        }
+        if (update.removeTags) {
+            const toRemove = normalizeTagNames(update.removeTags);
+            newTags = newTags.filter(tag => !toRemove.includes(tag));
+        }
+        const addedTags = newTags.filter(tag => !oldTags.includes(tag));
+        const removedTags = oldTags.filter(tag => !newTags.includes(tag));
+        const createdTags: string[] = [];
+
+        const oldProperties = before.properties || {};
+        let newProperties = update.properties ?? oldProperties;
+        if (update.setProperties) {
+            newProperties = { ...omitProperties(newProperties, Object.keys(update.setProperties)), ...update.setProperties };
+        }
+        if (update.removeProperties) {
+            newProperties = omitProperties(newProperties, update.removeProperties);
+        }
+        const propertiesChanged = JSON.stringify(Object.entries(newProperties).sort())
+            !== JSON.stringify(Object.entries(oldProperties).sort());
+
+        db.transaction(() => {
+            preparedStatements.updateNote.run({
+                id,
+                title: update.title ?? before.title,
+                content,
+                conversation_id: update.conversation_id ?? before.conversation_id,
+                color_hex: update.color_hex !== undefined ? update.color_hex : (before.color_hex ?? null),
+                section_id: update.section_id !== undefined ? update.section_id : (before.section_id ?? null),
+                pinned: update.pinned !== undefined ? Number(update.pinned) : (before.pinned ?? 0),
+                archived: update.archived !== undefined ? Number(update.archived) : (before.archived ?? 0)
+            });
+
+            for (const tagName of addedTags) {
+                let tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
+                if (!tag) {
+                    const result = preparedStatements.insertTag.run({ name: tagName });
+                    tag = { id: result.lastInsertRowid as number, name: tagName };
+                    createdTags.push(tagName);
+                }
+                preparedStatements.insertNoteTag.run({ note_id: id, tag_id: tag.id });
+            }
+
+            for (const tagName of removedTags) {
+                const tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
+                if (tag) {
+                    preparedStatements.deleteNoteTag.run({ note_id: id, tag_id: tag.id });
+                }
+            }
+
+            if (propertiesChanged) {
+                this.setNoteProperties(id, newProperties);
+            }
+
+            if (content !== before.content) {
+                this.syncNoteLinks(id, content);
+                this.syncNoteTasks(id, content);
+            }
+            if (update.title !== undefined && update.title !== before.title) {
+                preparedStatements.resolveBrokenLinks.run({ id, title: update.title });
+            }
+
+            this.recordRevision(id);
+        })();
+
+        const after = this.getNoteWithTags(id)!;
+        if (after.title !== before.title) {
+            this.keepLinksToRenamedNote(id, before.title, after.title);
+        }
+
+        // Broadcast the change like note creation does
+        this.webSocketServer.broadcastNoteUpdate(after);
+
+        for (const tagName of createdTags) {
+            this.webSocketServer.broadcastTagCreation({
+                name: tagName,
+                note_count: 1
+            });
+        }
+        for (const tagName of [...addedTags, ...removedTags]) {
+            if (createdTags.includes(tagName)) continue;
+            this.webSocketServer.broadcastTagUpdate({
+                name: tagName,
+                note_count: this.getTagNoteCount(tagName)
+            });
+        }
+
+        if (after.conversation_id !== before.conversation_id) {
+            for (const conversationId of [before.conversation_id, after.conversation_id]) {
+                this.webSocketServer.broadcastConversationUpdate({
+                    conversation_id: conversationId,
+                    note_count: this.getConversationNoteCount(conversationId)
+                });
+            }
+        }
+
+        // Listings only change when the note moves between conversations, tags or sections,
+        // or when pinning or archiving moves it within or out of them
+        const listChanged = after.conversation_id !== before.conversation_id
+            || addedTags.length > 0
+            || removedTags.length > 0
+            || after.section_id !== before.section_id
+            || after.pinned !== before.pinned
+            || after.archived !== before.archived;
+        this.notifyResourcesChanged([before, after], listChanged);
+
+        return after;
+    }
+
+    // Records the note's title, content, tags and color as a new revision unless they match
+    // the latest one, dropping the oldest beyond revisions.maxPerNote. Call inside the transaction
+    // that changed the note.
+    private recordRevision(noteId: number) {
+        const note = this.getNoteWithTags(noteId);
+        if (!note) return;
+
+        const snapshot = {
+            title: note.title,
+            content: note.content,
+            tags: JSON.stringify([...(note.tags || [])].sort()),
+            color_hex: note.color_hex ?? null
+        };
+        const latest = preparedStatements.getLatestRevision.get({ note_id: noteId }) as NoteRevisionRow | undefined;
+        if (latest
+            && latest.title === snapshot.title
+            && latest.content === snapshot.content
+            && latest.tags === snapshot.tags
+            && latest.color_hex === snapshot.color_hex) {
+            return;
+        }
+
+        preparedStatements.insertRevision.run({ note_id: noteId, ...snapshot });
+        if (config.revisions.maxPerNote > 0) {
+            preparedStatements.pruneRevisions.run({ note_id: noteId, keep: config.revisions.maxPerNote });
+        }
+    }
+
+    // Lists a note's revisions, newest first, without their content
+    private listRevisions(noteId: number) {
+        const rows = preparedStatements.getRevisionsByNoteId.all({ note_id: noteId }) as NoteRevisionRow[];
+        return rows.map(row => {
+            const { content, ...revision } = toNoteRevision(row);
+            return { ...revision, content_length: content.length };
+        });
+    }
+
+    // Reads one revision of a note, or the latest one when no id is given
+    private getRevision(noteId: number, revisionId?: number): NoteRevision | null {
+        const row = (revisionId === undefined
+            ? preparedStatements.getLatestRevision.get({ note_id: noteId })
+            : preparedStatements.getRevision.get({ note_id: noteId, id: revisionId })) as NoteRevisionRow | undefined;
+        return row ? toNoteRevision(row) : null;
+    }
+
+    // Resolves the revisions to compare: "to" defaults to the latest revision and "from" to the one before it.
+    // Returns null when a requested revision does not exist.
+    private resolveRevisionPair(noteId: number, fromId?: number, toId?: number): { from: NoteRevision | null; to: NoteRevision } | null {
+        const to = this.getRevision(noteId, toId);
+        if (!to) return null;
+
+        if (fromId !== undefined) {
+            const from = this.getRevision(noteId, fromId);
+            return from ? { from, to } : null;
+        }
+
+        const previous = preparedStatements.getPreviousRevision.get({ note_id: noteId, id: to.id }) as NoteRevisionRow | undefined;
+        return { from: previous ? toNoteRevision(previous) : null, to };
+    }
+
+    // Compares two revisions field by field, with a unified diff of the content.
+    // Without a "from" revision (the note's first revision) everything counts as added.
+    // Content longer than MAX_DIFF_LINES is reported as too_large instead of diffed.
+    private diffRevisions(from: NoteRevision | null, to: NoteRevision) {
+        const fromTags = from ? from.tags : [];
+        const fromContent = from ? from.content : '';
+        const lines = fromContent === to.content ? [] : diffLines(fromContent, to.content);
+
+        return {
+            note_id: to.note_id,
+            from: from ? { id: from.id, created_at: from.created_at } : null,
+            to: { id: to.id, created_at: to.created_at },
+            title: !from || from.title !== to.title ? { from: from ? from.title : null, to: to.title } : null,
+            color_hex: (from ? from.color_hex : null) !== to.color_hex ? { from: from ? from.color_hex : null, to: to.color_hex } : null,
+            tags: {
+                added: to.tags.filter(tag => !fromTags.includes(tag)),
+                removed: fromTags.filter(tag => !to.tags.includes(tag))
+            },
+            content: lines ? {
+                added: lines.filter(line => line.type === 'added').length,
+                removed: lines.filter(line => line.type === 'removed').length,
+                diff: formatUnifiedDiff(lines, from ? `revision ${from.id}` : 'empty', `revision ${to.id}`),
+                too_large: false
+            } : { added: null, removed: null, diff: null, too_large: true }
+        };
+    }
+
+    // Writes a revision's title, content, tags and color back to the note, recording a new revision
+    private restoreRevision(noteId: number, revision: NoteRevision): Note | null {
+        return this.updateNote(noteId, {
+            title: revision.title,
+            content: revision.content,
+            color_hex: revision.color_hex,
+            tags: revision.tags
+        });
+    }
+
+    // Creates a section, placing it after the last one unless an order is given
+    private createSection(name: string, orderIndex?: number): SectionRecord {
+        const { max_order } = preparedStatements.getMaxSectionOrder.get() as { max_order: number | null };
+        const result = preparedStatements.createSection.run({
+            name,
+            order_index: orderIndex ?? (max_order === null ? 0 : max_order + 1)
+        });
+        this.notifyResourceListChanged();
+        return preparedStatements.getSectionById.get({ id: result.lastInsertRowid }) as SectionRecord;
+    }
+
+    private getConversationOrThrow(conversationId: string): ConversationRecord {
+        const conversation = this.getConversation(conversationId);
+        if (!conversation) {
+            throw new McpError(ErrorCode.InvalidParams, `Conversation ${conversationId} not found`);
+        }
+        return conversation;
+    }
+
+    private getConversation(conversationId: string): ConversationRecord | null {
+        return (preparedStatements.getConversation.get({ conversation_id: conversationId }) as ConversationRecord | undefined) ?? null;
+    }
+
+    // Sets a conversation's title and/or description, leaving the other unchanged
+    private updateConversationDetails(conversationId: string, details: { title?: string | null; description?: string | null }): ConversationRecord {
+        const conversation = this.getConversation(conversationId)!;
+        preparedStatements.updateConversation.run({
+            conversation_id: conversationId,
+            title: details.title !== undefined ? details.title : conversation.title,
+            description: details.description !== undefined ? details.description : conversation.description
+        });
+        this.webSocketServer.broadcastConversationUpdate({ conversation_id: conversationId, note_count: conversation.note_count });
+        this.notifyResourceListChanged();
+        return this.getConversation(conversationId)!;
+    }
+
+    // Moves every note of one conversation into another and deletes the first. The target is created
+    // when it does not exist; it keeps its own title and description, taking the source's only where it has none.
+    private mergeConversations(from: string, to: string): ConversationRecord {
+        const noteIds = (preparedStatements.getConversationNoteIds.all({ conversation_id: from }) as { id: number }[]).map(row => row.id);
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+
+        db.transaction(() => {
+            preparedStatements.ensureConversation.run({ conversation_id: to });
+            preparedStatements.moveConversationNotes.run({ from, to });
+            preparedStatements.mergeConversationDetails.run({ from, to });
+            preparedStatements.deleteConversation.run({ conversation_id: from });
+        })();
+
+        this.broadcastMovedNotes(noteIds, before);
+        this.webSocketServer.broadcastConversationUpdate({ conversation_id: from, note_count: 0 });
+        return this.getConversation(to)!;
+    }
+
+    // Deletes a conversation, either moving its notes to another conversation or moving them to the trash.
+    // Returns the number of notes moved or trashed.
+    private deleteConversation(conversationId: string, notes: 'move' | 'trash', moveTo: string): number {
+        const noteIds = (preparedStatements.getConversationNoteIds.all({ conversation_id: conversationId }) as { id: number }[]).map(row => row.id);
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+
+        db.transaction(() => {
+            if (notes === 'trash') {
+                for (const id of noteIds) {
+                    preparedStatements.trashNote.run({ id });
+                }
+            } else {
+                preparedStatements.moveConversationNotes.run({ from: conversationId, to: moveTo });
+            }
+            preparedStatements.deleteConversation.run({ conversation_id: conversationId });
+        })();
+
+        if (notes === 'trash') {
+            const deleted = before.filter((note): note is Note => note !== null);
+            this.broadcastBatch('deleted', deleted, deleted.flatMap(note => note.tags || []), false);
+            this.notifyResourcesChanged(deleted);
+        } else {
+            this.broadcastMovedNotes(noteIds, before);
+        }
+        this.webSocketServer.broadcastConversationUpdate({ conversation_id: conversationId, note_count: 0 });
+        return noteIds.length;
+    }
+
+    // Broadcasts notes that moved to another conversation, notifying resources of both
+    private broadcastMovedNotes(noteIds: number[], before: (Note | null)[]) {
+        const after = noteIds.map(id => this.getNoteWithTags(id)!);
+        this.broadcastBatch('updated', after, []);
+        this.notifyResourcesChanged([...before, ...after]);
+    }
+
+    private toTemplate(row: NoteTemplateRow): NoteTemplate {
+        return {
+            ...row,
+            tags: JSON.parse(row.tags),
+            variables: templateVariables(row.title, row.content).filter(name => !BUILT_IN_VARIABLES.includes(name))
+        };
+    }
+
+    // Finds a template by id, or by name (case-insensitively)
+    private findTemplate(idOrName: number | string): NoteTemplate | null {
+        const row = (typeof idOrName === 'number'
+            ? preparedStatements.getTemplateById.get({ id: idOrName })
+            : preparedStatements.getTemplateByName.get({ name: idOrName })) as NoteTemplateRow | undefined;
+        return row ? this.toTemplate(row) : null;
+    }
+
+    // Checks that a template's name is free and its section exists.
+    // Returns the HTTP error to respond with, or null when the fields are valid.
+    private checkTemplateFields(fields: NoteTemplateFields, id?: number): { status: number; error: string } | null {
+        const existing = preparedStatements.getTemplateByName.get({ name: fields.name }) as NoteTemplateRow | undefined;
+        if (existing && existing.id !== id) {
+            return { status: 409, error: `A template named ${existing.name} already exists` };
+        }
+        if (fields.section_id !== null && !preparedStatements.getSectionById.get({ id: fields.section_id })) {
+            return { status: 404, error: 'Section not found' };
+        }
+        return null;
+    }
+
+    // Writes a new template, or replaces the fields of an existing one
+    private saveTemplate(fields: NoteTemplateFields, id?: number): NoteTemplate {
+        const params = { ...fields, tags: JSON.stringify(fields.tags) };
+        if (id === undefined) {
+            id = Number(preparedStatements.insertTemplate.run(params).lastInsertRowid);
+        } else {
+            preparedStatements.updateTemplate.run({ ...params, id });
+        }
+        return this.findTemplate(id)!;
+    }
+
+    // The template's {{variables}} that have no value
+    private missingTemplateVariables(template: NoteTemplate, variables: Record<string, string>): string[] {
+        return template.variables.filter(name => !Object.prototype.hasOwnProperty.call(variables, name));
+    }
+
+    // Fills a template's {{variables}} into a new note's fields. The title is filled first
+    // so the content can use {{title}}; an empty title falls back to the template name.
+    private fillNoteTemplate(template: NoteTemplate, conversationId: string, variables: Record<string, string>, title?: string): NoteInput {
+        const missing = this.missingTemplateVariables(template, variables);
+        if (missing.length > 0) {
+            throw new ValidationError(missing.map(name => ({ field: `variables.${name}`, message: 'is required by the template' })));
+        }
+
+        const values = { ...builtInValues(conversationId), ...variables };
+        title = title ?? (fillTemplate(template.title, values).trim() || template.name);
+        return {
+            title,
+            content: fillTemplate(template.content, { ...values, title }),
+            conversation_id: conversationId,
+            color_hex: template.color_hex,
+            section_id: template.section_id,
+            tags: template.tags
+        };
+    }
+
+    private toSavedView(row: SavedViewRow): SavedView {
+        const filters = JSON.parse(row.filters) as ViewFilters;
+        return {
+            ...row,
+            filters,
+            note_count: this.noteQueryService.countNotes(viewNoteFilters(filters, row.sort, 1, 1))
+        };
+    }
+
+    // Finds a saved view by id, or by name (case-insensitively)
+    private findSavedView(idOrName: number | string): SavedView | null {
+        const row = (typeof idOrName === 'number'
+            ? preparedStatements.getSavedViewById.get({ id: idOrName })
+            : preparedStatements.getSavedViewByName.get({ name: idOrName })) as SavedViewRow | undefined;
+        return row ? this.toSavedView(row) : null;
+    }
+
+    // Checks that no other view has the name. Returns the HTTP error to respond with, or null.
+    private checkSavedViewName(name: string, id?: number): { status: number; error: string } | null {
+        const existing = preparedStatements.getSavedViewByName.get({ name }) as SavedViewRow | undefined;
+        if (existing && existing.id !== id) {
+            return { status: 409, error: `A view named ${existing.name} already exists` };
+        }
+        return null;
+    }
+
+    // Writes a new saved view, or replaces the fields of an existing one
+    private saveSavedView(fields: SavedViewFields, id?: number): SavedView {
+        const params = { ...fields, filters: JSON.stringify(fields.filters) };
+        if (id === undefined) {
+            id = Number(preparedStatements.insertSavedView.run(params).lastInsertRowid);
+        } else {
+            preparedStatements.updateSavedView.run({ ...params, id });
+        }
+        this.notifyResourceListChanged();
+        return this.findSavedView(id)!;
+    }
+
+    // Creates a single note with its tags and broadcasts it
+    private createNote(input: NoteInput): Note {
+        const createdTags: string[] = [];
+        const id = db.transaction(() => this.insertNoteWithTags(input, createdTags))();
+        const note = this.getNoteWithTags(id)!;
+
+        this.webSocketServer.broadcastNoteCreation(note);
+        this.webSocketServer.broadcastConversationUpdate({
+            conversation_id: note.conversation_id,
+            note_count: this.getConversationNoteCount(note.conversation_id)
+        });
+        for (const tagName of note.tags || []) {
+            if (createdTags.includes(tagName)) {
+                this.webSocketServer.broadcastTagCreation({ name: tagName, note_count: 1 });
+            } else {
+                this.webSocketServer.broadcastTagUpdate({ name: tagName, note_count: this.getTagNoteCount(tagName) });
+            }
+        }
+        this.notifyResourcesChanged([note]);
+
+        return note;
+    }
+
+    // Inserts a note and links its tags. Must run inside a transaction.
+    private insertNoteWithTags(input: NoteInput, createdTags: string[]): number {
+        this.checkSectionExists(input.section_id);
+
+        const result = preparedStatements.insertNote.run({
+            title: input.title,
+            content: input.content,
+            conversationId: input.conversation_id,
+            color_hex: input.color_hex || null,
+            section_id: input.section_id ?? null
+        });
+        const id = Number(result.lastInsertRowid);
+        this.addNoteTags(id, input.tags || [], createdTags);
+        this.setNoteProperties(id, input.properties || {});
+        this.syncNoteLinks(id, input.content);
+        this.syncNoteTasks(id, input.content);
+        preparedStatements.resolveBrokenLinks.run({ id, title: input.title });
+        this.recordRevision(id);
+        return id;
+    }
+
+    // Finds the note a [[...]] link points to: [[#123]] by id, anything else by title
+    private resolveWikiLink(target: string): { id: number; title: string } | null {
+        const id = parseNoteIdTarget(target);
+        const note = (id !== null
+            ? preparedStatements.getNoteById.get({ id })
+            : preparedStatements.getNoteByTitle.get({ title: target })) as { id: number; title: string } | undefined;
+        return note ? { id: note.id, title: note.title } : null;
+    }
+
+    // Replaces a note's outgoing links with the ones in its content. Call inside the transaction that saved it.
+    private syncNoteLinks(noteId: number, content: string) {
+        preparedStatements.deleteNoteLinks.run({ source_id: noteId });
+        for (const target of extractWikiLinks(content)) {
+            const note = this.resolveWikiLink(target);
+            preparedStatements.insertNoteLink.run({ source_id: noteId, target, target_id: note ? note.id : null });
+        }
+    }
+
+    // Rewrites [[Old Title]] in the notes linking to a renamed note so the links keep pointing at it.
+    // Titles that cannot appear in a link are linked by id instead.
+    private keepLinksToRenamedNote(noteId: number, oldTitle: string, newTitle: string) {
+        const newTarget = isLinkableTitle(newTitle) ? newTitle : `#${noteId}`;
+        const sources = preparedStatements.getLinkSourcesByTitle.all({ target_id: noteId, title: oldTitle }) as { source_id: number }[];
+
+        for (const { source_id } of sources) {
+            const source = preparedStatements.getNoteById.get({ id: source_id }) as Note | undefined;
+            if (!source) continue;
+
+            const content = replaceWikiLinks(source.content, target =>
+                target.toLowerCase() === oldTitle.toLowerCase() ? newTarget : null);
+            if (content !== source.content) {
+                this.updateNote(source_id, { content });
+            }
+        }
+    }
+
+    // A note's outgoing links, in the order they first appear
+    private getNoteLinks(noteId: number): NoteLink[] {
+        const rows = preparedStatements.getNoteLinks.all({ source_id: noteId }) as (Omit<NoteLink, 'broken'> & { broken: number })[];
+        return rows.map(row => ({ ...row, broken: row.broken === 1 }));
+    }
+
+    // Notes outside the trash that link to a note, most recently updated first
+    private getBacklinks(noteId: number) {
+        return preparedStatements.getBacklinks.all({ target_id: noteId }) as Pick<Note, 'id' | 'title' | 'conversation_id' | 'updated_at'>[];
+    }
+
+    // Replaces a note's indexed tasks with the ones in its content. Call inside the transaction that saved it.
+    private syncNoteTasks(noteId: number, content: string) {
+        preparedStatements.deleteNoteTasks.run({ note_id: noteId });
+        for (const task of extractTasks(content)) {
+            preparedStatements.insertTask.run({ note_id: noteId, line: task.line, text: task.text, done: Number(task.done) });
+        }
+    }
 
-                    if (!note) {
-                        throw new Error(`Note with ID ${id} not found`);
-                    }
+    // Tasks across notes outside the trash, from pinned and recently updated notes first
+    private listTasks(filters: TaskFilters) {
+        const params = {
+            done: filters.status === 'all' ? null : Number(filters.status === 'done'),
+            conversationId: filters.conversationId || null,
+            tags: filters.tags && filters.tags.length > 0 ? JSON.stringify(filters.tags) : null,
+            archived: filters.archived
+        };
+        const rows = preparedStatements.getTasks.all({ ...params, limit: filters.limit, offset: filters.offset }) as (Omit<NoteTask, 'done'> & { done: number })[];
+        const { count } = preparedStatements.countTasks.get(params) as CountResult;
+
+        return {
+            total: count,
+            limit: filters.limit,
+            offset: filters.offset,
+            tasks: rows.map(row => ({ ...row, done: row.done === 1 }))
+        };
+    }
 
-                    return {
-                        ...note,
-                        tags: note.tag_list ? note.tag_list.split(',') : []
-                    } as Note;
-                });
+    // Checks or unchecks a task by rewriting its checkbox in the note content; omit done to flip it.
+    // Returns null when the note does not exist or has no task on that line.
+    private toggleTask(noteId: number, line: number, done?: boolean): NoteTask | null {
+        const note = preparedStatements.getNoteById.get({ id: noteId }) as Note | undefined;
+        const content = note ? setTaskDone(note.content, line, done) : null;
+        if (!note || content === null) {
+            return null;
+        }
 
-                // Generate markdown content
-                let markdown = '';
+        const updated = this.updateNote(noteId, { content })!;
+        const task = extractTasks(updated.content).find(item => item.line === line)!;
+        return { note_id: noteId, note_title: updated.title, conversation_id: updated.conversation_id, ...task };
+    }
 
-                if (notes.length === 1) {
-                    const note = notes[0];
-                    markdown = this.exportService.exportNote(note, {
-                        includeMetadata: true,
-                        format: 'md'
-                    });
-                } else {
-                    markdown = this.exportService.exportNotes(notes, {
-                        includeMetadata: true,
-                        format: 'md'
-                    });
-                }
+    // A note's attachments, each with the markdown that embeds it
+    private listAttachments(noteId: number) {
+        const attachments = preparedStatements.getAttachmentsByNoteId.all({ note_id: noteId }) as Attachment[];
+        return attachments.map(attachment => ({ ...attachment, markdown: attachmentMarkdown(attachment) }));
+    }
 
-                // Set headers for file download
-                res.setHeader('Content-Type', 'text/markdown');
-                res.setHeader('Content-Disposition', 'attachment; filename="notes.md"');
+    // Stores a file with a note, enforcing attachments.maxFileSize and attachments.maxTotalSize.
+    // Returns null when the note does not exist.
+    private addAttachment(noteId: number, filename: string, mimeType: string, data: Buffer) {
+        if (!preparedStatements.getNoteById.get({ id: noteId })) {
+            return null;
+        }
 
-                res.send(markdown);
-            } catch (error) {
-                next(error);
+        const { maxFileSize, maxTotalSize } = config.attachments;
+        if (data.length > maxFileSize) {
+            throw new AttachmentLimitError(`${filename} is ${formatBytes(data.length)}, over the ${formatBytes(maxFileSize)} limit per file`);
+        }
+
+        const id = db.transaction(() => {
+            const { total } = preparedStatements.getTotalAttachmentSize.get() as { total: number };
+            if (total + data.length > maxTotalSize) {
+                throw new AttachmentLimitError(`${filename} does not fit in the ${formatBytes(maxTotalSize)} limit for all attachments (${formatBytes(total)} used)`);
             }
-        }) as RequestHandler);
+            const result = preparedStatements.insertAttachment.run({
+                note_id: noteId,
+                filename,
+                mime_type: mimeType,
+                size: data.length,
+                data
+            });
+            return Number(result.lastInsertRowid);
+        })();
 
-        // Root route
-        this.expressApp.get('/', (req: Request, res: Response) => {
-            res.sendFile(join(publicPath, 'index.html'));
-        });
+        const attachment = preparedStatements.getAttachmentById.get({ id }) as Attachment;
+        return { ...attachment, markdown: attachmentMarkdown(attachment) };
+    }
 
-        // Add conversations endpoint
-        this.expressApp.get('/api/conversations', (req: Request, res: Response) => {
-            try {
-                const rows = preparedStatements.getUniqueConversations.all() as ConversationRow[];
-                const conversations = rows.map(row => row.conversation_id);
-                res.json({ conversations });
-            } catch (error) {
-                console.error('Error fetching conversations:', error);
-                res.status(500).json({ error: 'Failed to fetch conversations' });
+    // Parses links in notes saved before links were tracked
+    private backfillNoteLinks() {
+        const notes = preparedStatements.getUnparsedLinkSources.all() as Pick<Note, 'id' | 'content'>[];
+        db.transaction(() => {
+            for (const note of notes) {
+                this.syncNoteLinks(note.id, note.content);
             }
-        });
+        })();
+    }
 
-        // Add WebSocket port configuration endpoint
-        this.expressApp.get('/api/config/ws-port', async (req: Request, res: Response) => {
-            try {
-                const port = this.webSocketServer.getCurrentPort();
-                if (!port) {
-                    throw new Error('WebSocket server not initialized or disabled');
-                }
-                res.json({ port });
-            } catch (error) {
-                console.error('Error getting WebSocket port:', error);
-                res.status(500).json({ error: 'Failed to get WebSocket port configuration' });
+    // Indexes tasks in notes saved before tasks were tracked
+    private backfillNoteTasks() {
+        const notes = preparedStatements.getUnparsedTaskSources.all() as Pick<Note, 'id' | 'content'>[];
+        db.transaction(() => {
+            for (const note of notes) {
+                this.syncNoteTasks(note.id, note.content);
             }
-        });
+        })();
+    }
 
-        // Add configuration endpoint
-        this.expressApp.get('/api/config', async (req: Request, res: Response) => {
-            try {
-                res.json({
-                    webPort: WEB_UI_PORT,
-                    wsPort: this.webSocketServer.getCurrentPort(),
-                    dbPath: DB_PATH
-                });
-            } catch (error) {
-                console.error('Error getting configuration:', error);
-                res.status(500).json({ error: 'Failed to get server configuration' });
+    // Links tags to a note, creating missing tags and skipping ones it already has.
+    // Names of newly created tags are appended to createdTags.
+    private addNoteTags(noteId: number, tagNames: string[], createdTags: string[]) {
+        const existing = (preparedStatements.getTagsByNoteId.all({ note_id: noteId }) as { name: string }[]).map(t => t.name);
+        for (const tagName of tagNames) {
+            if (existing.includes(tagName)) continue;
+
+            let tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
+            if (!tag) {
+                const result = preparedStatements.insertTag.run({ name: tagName });
+                tag = { id: result.lastInsertRowid as number, name: tagName };
+                createdTags.push(tagName);
             }
-        });
+            preparedStatements.insertNoteTag.run({ note_id: noteId, tag_id: tag.id });
+        }
+    }
 
-        // Register error handler after all routes
-        this.expressApp.use(errorHandler);
+    // Resolves the notes a batch-tag request targets: explicit ids or every note in a conversation
+    private resolveBatchTagTargets(noteIds?: number[], conversationId?: string): number[] {
+        if (conversationId !== undefined) {
+            const notes = preparedStatements.getNotesByConversation.all({ conversationId, archived: 'include' }) as Note[];
+            return notes.map(note => note.id);
+        }
+        return noteIds || [];
+    }
 
-        // Find available port starting from configured port
-        const port = await findAvailablePort(WEB_UI_PORT);
-        if (!port) {
-            throw new Error(`Could not find available port after trying ${WEB_UI_PORT} through ${WEB_UI_PORT + 100}`);
+    // Runs every item inside one transaction. If any item throws, the whole batch is rolled back:
+    // failed items report their error and the others are reported as rolled_back.
+    private runBatch<T>(items: T[], apply: (item: T) => number, idOf?: (item: T) => number): BatchResult {
+        const results: BatchItemResult[] = [];
+
+        try {
+            db.transaction(() => {
+                items.forEach((item, index) => {
+                    try {
+                        results.push({ index, id: apply(item), status: 'ok' });
+                    } catch (error: any) {
+                        results.push({ index, id: idOf?.(item), status: 'failed', error: error.message });
+                    }
+                });
+
+                if (results.some(result => result.status === 'failed')) {
+                    throw new BatchRollbackError();
+                }
+            })();
+        } catch (error) {
+            if (!(error instanceof BatchRollbackError)) throw error;
+
+            return {
+                success: false,
+                results: results.map(result => result.status === 'ok'
+                    ? { index: result.index, id: idOf?.(items[result.index]), status: 'rolled_back' }
+                    : result)
+            };
         }
 
-        this.expressApp.listen(port, () => {
-            console.error(`Web UI running at http://localhost:${port}${port !== WEB_UI_PORT ? ` (original port ${WEB_UI_PORT} was in use)` : ''}`);
-        });
+        return { success: true, results };
     }
 
-    private async setupWebSocket() {
-        await this.webSocketServer.initialize();
-    }
+    private batchCreateNotes(items: NoteInput[]): BatchResult {
+        const createdTags: string[] = [];
+        const batch = this.runBatch(items, item => this.insertNoteWithTags(item, createdTags));
 
-    private setupResourceHandlers() {
-        // List resources handler
-        this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
-            resources: [],
-            tools: []
-        }));
+        if (batch.success) {
+            const notes = batch.results.map(result => this.getNoteWithTags(result.id!)!);
+            this.broadcastBatch('created', notes, notes.flatMap(note => note.tags || []));
+            this.notifyResourcesChanged(notes);
+        }
 
-        // List resource templates handler
-        this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
-            resourceTemplates: [
-                {
-                    uriTemplate: 'notes://{conversationId}',
-                    name: 'Notes by Conversation ID',
-                    mimeType: 'application/json',
-                    description: 'Returns all notes for a given conversation ID',
-                },
-                {
-                    uriTemplate: 'note://{id}',
-                    name: 'Note by ID',
-                    mimeType: 'application/json',
-                    description: 'Returns a single note by ID',
-                },
-            ],
-            tools: []
-        }));
+        return batch;
+    }
 
-        // Read resource handler
-        this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-            const uri = request.params.uri;
+    private batchTagNotes(noteIds: number[], addTags: string[], removeTags: string[]): BatchResult {
+        const before = noteIds.map(id => this.getNoteWithTags(id));
+        const createdTags: string[] = [];
+        const batch = this.runBatch(noteIds, id => {
+            if (!preparedStatements.getNoteById.get({ id })) {
+                throw new Error(`Note with id ${id} not found`);
+            }
 
-            if (uri.startsWith('notes://')) {
-                const conversationId = uri.substring('notes://'.length);
-                const notes = preparedStatements.getNotesByConversation.all({ conversationId });
-                return {
-                    contents: [{
-                        uri: uri,
-                        mimeType: 'application/json',
-                        text: JSON.stringify(notes, null, 2),
-                    }],
-                    tools: []
-                };
-            } else if (uri.startsWith('note://')) {
-                const id = uri.substring('note://'.length);
-                const note = preparedStatements.getNoteById.get({ id });
-                if (!note) {
-                    throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
+            this.addNoteTags(id, addTags.filter(tag => !removeTags.includes(tag)), createdTags);
+            for (const tagName of removeTags) {
+                const tag = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
+                if (tag) {
+                    preparedStatements.deleteNoteTag.run({ note_id: id, tag_id: tag.id });
                 }
-                return {
-                    contents: [{
-                        uri: uri,
-                        mimeType: 'application/json',
-                        text: JSON.stringify(note, null, 2),
-                    }],
-                    tools: []
-                };
-            } else {
-                throw new McpError(ErrorCode.InvalidParams, `Invalid URI: ${uri}`);
             }
-        });
+            preparedStatements.touchNote.run({ id });
+            this.recordRevision(id);
+            return id;
+        }, id => id);
+
+        if (batch.success) {
+            const after = noteIds.map(id => this.getNoteWithTags(id)!);
+            this.broadcastBatch('updated', after, [...addTags, ...removeTags], false);
+            this.notifyResourcesChanged([...before, ...after]);
+        }
+
+        return batch;
     }
 
-    private setupToolHandlers() {
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-            tools: [
-                {
-                    name: 'create-note',
-                    description: 'Creates a new note',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            title: { type: 'string' },
-                            content: { type: 'string' },
-                            conversationId: { type: 'string' },
-                            tags: { type: 'array', items: { type: 'string' } },
-                            color_hex: { type: 'string' }
-                        },
-                        required: ['title', 'content', 'conversationId']
-                    }
-                },
-                {
-                    name: 'update-note',
-                    description: 'Updates an existing note',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            id: { type: 'string' },
-                            content: { type: 'string' }
-                        },
-                        required: ['id', 'content']
-                    }
-                },
-                {
-                    name: 'delete-note',
-                    description: 'Deletes a note',
-                    inputSchema: {
-                        type: 'object',
-                        properties: {
-                            id: { type: 'string' }
-                        },
-                        required: ['id']
-                    }
-                }
-            ]
-        }));
+    // Pins, unpins, archives or unarchives notes in one transaction; an undefined flag is left as it is
+    private setNoteState(noteIds: number[], state: { pinned?: boolean; archived?: boolean }): BatchResult {
+        const batch = this.runBatch(noteIds, id => {
+            const result = preparedStatements.updateNoteState.run({
+                id,
+                pinned: state.pinned === undefined ? null : Number(state.pinned),
+                archived: state.archived === undefined ? null : Number(state.archived)
+            });
+            if (result.changes === 0) {
+                throw new Error(`Note with id ${id} not found`);
+            }
+            return id;
+        }, id => id);
 
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            if (!request.params?.name) {
-                throw new McpError(ErrorCode.InvalidParams, 'Tool name is required');
+        if (batch.success) {
+            const notes = noteIds.map(id => this.getNoteWithTags(id)!);
+            this.broadcastBatch('updated', notes, [], false);
+            this.notifyResourcesChanged(notes);
+        }
+
+        return batch;
+    }
+
+    private batchDeleteNotes(noteIds: number[]): BatchResult {
+        const notes = noteIds.map(id => this.getNoteWithTags(id));
+        const batch = this.runBatch(noteIds, id => {
+            if (preparedStatements.trashNote.run({ id }).changes === 0) {
+                throw new Error(`Note with id ${id} not found`);
             }
+            return id;
+        }, id => id);
 
-            switch (request.params.name) {
-                case 'create-note': {
-                    const { title, content, conversationId, tags, color_hex } = request.params.arguments as any;
-                    try {
-                        const result = preparedStatements.insertNote.run({
-                            title,
-                            content,
-                            conversationId,
-                            color_hex: color_hex || null
-                        });
-                        const id = result.lastInsertRowid;
+        if (batch.success) {
+            const deleted = notes.filter((note): note is Note => note !== null);
+            this.broadcastBatch('deleted', deleted, deleted.flatMap(note => note.tags || []));
+            this.notifyResourcesChanged(deleted);
+        }
 
-                        // Broadcast note creation via WebSocket
-                        const newNote = {
-                            id,
-                            title,
-                            content,
-                            conversation_id: conversationId,
-                            color_hex,
-                            tags,
-                            created_at: Math.floor(Date.now() / 1000),
-                            updated_at: Math.floor(Date.now() / 1000)
-                        };
-                        this.webSocketServer.broadcastNoteCreation(newNote);
+        return batch;
+    }
 
-                        // Handle tags
-                        if (tags && Array.isArray(tags)) {
-                            // Delete existing tags for the note
-                            preparedStatements.deleteNoteTags.run({ note_id: id });
+    // Moves a note to the trash and broadcasts its removal. Returns null when the note does not exist.
+    private trashNote(id: number): Note | null {
+        const note = this.getNoteWithTags(id);
+        if (!note) {
+            return null;
+        }
 
-                            for (const tagName of tags) {
-                                let tagRecord = preparedStatements.getTagByName.get({ name: tagName }) as TagRecord;
+        preparedStatements.trashNote.run({ id });
 
-                                // If tag doesn't exist, create it
-                                if (!tagRecord) {
-                                    const result = preparedStatements.insertTag.run({ name: tagName });
-                                    tagRecord = { id: result.lastInsertRowid, name: tagName } as TagRecord;
-                                }
+        // Broadcast note deletion
+        this.webSocketServer.broadcastNoteDeleted(note);
 
-                                // Insert note tag
-                                preparedStatements.insertNoteTag.run({ note_id: id, tag_id: tagRecord.id });
-                            }
-                        }
+        // Update conversation count
+        this.webSocketServer.broadcastConversationUpdate({
+            conversation_id: note.conversation_id,
+            note_count: this.getConversationNoteCount(note.conversation_id)
+        });
 
-                        return {
-                            content: [{ type: 'text', text: `Note created with id ${id}` }],
-                        };
-                    } catch (error: any) {
-                        console.error('Error creating note:', error);
-                        return {
-                            content: [{ type: 'text', text: `Error creating note: ${error.message}` }],
-                            isError: true,
-                        };
-                    }
-                }
+        // Update tag counts
+        for (const tagName of note.tags || []) {
+            this.webSocketServer.broadcastTagUpdate({
+                name: tagName,
+                note_count: this.getTagNoteCount(tagName)
+            });
+        }
 
-                case 'update-note': {
-                    const { id, content } = request.params.arguments as any;
-                    try {
-                        const result = preparedStatements.updateNote.run({ id, content });
+        this.notifyResourcesChanged([note]);
 
-                        if (result.changes === 0) {
-                            return {
-                                content: [{ type: 'text', text: `Note with id ${id} not found` }],
-                                isError: true,
-                            };
-                        }
+        return note;
+    }
 
-                        return {
-                            content: [{ type: 'text', text: `Note updated with id ${id}` }],
-                        };
-                    } catch (error: any) {
-                        console.error('Error updating note:', error);
-                        return {
-                            content: [{ type: 'text', text: `Error updating note: ${error.message}` }],
-                            isError: true,
-                        };
-                    }
-                }
+    // Notes in the trash with their tags, most recently deleted first
+    private listTrash(): Note[] {
+        const notes = preparedStatements.getTrashedNotes.all() as Note[];
+        this.noteQueryService.attachTags(notes);
+        this.noteQueryService.attachProperties(notes);
+        return notes;
+    }
 
-                case 'delete-note': {
-                    const { id } = request.params.arguments as any;
-                    try {
-                        const note = preparedStatements.getNoteById.get({ id }) as Note;
-                        if (!note) {
-                            throw new McpError(ErrorCode.InvalidParams, `Note with id ${id} not found`);
-                        }
+    private restoreNotes(noteIds: number[]): BatchResult {
+        const batch = this.runBatch(noteIds, id => {
+            if (preparedStatements.restoreNote.run({ id }).changes === 0) {
+                throw new Error(`Note with id ${id} is not in the trash`);
+            }
+            const { title } = preparedStatements.getNoteById.get({ id }) as Note;
+            preparedStatements.resolveBrokenLinks.run({ id, title });
+            return id;
+        }, id => id);
+
+        if (batch.success) {
+            const notes = noteIds.map(id => this.getNoteWithTags(id)!);
+            this.broadcastBatch('restored', notes, notes.flatMap(note => note.tags || []));
+            this.notifyResourcesChanged(notes);
+        }
 
-                        const tags = preparedStatements.getTagsByNoteId.all({ note_id: id }) as { name: string }[];
-                        preparedStatements.deleteNote.run({ id });
+        return batch;
+    }
 
-                        // Broadcast note deletion
-                        this.webSocketServer.broadcastNoteDeleted(note);
+    // Permanently deletes trashed notes together with their tag links and revisions
+    private purgeNotes(noteIds: number[]): BatchResult {
+        const purged: Note[] = [];
+        const batch = this.runBatch(noteIds, id => {
+            const note = preparedStatements.getTrashedNoteById.get({ id }) as Note | undefined;
+            if (!note) {
+                throw new Error(`Note with id ${id} is not in the trash`);
+            }
+            this.noteQueryService.attachTags([note]);
+            preparedStatements.purgeNote.run({ id });
+            purged.push(note);
+            return id;
+        }, id => id);
+
+        if (batch.success) {
+            this.notifyNotesPurged(purged);
+        }
 
-                        // Update conversation count
-                        const conversationCount = this.getConversationNoteCount(note.conversation_id);
-                        this.webSocketServer.broadcastConversationUpdate({
-                            conversation_id: note.conversation_id,
-                            note_count: conversationCount
-                        });
+        return batch;
+    }
 
-                        // Update tag counts
-                        for (const tag of tags) {
-                            const tagCount = this.getTagNoteCount(tag.name);
-                            this.webSocketServer.broadcastTagUpdate({
-                                name: tag.name,
-                                note_count: tagCount
-                            });
-                        }
+    // Permanently deletes every note in the trash, returning how many were deleted
+    private emptyTrash(): number {
+        const notes = db.transaction(() => {
+            const trashed = this.listTrash();
+            preparedStatements.purgeTrash.run();
+            return trashed;
+        })();
+        this.notifyNotesPurged(notes);
+        return notes.length;
+    }
 
-                        return {
-                            content: [{ type: 'text', text: `Note deleted with id ${id}` }],
-                        };
-                    } catch (error: any) {
-                        console.error('Error deleting note:', error);
-                        return {
-                            content: [{ type: 'text', text: `Error deleting note: ${error.message}` }],
-                            isError: true,
-                        };
-                    }
-                }
+    // Tells web clients and MCP subscribers that notes are gone for good. Notes in the trash
+    // already count towards no conversation or tag, so there are no counts to update.
+    private notifyNotesPurged(notes: Note[]) {
+        if (notes.length === 0) return;
+        this.broadcastBatch('purged', notes, [], false);
+        this.notifyResourcesChanged(notes);
+    }
 
-                default:
-                    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${request.params.name}`);
+    // Permanently deletes notes that have been in the trash for longer than trash.retentionDays
+    private purgeExpiredTrash() {
+        const { retentionDays } = config.trash;
+        if (!(retentionDays > 0)) return;
+
+        try {
+            const cutoff = Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+            const notes = db.transaction(() => {
+                const expired = preparedStatements.getExpiredNotes.all({ cutoff }) as Note[];
+                this.noteQueryService.attachTags(expired);
+                preparedStatements.purgeExpiredNotes.run({ cutoff });
+                return expired;
+            })();
+            if (notes.length > 0) {
+                console.error(`Purged ${notes.length} notes that were in the trash for more than ${retentionDays} days`);
+                this.notifyNotesPurged(notes);
             }
-        });
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    }
+
+    // Sends a finished batch as one WebSocket message, with the conversation and tag counts it changed
+    private broadcastBatch(action: 'created' | 'updated' | 'deleted' | 'restored' | 'purged', notes: Note[], tagNames: string[], includeConversations: boolean = true) {
+        const conversations = includeConversations
+            ? [...new Set(notes.map(note => note.conversation_id))].map(conversationId => ({
+                conversation_id: conversationId,
+                note_count: this.getConversationNoteCount(conversationId)
+            }))
+            : [];
+        const tags = [...new Set(tagNames)].map(name => ({
+            name,
+            note_count: this.getTagNoteCount(name)
+        }));
+
+        this.webSocketServer.broadcastNotesBatch({ action, notes, conversations, tags });
     }
 
     private async getAllNotes(): Promise<NoteWithMetadata[]> {
@@ -1248,23 +4892,25 @@ class StickyNotesServer {
                 created_at as createdAt,
                 updated_at as updatedAt
             FROM notes
+            WHERE deleted_at IS NULL
         `;
         return this.db.prepare(query).all() as NoteWithMetadata[];
     }
 
     private async cleanup() {
+        if (this.trashPurgeTimer) {
+            clearInterval(this.trashPurgeTimer);
+        }
         await this.webSocketServer.shutdown();
-        await this.server.close();
+        for (const { server } of this.sessions) {
+            await server.close();
+        }
     }
 
     // Add helper functions for note counts
     private getConversationNoteCount(conversationId: string): number {
-        const result = db.prepare(`
-            SELECT COUNT(*) as count 
-            FROM notes 
-            WHERE conversation_id = ?
-        `).get(conversationId) as CountResult;
-        return result.count;
+        const conversation = this.getConversation(conversationId);
+        return conversation ? conversation.note_count : 0;
     }
 
     private getTagNoteCount(tagName: string): number {
@@ -1272,7 +4918,8 @@ class StickyNotesServer {
             SELECT COUNT(*) as count 
             FROM note_tags 
             JOIN tags ON tags.id = note_tags.tag_id 
-            WHERE tags.name = ?
+            JOIN notes ON notes.id = note_tags.note_id
+            WHERE tags.name = ? AND notes.deleted_at IS NULL
         `).get(tagName) as CountResult;
         return result.count;
     }
@@ -86,8 +86,22 @@ const ThemeToggle = () => {
     );
 };
 
+// Text with the given character ranges wrapped in <mark>, for search matches
+const HighlightedText = ({ text, highlights }) => {
+    const parts = [];
+    let cursor = 0;
+    highlights.forEach(({ start, end }, index) => {
+        if (start < cursor) return;
+        parts.push(text.slice(cursor, start));
+        parts.push(<mark key={index} className="rounded-sm px-0.5" style={{ backgroundColor: '#FFE999', color: 'inherit' }}>{text.slice(start, end)}</mark>);
+        cursor = end;
+    });
+    parts.push(text.slice(cursor));
+    return <span>{parts}</span>;
+};
+
 // Note component
-const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversationClick, isSelected, onSelect, bulkActionMode, onExport }) => {
+const Note = ({ note, onEdit, onDelete, onColorChange, onStateChange, onToggleTask, onTagClick, onConversationClick, isSelected, onSelect, bulkActionMode, onExport }) => {
     const [isColorPickerOpen, setIsColorPickerOpen] = React.useState(false);
     const { theme } = React.useContext(ThemeContext);
     const isDark = theme === 'dark';
@@ -99,14 +113,24 @@ const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversatio
     // Create a ref for the content div to handle markdown content
     const contentRef = React.useRef(null);
 
-    // Effect to render markdown content
+    // Effect to render markdown content; search results show their matching excerpt instead
     React.useEffect(() => {
-        if (contentRef.current) {
+        if (contentRef.current && !note.match) {
             window.renderMarkdown(note.content).then(html => {
                 contentRef.current.innerHTML = html;
             });
         }
-    }, [note.content]);
+    }, [note.content, note.match]);
+
+    const titleHighlights = note.match ? note.match.highlights.filter(range => range.field === 'title') : [];
+
+    // Task checkboxes in the rendered content toggle the task in place
+    const handleContentClick = (e) => {
+        if (e.target.matches && e.target.matches('input.task-checkbox')) {
+            e.stopPropagation();
+            onToggleTask(note.id, Number(e.target.dataset.taskLine), e.target.checked);
+        }
+    };
 
     return (
         <div
@@ -143,8 +167,38 @@ const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversatio
                 )}
 
                 <div className="flex justify-between items-start flex-1 min-w-0">
-                    <h3 className="font-bold text-lg flex-grow pr-4 truncate">{note.title}</h3>
+                    <h3 className="font-bold text-lg flex-grow pr-4 truncate">
+                        {note.archived ? <span className="text-xs font-normal text-tertiary mr-2">Archived</span> : null}
+                        <HighlightedText text={note.title} highlights={titleHighlights} />
+                    </h3>
                     <div className="flex space-x-2 flex-shrink-0">
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onStateChange(note.id, { pinned: !note.pinned });
+                            }}
+                            className={`bg-white/90 hover:bg-white transition-all p-1.5 rounded-full flex items-center justify-center shadow-sm ${note.pinned ? 'text-accent-primary' : 'text-gray-700 hover:text-accent-primary'}`}
+                            title={note.pinned ? 'Unpin note' : 'Pin note'}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill={note.pinned ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <line x1="12" y1="17" x2="12" y2="22"></line>
+                                <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path>
+                            </svg>
+                        </button>
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onStateChange(note.id, { archived: !note.archived });
+                            }}
+                            className="bg-white/90 hover:bg-white text-gray-700 hover:text-accent-primary transition-all p-1.5 rounded-full flex items-center justify-center shadow-sm"
+                            title={note.archived ? 'Unarchive note' : 'Archive note'}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <rect x="2" y="3" width="20" height="5" rx="1"></rect>
+                                <path d="M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8"></path>
+                                <path d="M10 12h4"></path>
+                            </svg>
+                        </button>
                         <button
                             onClick={(e) => {
                                 e.stopPropagation();
@@ -226,10 +280,17 @@ const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversatio
                 style={{ backgroundColor: bodyColor }}
             >
                 <div className="h-full overflow-y-auto p-3 flex flex-col">
-                    <div
-                        ref={contentRef}
-                        className="text-sm mb-2 flex-grow prose prose-sm dark:prose-invert max-w-none"
-                    />
+                    {note.match ? (
+                        <p className="text-sm mb-2 flex-grow whitespace-pre-line">
+                            <HighlightedText text={note.match.snippet} highlights={note.match.snippet_highlights} />
+                        </p>
+                    ) : (
+                        <div
+                            ref={contentRef}
+                            className="text-sm mb-2 flex-grow prose prose-sm dark:prose-invert max-w-none"
+                            onClick={handleContentClick}
+                        />
+                    )}
 
                     <div className="flex flex-wrap gap-1 mt-2">
                         {note.tags && note.tags.map(tag => (
@@ -247,6 +308,16 @@ const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversatio
                         ))}
                     </div>
 
+                    {note.properties && Object.keys(note.properties).length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {Object.entries(note.properties).map(([key, value]) => (
+                                <span key={key} className="px-2 py-1 bg-white/30 text-xs rounded">
+                                    {key}: {value}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="text-xs text-tertiary mt-2 flex justify-between">
                         <span>{new Date(note.created_at * 1000).toLocaleDateString()}</span>
                         <span
@@ -266,14 +337,173 @@ const Note = ({ note, onEdit, onDelete, onColorChange, onTagClick, onConversatio
 };
 
 // Note Modal component
-const NoteModal = ({ note, onClose, onSave }) => {
+// Revision history of a note, with a diff of each change and restore
+const NoteHistory = ({ noteId, onRestore }) => {
+    const [revisions, setRevisions] = React.useState([]);
+    const [selectedRevision, setSelectedRevision] = React.useState(null);
+    const [diff, setDiff] = React.useState(null);
+    const [error, setError] = React.useState(null);
+
+    const loadRevisions = React.useCallback(async () => {
+        try {
+            setRevisions(await NotesAPI.fetchRevisions(noteId));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [noteId]);
+
+    React.useEffect(() => {
+        loadRevisions();
+    }, [loadRevisions]);
+
+    const showDiff = async (revisionId) => {
+        try {
+            setSelectedRevision(revisionId);
+            setDiff(await NotesAPI.fetchRevisionDiff(noteId, revisionId));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const restore = async (revisionId) => {
+        try {
+            const note = await NotesAPI.restoreRevision(noteId, revisionId);
+            onRestore(note);
+            setSelectedRevision(null);
+            setDiff(null);
+            await loadRevisions();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const lineClass = (line) => {
+        if (line.startsWith('+++') || line.startsWith('---')) return 'text-tertiary';
+        if (line.startsWith('@@')) return 'text-accent-primary';
+        if (line.startsWith('+')) return 'bg-green-500/20';
+        if (line.startsWith('-')) return 'bg-red-500/20';
+        return '';
+    };
+
+    return (
+        <div className="space-y-4">
+            {error && <div className="text-sm text-red-500">{error}</div>}
+
+            <ul className="max-h-48 overflow-y-auto border rounded-lg border-default divide-y divide-gray-200 dark:divide-gray-700">
+                {revisions.map((revision, index) => (
+                    <li
+                        key={revision.id}
+                        className={`flex items-center justify-between gap-3 px-4 py-2 text-sm ${selectedRevision === revision.id ? 'bg-secondary' : ''}`}
+                    >
+                        <div className="min-w-0">
+                            <div className="font-medium truncate">{revision.title || 'Untitled'}</div>
+                            <div className="text-tertiary">
+                                {new Date(revision.created_at * 1000).toLocaleString()}
+                                {index === 0 && ' (current)'}
+                                {revision.tags.length > 0 && ` · ${revision.tags.join(', ')}`}
+                            </div>
+                        </div>
+                        <div className="flex gap-2 shrink-0">
+                            <button
+                                className="text-accent-primary hover:text-accent-hover"
+                                onClick={() => showDiff(revision.id)}
+                            >
+                                Changes
+                            </button>
+                            {index > 0 && (
+                                <button
+                                    className="text-accent-primary hover:text-accent-hover"
+                                    onClick={() => restore(revision.id)}
+                                >
+                                    Restore
+                                </button>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {diff && (
+                <div className="text-sm space-y-2">
+                    {diff.title && (
+                        <div>Title: <span className="line-through text-tertiary">{diff.title.from}</span> → {diff.title.to}</div>
+                    )}
+                    {diff.color_hex && (
+                        <div>Color: {diff.color_hex.from || 'none'} → {diff.color_hex.to || 'none'}</div>
+                    )}
+                    {(diff.tags.added.length > 0 || diff.tags.removed.length > 0) && (
+                        <div>
+                            Tags:
+                            {diff.tags.added.map(tag => <span key={`+${tag}`} className="ml-2 text-green-600">+{tag}</span>)}
+                            {diff.tags.removed.map(tag => <span key={`-${tag}`} className="ml-2 text-red-600">-{tag}</span>)}
+                        </div>
+                    )}
+                    {diff.content.too_large ? (
+                        <div className="text-tertiary">Content changed; too large to show the changes</div>
+                    ) : diff.content.diff ? (
+                        <pre className="max-h-48 overflow-auto border rounded-lg border-default bg-secondary p-2 font-mono text-xs">
+                            {diff.content.diff.split('\n').map((line, index) => (
+                                <div key={index} className={lineClass(line)}>{line || ' '}</div>
+                            ))}
+                        </pre>
+                    ) : (
+                        <div className="text-tertiary">Content unchanged</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const NoteModal = ({ note, onClose, onSave, onRestored, onOpenNote }) => {
     const [title, setTitle] = React.useState(note && note.title ? note.title : '');
     const [content, setContent] = React.useState(note && note.content ? note.content : '');
     const [tags, setTags] = React.useState(note && note.tags ? note.tags : []);
     const [newTag, setNewTag] = React.useState('');
+    const [properties, setProperties] = React.useState(note && note.properties ? note.properties : {});
+    const [newPropertyKey, setNewPropertyKey] = React.useState('');
+    const [newPropertyValue, setNewPropertyValue] = React.useState('');
     const [conversationId, setConversationId] = React.useState(note && note.conversation_id ? note.conversation_id : 'default');
+    const [colorHex, setColorHex] = React.useState(note && note.color_hex ? note.color_hex : null);
     const [isPreview, setIsPreview] = React.useState(false);
+    const [showHistory, setShowHistory] = React.useState(false);
+    const [backlinks, setBacklinks] = React.useState([]);
+    const [relatedNotes, setRelatedNotes] = React.useState([]);
+    const [attachments, setAttachments] = React.useState([]);
+    const [attachmentError, setAttachmentError] = React.useState(null);
+    const [sectionId, setSectionId] = React.useState(null);
+    const [templates, setTemplates] = React.useState([]);
+    const [templateId, setTemplateId] = React.useState('');
+    const [templateValues, setTemplateValues] = React.useState({});
+    const [templateError, setTemplateError] = React.useState(null);
     const previewRef = React.useRef(null);
+    const fileInputRef = React.useRef(null);
+
+    const selectedTemplate = templates.find(template => String(template.id) === templateId);
+
+    // Templates are only offered when creating a note
+    React.useEffect(() => {
+        if (note) return;
+        NotesAPI.fetchTemplates()
+            .then(setTemplates)
+            .catch(error => console.error('Error fetching templates:', error));
+    }, [note]);
+
+    // Notes that link to this one with [[...]]
+    React.useEffect(() => {
+        if (!note || !note.id) return;
+        NotesAPI.fetchBacklinks(note.id)
+            .then(setBacklinks)
+            .catch(error => console.error('Error fetching backlinks:', error));
+        NotesAPI.fetchAttachments(note.id)
+            .then(setAttachments)
+            .catch(error => console.error('Error fetching attachments:', error));
+        NotesAPI.fetchRelatedNotes(note.id)
+            .then(setRelatedNotes)
+            .catch(error => console.error('Error fetching related notes:', error));
+    }, [note]);
 
     // Effect to render markdown preview
     React.useEffect(() => {
@@ -284,17 +514,55 @@ const NoteModal = ({ note, onClose, onSave }) => {
         }
     }, [content, isPreview]);
 
+    // Checking a task in the preview edits the content being written
+    const handlePreviewClick = (e) => {
+        if (e.target.matches && e.target.matches('input.task-checkbox')) {
+            const line = Number(e.target.dataset.taskLine);
+            const done = e.target.checked;
+            setContent(prev => setTaskLineDone(prev, line, done));
+        }
+    };
+
     const handleSave = () => {
         onSave({
             ...note,
             title,
             content,
             tags,
-            conversation_id: conversationId
+            conversation_id: conversationId,
+            color_hex: colorHex,
+            properties,
+            ...(note ? {} : { section_id: sectionId })
         });
         onClose();
     };
 
+    // Fills the form from a template; the note is created when it is saved
+    const applyTemplate = async (template, values) => {
+        try {
+            setTemplateError(null);
+            const filled = await NotesAPI.renderTemplate(template.id, conversationId || 'default', values);
+            setTitle(filled.title);
+            setContent(filled.content);
+            setTags(filled.tags);
+            setColorHex(filled.color_hex);
+            setSectionId(filled.section_id);
+        } catch (error) {
+            setTemplateError(error.message);
+        }
+    };
+
+    // A template without variables of its own is applied as soon as it is picked
+    const selectTemplate = (id) => {
+        setTemplateId(id);
+        setTemplateValues({});
+        setTemplateError(null);
+        const template = templates.find(t => String(t.id) === id);
+        if (template && template.variables.length === 0) {
+            applyTemplate(template, {});
+        }
+    };
+
     const addTag = () => {
         if (newTag && !tags.includes(newTag.trim())) {
             setTags([...tags, newTag.trim()]);
@@ -306,106 +574,324 @@ const NoteModal = ({ note, onClose, onSave }) => {
         setTags(tags.filter(tag => tag !== tagToRemove));
     };
 
+    // Setting an existing key, in any case, changes its value
+    const addProperty = () => {
+        const key = newPropertyKey.trim();
+        const value = newPropertyValue.trim();
+        if (!key || !value) return;
+        const rest = Object.entries(properties).filter(([existing]) => existing.toLowerCase() !== key.toLowerCase());
+        setProperties({ ...Object.fromEntries(rest), [key]: value });
+        setNewPropertyKey('');
+        setNewPropertyValue('');
+    };
+
+    const removeProperty = (keyToRemove) => {
+        setProperties(Object.fromEntries(Object.entries(properties).filter(([key]) => key !== keyToRemove)));
+    };
+
+    const uploadAttachment = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            setAttachmentError(null);
+            const attachment = await NotesAPI.uploadAttachment(note.id, file);
+            setAttachments([...attachments, attachment]);
+        } catch (error) {
+            setAttachmentError(error.message);
+        }
+    };
+
+    const deleteAttachment = async (attachment) => {
+        try {
+            setAttachmentError(null);
+            await NotesAPI.deleteAttachment(attachment.id);
+            setAttachments(attachments.filter(a => a.id !== attachment.id));
+        } catch (error) {
+            setAttachmentError(error.message);
+        }
+    };
+
+    // Adds the attachment's ![name](attachment:ID) markdown to the end of the content
+    const insertAttachment = (attachment) => {
+        setContent(content && !content.endsWith('\n') ? `${content}\n${attachment.markdown}` : `${content}${attachment.markdown}`);
+    };
+
+    // Loads a restored revision into the form; the note itself is already saved
+    const handleRestore = (restored) => {
+        setTitle(restored.title);
+        setContent(restored.content);
+        setTags(restored.tags || []);
+        setProperties(restored.properties || properties);
+        setConversationId(restored.conversation_id);
+        setColorHex(restored.color_hex || null);
+        setShowHistory(false);
+        onRestored();
+    };
+
     return (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
             <div className="bg-default w-full max-w-2xl rounded-lg shadow-xl">
                 <div className="p-6">
                     <div className="flex justify-between items-center mb-6">
                         <h2 className="text-xl font-bold">
-                            {note ? 'Edit Note' : 'Create New Note'}
+                            {note ? (showHistory ? 'Note History' : 'Edit Note') : 'Create New Note'}
                         </h2>
-                        <button
-                            onClick={onClose}
-                            className="text-tertiary hover:text-primary"
-                        >
-                            <i data-lucide="x" className="w-6 h-6"></i>
-                        </button>
-                    </div>
-
-                    <div className="space-y-4">
-                        <div>
-                            <label className="block text-sm font-medium mb-1">Title</label>
-                            <input
-                                type="text"
-                                placeholder="Note Title"
-                                className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
-                                value={title}
-                                onChange={(e) => setTitle(e.target.value)}
-                            />
-                        </div>
-
-                        <div>
-                            <div className="flex justify-between items-center mb-1">
-                                <label className="block text-sm font-medium">Content</label>
+                        <div className="flex items-center gap-3">
+                            {note && note.id && (
                                 <button
-                                    onClick={() => setIsPreview(!isPreview)}
+                                    onClick={() => setShowHistory(!showHistory)}
                                     className="text-sm text-accent-primary hover:text-accent-hover"
                                 >
-                                    {isPreview ? 'Edit' : 'Preview'}
+                                    {showHistory ? 'Back to note' : 'History'}
                                 </button>
-                            </div>
-                            {isPreview ? (
-                                <div
-                                    ref={previewRef}
-                                    className="w-full px-4 py-2 border rounded-lg bg-secondary border-default h-40 overflow-y-auto prose prose-sm dark:prose-invert max-w-none"
-                                />
-                            ) : (
-                                <textarea
-                                    placeholder="Note Content (Markdown supported)"
-                                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default h-40 font-mono"
-                                    value={content}
-                                    onChange={(e) => setContent(e.target.value)}
-                                />
                             )}
+                            <button
+                                onClick={onClose}
+                                className="text-tertiary hover:text-primary"
+                            >
+                                <i data-lucide="x" className="w-6 h-6"></i>
+                            </button>
                         </div>
+                    </div>
 
-                        <div>
-                            <label className="block text-sm font-medium mb-1">Conversation ID</label>
-                            <input
-                                type="text"
-                                placeholder="Conversation ID"
-                                className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
-                                value={conversationId}
-                                onChange={(e) => setConversationId(e.target.value)}
-                            />
-                        </div>
+                    {showHistory ? (
+                        <NoteHistory noteId={note.id} onRestore={handleRestore} />
+                    ) : (
+                        <div className="space-y-4">
+                            {!note && templates.length > 0 && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">New from template</label>
+                                    <select
+                                        className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                        value={templateId}
+                                        onChange={(e) => selectTemplate(e.target.value)}
+                                    >
+                                        <option value="">Blank note</option>
+                                        {templates.map(template => (
+                                            <option key={template.id} value={template.id}>{template.name}</option>
+                                        ))}
+                                    </select>
+                                    {selectedTemplate && selectedTemplate.variables.length > 0 && (
+                                        <div className="mt-2 space-y-2">
+                                            {selectedTemplate.variables.map(name => (
+                                                <input
+                                                    key={name}
+                                                    type="text"
+                                                    placeholder={name}
+                                                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                                    value={templateValues[name] || ''}
+                                                    onChange={(e) => setTemplateValues({ ...templateValues, [name]: e.target.value })}
+                                                />
+                                            ))}
+                                            <button
+                                                onClick={() => applyTemplate(selectedTemplate, templateValues)}
+                                                className="text-sm text-accent-primary hover:text-accent-hover"
+                                            >
+                                                Apply template
+                                            </button>
+                                        </div>
+                                    )}
+                                    {templateError && <p className="text-sm text-red-500 mt-1">{templateError}</p>}
+                                </div>
+                            )}
 
-                        <div>
-                            <label className="block text-sm font-medium mb-1">Tags</label>
-                            <div className="flex mb-2">
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Title</label>
                                 <input
                                     type="text"
-                                    placeholder="Add Tag"
-                                    className="flex-grow px-4 py-2 border rounded-l-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
-                                    value={newTag}
-                                    onChange={(e) => setNewTag(e.target.value)}
-                                    onKeyPress={(e) => e.key === 'Enter' && addTag()}
+                                    placeholder="Note Title"
+                                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                    value={title}
+                                    onChange={(e) => setTitle(e.target.value)}
+                                />
+                            </div>
+
+                            <div>
+                                <div className="flex justify-between items-center mb-1">
+                                    <label className="block text-sm font-medium">Content</label>
+                                    <button
+                                        onClick={() => setIsPreview(!isPreview)}
+                                        className="text-sm text-accent-primary hover:text-accent-hover"
+                                    >
+                                        {isPreview ? 'Edit' : 'Preview'}
+                                    </button>
+                                </div>
+                                {isPreview ? (
+                                    <div
+                                        ref={previewRef}
+                                        className="w-full px-4 py-2 border rounded-lg bg-secondary border-default h-40 overflow-y-auto prose prose-sm dark:prose-invert max-w-none"
+                                        onClick={handlePreviewClick}
+                                    />
+                                ) : (
+                                    <textarea
+                                        placeholder="Note Content (Markdown supported)"
+                                        className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default h-40 font-mono"
+                                        value={content}
+                                        onChange={(e) => setContent(e.target.value)}
+                                    />
+                                )}
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Conversation ID</label>
+                                <input
+                                    type="text"
+                                    placeholder="Conversation ID"
+                                    className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                    value={conversationId}
+                                    onChange={(e) => setConversationId(e.target.value)}
                                 />
-                                <button
-                                    className="px-4 py-2 bg-accent-primary text-white rounded-r-lg hover:bg-accent-hover"
-                                    onClick={addTag}
-                                >
-                                    Add
-                                </button>
                             </div>
-                            <div className="flex flex-wrap gap-2">
-                                {tags.map(tag => (
-                                    <span
-                                        key={tag}
-                                        className="px-3 py-1 bg-secondary rounded-full flex items-center gap-2"
+
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Tags</label>
+                                <div className="flex mb-2">
+                                    <input
+                                        type="text"
+                                        placeholder="Add Tag"
+                                        className="flex-grow px-4 py-2 border rounded-l-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                        value={newTag}
+                                        onChange={(e) => setNewTag(e.target.value)}
+                                        onKeyPress={(e) => e.key === 'Enter' && addTag()}
+                                    />
+                                    <button
+                                        className="px-4 py-2 bg-accent-primary text-white rounded-r-lg hover:bg-accent-hover"
+                                        onClick={addTag}
                                     >
-                                        {tag}
+                                        Add
+                                    </button>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    {tags.map(tag => (
+                                        <span
+                                            key={tag}
+                                            className="px-3 py-1 bg-secondary rounded-full flex items-center gap-2"
+                                        >
+                                            {tag}
+                                            <button
+                                                onClick={() => removeTag(tag)}
+                                                className="text-tertiary hover:text-primary"
+                                            >
+                                                <i data-lucide="x" className="w-4 h-4"></i>
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Properties</label>
+                                <div className="flex mb-2">
+                                    <input
+                                        type="text"
+                                        placeholder="Key"
+                                        className="w-1/3 px-4 py-2 border rounded-l-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                        value={newPropertyKey}
+                                        onChange={(e) => setNewPropertyKey(e.target.value)}
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="Value"
+                                        className="flex-grow px-4 py-2 border-y focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                        value={newPropertyValue}
+                                        onChange={(e) => setNewPropertyValue(e.target.value)}
+                                        onKeyPress={(e) => e.key === 'Enter' && addProperty()}
+                                    />
+                                    <button
+                                        className="px-4 py-2 bg-accent-primary text-white rounded-r-lg hover:bg-accent-hover"
+                                        onClick={addProperty}
+                                    >
+                                        Set
+                                    </button>
+                                </div>
+                                <ul className="space-y-1">
+                                    {Object.entries(properties).map(([key, value]) => (
+                                        <li key={key} className="flex items-center gap-3 text-sm">
+                                            <span className="font-medium">{key}</span>
+                                            <span className="flex-grow truncate">{value}</span>
+                                            <button onClick={() => removeProperty(key)} className="text-tertiary hover:text-primary">
+                                                <i data-lucide="x" className="w-4 h-4"></i>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+
+                            {note && note.id && (
+                                <div>
+                                    <div className="flex justify-between items-center mb-1">
+                                        <label className="block text-sm font-medium">Attachments</label>
                                         <button
-                                            onClick={() => removeTag(tag)}
-                                            className="text-tertiary hover:text-primary"
+                                            onClick={() => fileInputRef.current.click()}
+                                            className="text-sm text-accent-primary hover:text-accent-hover"
                                         >
-                                            <i data-lucide="x" className="w-4 h-4"></i>
+                                            Attach file
                                         </button>
-                                    </span>
-                                ))}
-                            </div>
+                                        <input type="file" ref={fileInputRef} className="hidden" onChange={uploadAttachment} />
+                                    </div>
+                                    {attachmentError && <p className="text-sm text-red-500 mb-1">{attachmentError}</p>}
+                                    <ul className="space-y-1">
+                                        {attachments.map(attachment => (
+                                            <li key={attachment.id} className="flex items-center gap-3 text-sm">
+                                                <a
+                                                    href={`/api/attachments/${attachment.id}`}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="flex-grow truncate text-accent-primary hover:text-accent-hover"
+                                                >
+                                                    {attachment.filename}
+                                                </a>
+                                                <span className="text-tertiary">{formatFileSize(attachment.size)}</span>
+                                                <button onClick={() => insertAttachment(attachment)} className="text-tertiary hover:text-primary">
+                                                    Insert
+                                                </button>
+                                                <button onClick={() => deleteAttachment(attachment)} className="text-tertiary hover:text-red-500">
+                                                    Delete
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {backlinks.length > 0 && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Linked from</label>
+                                    <div className="flex flex-wrap gap-2">
+                                        {backlinks.map(backlink => (
+                                            <button
+                                                key={backlink.id}
+                                                onClick={() => onOpenNote(backlink.id)}
+                                                className="text-sm text-accent-primary hover:text-accent-hover"
+                                            >
+                                                {backlink.title}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {relatedNotes.length > 0 && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Related notes</label>
+                                    <ul className="space-y-1">
+                                        {relatedNotes.map(related => (
+                                            <li key={related.id} className="flex items-center gap-3 text-sm">
+                                                <button
+                                                    onClick={() => onOpenNote(related.id)}
+                                                    className="truncate text-left text-accent-primary hover:text-accent-hover"
+                                                >
+                                                    {related.title}
+                                                </button>
+                                                <span className="flex-grow truncate text-tertiary">{relatedReasons(related.reasons)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
                         </div>
-                    </div>
+                    )}
 
                     <div className="flex justify-end gap-3 mt-6">
                         <button
@@ -470,6 +956,7 @@ const NotesAPI = {
         if (params.color) cleanParams.color = params.color;
         if (params.startDate) cleanParams.startDate = params.startDate;
         if (Array.isArray(params.tags) && params.tags.length > 0) cleanParams.tags = params.tags;
+        if (params.archived) cleanParams.archived = params.archived;
 
         // Convert clean params to URLSearchParams
         const queryParams = new URLSearchParams();
@@ -524,6 +1011,149 @@ const NotesAPI = {
         if (!response.ok) throw new Error(`Failed to delete note ${id}`);
     },
 
+    async deleteNotesBulk(noteIds, signal) {
+        const response = await fetch('/api/notes/bulk/delete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ noteIds }),
+            signal
+        });
+        if (!response.ok) throw new Error('Failed to delete notes');
+    },
+
+    async fetchRevisions(noteId) {
+        const response = await fetch(`/api/notes/${noteId}/revisions`);
+        if (!response.ok) throw new Error('Failed to fetch note history');
+        const data = await response.json();
+        return data.revisions || [];
+    },
+
+    // Changes made by a revision, compared with the revision before it
+    async fetchRevisionDiff(noteId, revisionId) {
+        const response = await fetch(`/api/notes/${noteId}/revisions/diff?to=${revisionId}`);
+        if (!response.ok) throw new Error('Failed to fetch revision changes');
+        return response.json();
+    },
+
+    async restoreRevision(noteId, revisionId) {
+        const response = await fetch(`/api/notes/${noteId}/revisions/${revisionId}/restore`, { method: 'POST' });
+        if (!response.ok) throw new Error('Failed to restore revision');
+        const data = await response.json();
+        return data.note;
+    },
+
+    async fetchNote(id) {
+        const response = await fetch(`/api/notes/${id}`);
+        if (!response.ok) throw new Error(`Failed to fetch note ${id}`);
+        const data = await response.json();
+        return data.note;
+    },
+
+    async fetchBacklinks(noteId) {
+        const response = await fetch(`/api/notes/${noteId}/backlinks`);
+        if (!response.ok) throw new Error('Failed to fetch backlinks');
+        const data = await response.json();
+        return data.backlinks || [];
+    },
+
+    async fetchRelatedNotes(noteId) {
+        const response = await fetch(`/api/notes/${noteId}/related?limit=5`);
+        if (!response.ok) throw new Error('Failed to fetch related notes');
+        const data = await response.json();
+        return data.related || [];
+    },
+
+    async fetchAttachments(noteId) {
+        const response = await fetch(`/api/notes/${noteId}/attachments`);
+        if (!response.ok) throw new Error('Failed to fetch attachments');
+        const data = await response.json();
+        return data.attachments || [];
+    },
+
+    async fetchTemplates() {
+        const response = await fetch('/api/templates');
+        if (!response.ok) throw new Error('Failed to fetch templates');
+        const data = await response.json();
+        return data.templates || [];
+    },
+
+    async fetchViews() {
+        const response = await fetch('/api/views');
+        if (!response.ok) throw new Error('Failed to fetch saved views');
+        const data = await response.json();
+        return data.views || [];
+    },
+
+    async createView(view) {
+        const response = await fetch('/api/views', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(view)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to save view');
+        return data.view;
+    },
+
+    async deleteView(id) {
+        const response = await fetch(`/api/views/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to delete view');
+    },
+
+    async renderTemplate(templateId, conversationId, variables) {
+        const response = await fetch(`/api/templates/${templateId}/render`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ conversation_id: conversationId, variables })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to apply template');
+        return data;
+    },
+
+    async uploadAttachment(noteId, file) {
+        const body = new FormData();
+        body.append('file', file);
+        const response = await fetch(`/api/notes/${noteId}/attachments`, { method: 'POST', body });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to upload attachment');
+        return data.attachment;
+    },
+
+    async deleteAttachment(id) {
+        const response = await fetch(`/api/attachments/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to delete attachment');
+    },
+
+    async fetchTrash() {
+        const response = await fetch('/api/trash');
+        if (!response.ok) throw new Error('Failed to fetch trash');
+        return response.json();
+    },
+
+    async restoreNotes(noteIds) {
+        const response = await fetch('/api/trash/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ noteIds })
+        });
+        if (!response.ok) throw new Error('Failed to restore notes');
+    },
+
+    async purgeNotes(noteIds) {
+        const response = await fetch('/api/trash/purge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ noteIds })
+        });
+        if (!response.ok) throw new Error('Failed to delete notes permanently');
+    },
+
+    async emptyTrash() {
+        const response = await fetch('/api/trash', { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to empty trash');
+    },
+
     async updateNoteColor(noteId, color, signal) {
         const response = await fetch(`/api/notes/${noteId}/color`, {
             method: 'PATCH',
@@ -544,6 +1174,37 @@ const NotesAPI = {
         if (!response.ok) throw new Error('Failed to update notes color');
     },
 
+    async toggleTask(noteId, line, done, signal) {
+        const response = await fetch(`/api/notes/${noteId}/tasks/${line}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ done }),
+            signal
+        });
+        if (!response.ok) throw new Error('Failed to update task');
+        return response.json();
+    },
+
+    async setNoteState(noteId, state, signal) {
+        const response = await fetch(`/api/notes/${noteId}/state`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(state),
+            signal
+        });
+        if (!response.ok) throw new Error('Failed to update note');
+    },
+
+    async setNotesStateBulk(noteIds, state, signal) {
+        const response = await fetch('/api/notes/bulk/state', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ noteIds, ...state }),
+            signal
+        });
+        if (!response.ok) throw new Error('Failed to update notes');
+    },
+
     async exportNotes(noteIds, options = {}) {
         const response = await fetch('/api/notes/export', {
             method: 'POST',
@@ -589,6 +1250,7 @@ const DATE_RANGES = {
 
 // Sort options
 const SORT_OPTIONS = {
+    'RELEVANCE': { field: 'relevance', direction: 'desc', label: 'Relevance' },
     'DATE_DESC': { field: 'updated_at', direction: 'desc', label: 'Date (Newest)' },
     'DATE_ASC': { field: 'updated_at', direction: 'asc', label: 'Date (Oldest)' },
     'TITLE_ASC': { field: 'title', direction: 'asc', label: 'Title (A-Z)' },
@@ -598,8 +1260,70 @@ const SORT_OPTIONS = {
     'CONVERSATION_DESC': { field: 'conversation_id', direction: 'desc', label: 'Conversation (Z-A)' }
 };
 
+// Saved views store filters in the API's terms; the sidebar's date range becomes a rolling number of days
+const filtersToView = (filters) => {
+    const viewFilters = {};
+    const days = DATE_RANGES[filters.dateRange] && DATE_RANGES[filters.dateRange].days;
+    const sort = SORT_OPTIONS[filters.sort];
+    if (filters.searchTerm.trim()) viewFilters.search = filters.searchTerm.trim();
+    if (filters.selectedTags.length > 0) viewFilters.tags = filters.selectedTags;
+    if (filters.selectedConversation) viewFilters.conversation = filters.selectedConversation;
+    if (filters.selectedColor) viewFilters.color = filters.selectedColor;
+    if (days) viewFilters.days = days;
+    if (filters.showArchived) viewFilters.archived = 'only';
+    return { filters: viewFilters, sort: sort ? `${sort.field} ${sort.direction}` : null };
+};
+
+// Sidebar filters for a saved view. Filters the sidebar has no control for are left out.
+const viewToFilters = (view) => {
+    const viewFilters = view.filters || {};
+    const dateRange = Object.keys(DATE_RANGES).find(key => DATE_RANGES[key].days === (viewFilters.days || null));
+    const sort = Object.keys(SORT_OPTIONS).find(key =>
+        view.sort && `${SORT_OPTIONS[key].field} ${SORT_OPTIONS[key].direction}`.toLowerCase() === view.sort.toLowerCase());
+    return {
+        searchTerm: viewFilters.search || '',
+        selectedTags: viewFilters.tags || [],
+        selectedConversation: viewFilters.conversation || '',
+        selectedColor: viewFilters.color || null,
+        dateRange: dateRange || 'ALL_TIME',
+        showArchived: viewFilters.archived === 'only',
+        sort: sort || 'RELEVANCE'
+    };
+};
+
+// Short explanation of why a note was suggested as related, e.g. "tags: bug · terms: login, oauth"
+const relatedReasons = (reasons) => {
+    const parts = [];
+    if (reasons.link) parts.push(reasons.link === 'from' ? 'links here' : 'linked');
+    if (reasons.shared_tags.length > 0) parts.push(`tags: ${reasons.shared_tags.join(', ')}`);
+    if (reasons.shared_terms.length > 0) parts.push(`terms: ${reasons.shared_terms.slice(0, 3).join(', ')}`);
+    if (reasons.same_conversation) parts.push('same conversation');
+    return parts.join(' · ');
+};
+
+// Human-readable file size, e.g. 1536 -> "1.5 KB"
+const formatFileSize = (bytes) => {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[0]}` : `${Number(value.toFixed(1))} ${units[unit]}`;
+};
+
+// Checks or unchecks the "- [ ]" task on a 1-based line of markdown content
+const setTaskLineDone = (content, line, done) => {
+    const lines = content.split('\n');
+    if (lines[line - 1] !== undefined) {
+        lines[line - 1] = lines[line - 1].replace(/^(\s*(?:>\s*)*(?:[-*+]|\d{1,9}[.)])\s+\[)[ xX]\]/, `$1${done ? 'x' : ' '}]`);
+    }
+    return lines.join('\n');
+};
+
 // BulkActionsToolbar component
-const BulkActionsToolbar = ({ onColorChange, onDelete, onExport, selectedCount, onClearSelection, noteColors }) => {
+const BulkActionsToolbar = ({ onColorChange, onStateChange, onDelete, onExport, selectedCount, onClearSelection, noteColors, showingArchived }) => {
     const [isColorPickerOpen, setIsColorPickerOpen] = React.useState(false);
 
     if (selectedCount === 0) return null;
@@ -640,6 +1364,27 @@ const BulkActionsToolbar = ({ onColorChange, onDelete, onExport, selectedCount,
                 )}
             </div>
 
+            <button
+                onClick={() => onStateChange({ pinned: true })}
+                className="px-4 py-2 bg-secondary border border-default rounded hover:bg-tertiary transition-colors"
+            >
+                Pin
+            </button>
+
+            <button
+                onClick={() => onStateChange({ pinned: false })}
+                className="px-4 py-2 bg-secondary border border-default rounded hover:bg-tertiary transition-colors"
+            >
+                Unpin
+            </button>
+
+            <button
+                onClick={() => onStateChange({ archived: !showingArchived })}
+                className="px-4 py-2 bg-secondary border border-default rounded hover:bg-tertiary transition-colors"
+            >
+                {showingArchived ? 'Unarchive Selected' : 'Archive Selected'}
+            </button>
+
             <button
                 onClick={onDelete}
                 className="px-4 py-2 bg-danger text-white rounded hover:bg-danger-hover transition-colors"
@@ -839,9 +1584,10 @@ const useNotesData = () => {
         selectedConversation: '',
         selectedColor: null,
         dateRange: 'ALL_TIME',
+        showArchived: false,
         page: 1,
         limit: 12,
-        sort: 'DATE_DESC'
+        sort: 'RELEVANCE'
     });
 
     const memoizedFilters = React.useMemo(() => {
@@ -858,6 +1604,7 @@ const useNotesData = () => {
             conversation: filters.selectedConversation,
             color: filters.selectedColor,
             startDate,
+            archived: filters.showArchived ? 'only' : undefined,
             sort: SORT_OPTIONS[filters.sort]
         };
     }, [filters]);
@@ -957,6 +1704,39 @@ const useNotesData = () => {
         }
     }, [fetchNotes]);
 
+    const toggleTask = React.useCallback(async (noteId, line, done) => {
+        try {
+            // Update local state immediately
+            setNotes(prevNotes => prevNotes.map(note =>
+                note.id === noteId
+                    ? { ...note, content: setTaskLineDone(note.content, line, done) }
+                    : note
+            ));
+
+            // Update server
+            await NotesAPI.toggleTask(noteId, line, done);
+        } catch (error) {
+            console.error('Error updating task:', error);
+            // Revert on error
+            fetchNotes();
+        }
+    }, [fetchNotes]);
+
+    // Pinning reorders the list and archiving moves notes out of it, so refetch afterwards
+    const setNotesState = React.useCallback(async (noteIds, state) => {
+        try {
+            if (noteIds.length === 1) {
+                await NotesAPI.setNoteState(noteIds[0], state);
+            } else {
+                await NotesAPI.setNotesStateBulk(noteIds, state);
+            }
+        } catch (error) {
+            console.error('Error updating notes:', error);
+        } finally {
+            fetchNotes();
+        }
+    }, [fetchNotes]);
+
     return {
         notes,
         isLoading,
@@ -966,7 +1746,9 @@ const useNotesData = () => {
         updateFilters,
         fetchNotes,
         updateNoteColor,
-        updateNotesColor
+        updateNotesColor,
+        toggleTask,
+        setNotesState
     };
 };
 
@@ -1017,6 +1799,39 @@ const useConversationsData = () => {
     return { conversations, isLoading, error, fetchConversations };
 };
 
+const useSavedViewsData = () => {
+    const [views, setViews] = React.useState([]);
+
+    // Counts change with the notes, so this is called again whenever notes change
+    const fetchViews = React.useCallback(async () => {
+        try {
+            setViews(await NotesAPI.fetchViews());
+        } catch (error) {
+            console.error('Error fetching saved views:', error);
+        }
+    }, []);
+
+    React.useEffect(() => {
+        fetchViews();
+    }, [fetchViews]);
+
+    const saveView = React.useCallback(async (name, filters) => {
+        await NotesAPI.createView({ name, ...filtersToView(filters) });
+        await fetchViews();
+    }, [fetchViews]);
+
+    const deleteView = React.useCallback(async (id) => {
+        try {
+            await NotesAPI.deleteView(id);
+            await fetchViews();
+        } catch (error) {
+            console.error('Error deleting view:', error);
+        }
+    }, [fetchViews]);
+
+    return { views, fetchViews, saveView, deleteView };
+};
+
 // AboutModal Component
 const AboutModal = ({ isOpen, onClose }) => {
     const [config, setConfig] = React.useState(null);
@@ -1099,9 +1914,164 @@ const AboutModal = ({ isOpen, onClose }) => {
     );
 };
 
+// TrashModal Component
+// trashVersion changes whenever notes enter or leave the trash, so an open trash reloads
+const TrashModal = ({ isOpen, onClose, onRestored, trashVersion }) => {
+    const [notes, setNotes] = React.useState([]);
+    const [retentionDays, setRetentionDays] = React.useState(0);
+    const [error, setError] = React.useState(null);
+    const [purgeConfirm, setPurgeConfirm] = React.useState({ isOpen: false, noteIds: null });
+
+    const loadTrash = React.useCallback(async () => {
+        try {
+            const data = await NotesAPI.fetchTrash();
+            setNotes(data.notes || []);
+            setRetentionDays(data.retention_days || 0);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    React.useEffect(() => {
+        if (isOpen) {
+            loadTrash();
+        }
+    }, [isOpen, loadTrash, trashVersion]);
+
+    const handleRestore = async (noteId) => {
+        try {
+            await NotesAPI.restoreNotes([noteId]);
+            await loadTrash();
+            onRestored();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // noteIds is null when the whole trash is emptied
+    const handlePurge = async () => {
+        try {
+            if (purgeConfirm.noteIds) {
+                await NotesAPI.purgeNotes(purgeConfirm.noteIds);
+            } else {
+                await NotesAPI.emptyTrash();
+            }
+            await loadTrash();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setPurgeConfirm({ isOpen: false, noteIds: null });
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-default w-full max-w-2xl rounded-lg shadow-xl">
+                <div className="p-6">
+                    <div className="flex justify-between items-center mb-2">
+                        <h2 className="text-xl font-bold">Trash</h2>
+                        <button
+                            onClick={onClose}
+                            className="text-tertiary hover:text-primary"
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <p className="text-sm text-tertiary mb-4">
+                        {retentionDays > 0
+                            ? `Notes are deleted permanently after ${retentionDays} days in the trash.`
+                            : 'Notes stay in the trash until they are deleted permanently.'}
+                    </p>
+
+                    {error && <div className="text-danger text-sm mb-4">{error}</div>}
+
+                    {notes.length === 0 ? (
+                        <div className="text-center text-tertiary py-8">The trash is empty</div>
+                    ) : (
+                        <ul className="max-h-96 overflow-y-auto border rounded-lg border-default divide-y divide-gray-200 dark:divide-gray-700">
+                            {notes.map(note => (
+                                <li key={note.id} className="flex items-center justify-between gap-3 px-4 py-2 text-sm">
+                                    <div className="min-w-0">
+                                        <div className="font-medium truncate">{note.title || 'Untitled'}</div>
+                                        <div className="text-tertiary">
+                                            {note.conversation_id} · deleted {new Date(note.deleted_at * 1000).toLocaleString()}
+                                        </div>
+                                    </div>
+                                    <div className="flex gap-3 shrink-0">
+                                        <button
+                                            className="text-accent-primary hover:text-accent-hover"
+                                            onClick={() => handleRestore(note.id)}
+                                        >
+                                            Restore
+                                        </button>
+                                        <button
+                                            className="text-red-500 hover:text-red-600"
+                                            onClick={() => setPurgeConfirm({ isOpen: true, noteIds: [note.id] })}
+                                        >
+                                            Delete forever
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="flex justify-end gap-3 mt-6">
+                        <button
+                            className="px-4 py-2 border rounded-lg hover:bg-secondary"
+                            onClick={onClose}
+                        >
+                            Close
+                        </button>
+                        <button
+                            className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50"
+                            disabled={notes.length === 0}
+                            onClick={() => setPurgeConfirm({ isOpen: true, noteIds: null })}
+                        >
+                            Empty Trash
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <ConfirmDialog
+                isOpen={purgeConfirm.isOpen}
+                message={purgeConfirm.noteIds
+                    ? 'Delete this note permanently? This cannot be undone.'
+                    : `Permanently delete all ${notes.length} notes in the trash? This cannot be undone.`}
+                onConfirm={handlePurge}
+                onCancel={() => setPurgeConfirm({ isOpen: false, noteIds: null })}
+            />
+        </div>
+    );
+};
+
 // Sidebar Component
-const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, noteColors, onOpenAbout }) => {
+const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, noteColors, onOpenAbout, onOpenTrash, savedViews, onSaveView, onDeleteView }) => {
     const [isAboutModalOpen, setIsAboutModalOpen] = React.useState(false);
+    const [viewName, setViewName] = React.useState(null);
+    const [viewError, setViewError] = React.useState(null);
+
+    // A view is active when applying it would leave the current filters unchanged
+    const currentView = JSON.stringify(filtersToView(filters));
+    const isViewActive = (view) => JSON.stringify(filtersToView({ ...filters, ...viewToFilters(view) })) === currentView;
+
+    const handleSaveView = async (e) => {
+        e.preventDefault();
+        try {
+            await onSaveView(viewName.trim(), filters);
+            setViewName(null);
+            setViewError(null);
+        } catch (error) {
+            setViewError(error.message);
+        }
+    };
 
     const handleTagClick = (tag) => {
         const newTags = filters.selectedTags.includes(tag)
@@ -1117,6 +2087,11 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
         });
     };
 
+    const conversationTitle = (conversationId) => {
+        const conversation = uniqueConversations.find(conv => conv.conversation_id === conversationId);
+        return conversation && conversation.title ? conversation.title : conversationId;
+    };
+
     const resetFilters = () => {
         onUpdateFilters({
             searchTerm: '',
@@ -1124,6 +2099,7 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
             selectedConversation: '',
             selectedColor: null,
             dateRange: 'ALL_TIME',
+            showArchived: false,
             resetPage: true
         });
     };
@@ -1140,6 +2116,19 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                         Sticky Notes
                     </h1>
                     <div className="flex items-center gap-2">
+                        <button
+                            onClick={onOpenTrash}
+                            className="p-2 rounded-full hover:bg-tertiary"
+                            title="Trash"
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                                <path d="M10 11v6"></path>
+                                <path d="M14 11v6"></path>
+                                <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"></path>
+                            </svg>
+                        </button>
                         <button
                             onClick={onOpenAbout}
                             className="p-2 rounded-full hover:bg-tertiary"
@@ -1160,6 +2149,7 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                     <input
                         type="text"
                         placeholder="Search notes..."
+                        title='Words, "exact phrases" and prefix* words, plus tag:bug -tag:done color:#FFE999 conv:id section:Name created:>2025-01-01 updated:<2025-02-01, OR and (groups)'
                         className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
                         value={filters.searchTerm}
                         onChange={(e) => {
@@ -1171,6 +2161,42 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
 
             {/* Scrollable content */}
             <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                {/* Saved Views Section */}
+                {savedViews.length > 0 && (
+                    <div>
+                        <h2 className="text-sm font-semibold mb-2">Saved Views</h2>
+                        <div className="space-y-1 max-h-48 overflow-y-auto">
+                            {savedViews.map(view => (
+                                <div key={view.id} className="group flex items-center gap-1">
+                                    <button
+                                        className={`flex-1 min-w-0 text-left px-2 py-1.5 rounded text-sm ${isViewActive(view)
+                                            ? 'bg-accent-primary text-white'
+                                            : 'hover:bg-tertiary'
+                                            }`}
+                                        onClick={() => onUpdateFilters({ ...viewToFilters(view), resetPage: true })}
+                                        title={view.name}
+                                    >
+                                        <div className="flex justify-between items-center gap-2">
+                                            <span className="truncate">{view.name}</span>
+                                            <span className="text-xs opacity-75">{view.note_count}</span>
+                                        </div>
+                                    </button>
+                                    <button
+                                        onClick={() => onDeleteView(view.id)}
+                                        className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-tertiary"
+                                        title="Delete view"
+                                    >
+                                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                                        </svg>
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Conversations Section */}
                 <div>
                     <h2 className="text-sm font-semibold mb-2">Conversations</h2>
@@ -1186,15 +2212,18 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                         </button>
                         {uniqueConversations.map(conv => (
                             <button
-                                key={conv}
-                                className={`w-full text-left px-2 py-1.5 rounded text-sm truncate ${filters.selectedConversation === conv
+                                key={conv.conversation_id}
+                                className={`w-full text-left px-2 py-1.5 rounded text-sm ${filters.selectedConversation === conv.conversation_id
                                     ? 'bg-accent-primary text-white'
                                     : 'hover:bg-tertiary'
                                     }`}
-                                onClick={() => handleConversationClick(conv)}
-                                title={conv}
+                                onClick={() => handleConversationClick(conv.conversation_id)}
+                                title={conv.description ? `${conv.conversation_id}: ${conv.description}` : conv.conversation_id}
                             >
-                                {conv}
+                                <div className="flex justify-between items-center gap-2">
+                                    <span className="truncate">{conv.title || conv.conversation_id}</span>
+                                    <span className="text-xs opacity-75">{conv.note_count}</span>
+                                </div>
                             </button>
                         ))}
                     </div>
@@ -1241,10 +2270,24 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                     selectedRange={filters.dateRange}
                     onRangeSelect={(range) => onUpdateFilters({ dateRange: range, resetPage: true })}
                 />
+
+                {/* Archived notes are hidden unless shown here */}
+                <div>
+                    <h2 className="text-sm font-semibold mb-2">Archive</h2>
+                    <button
+                        className={`w-full text-left px-2 py-1.5 rounded text-sm ${filters.showArchived
+                            ? 'bg-accent-primary text-white'
+                            : 'hover:bg-tertiary'
+                            }`}
+                        onClick={() => onUpdateFilters({ showArchived: !filters.showArchived, resetPage: true })}
+                    >
+                        Show Archived Notes
+                    </button>
+                </div>
             </div>
 
             {/* Active Filters - Fixed at bottom */}
-            {(filters.selectedTags.length > 0 || filters.selectedConversation || filters.searchTerm || filters.selectedColor || filters.dateRange !== 'ALL_TIME') && (
+            {(filters.selectedTags.length > 0 || filters.selectedConversation || filters.searchTerm || filters.selectedColor || filters.dateRange !== 'ALL_TIME' || filters.showArchived) && (
                 <div className="p-4 border-t border-default bg-secondary">
                     <h2 className="text-sm font-semibold mb-2">Active Filters</h2>
                     <div className="space-y-2 max-h-48 overflow-y-auto">
@@ -1280,7 +2323,7 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                         ))}
                         {filters.selectedConversation && (
                             <div className="flex items-center justify-between text-sm bg-tertiary rounded p-2">
-                                <span className="truncate flex-1 mr-2">Conversation: {filters.selectedConversation}</span>
+                                <span className="truncate flex-1 mr-2">Conversation: {conversationTitle(filters.selectedConversation)}</span>
                                 <button
                                     onClick={() => onUpdateFilters({ selectedConversation: '', resetPage: true })}
                                     className="text-primary hover:text-accent-primary flex-shrink-0 p-1 rounded hover:bg-secondary"
@@ -1317,6 +2360,53 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
                                 </button>
                             </div>
                         )}
+                        {filters.showArchived && (
+                            <div className="flex items-center justify-between text-sm bg-tertiary rounded p-2 mb-2">
+                                <span className="truncate flex-1 mr-2">Archived notes</span>
+                                <button
+                                    onClick={() => onUpdateFilters({ showArchived: false, resetPage: true })}
+                                    className="text-primary hover:text-accent-primary flex-shrink-0"
+                                >
+                                    <i data-lucide="x" className="w-4 h-4"></i>
+                                </button>
+                            </div>
+                        )}
+                        {viewName === null ? (
+                            <button
+                                onClick={() => setViewName('')}
+                                className="w-full px-2 py-1.5 text-sm text-accent-primary hover:text-accent-hover bg-tertiary rounded hover:bg-secondary"
+                            >
+                                Save as View
+                            </button>
+                        ) : (
+                            <form onSubmit={handleSaveView} className="space-y-2">
+                                <input
+                                    type="text"
+                                    autoFocus
+                                    placeholder="View name"
+                                    className="w-full px-2 py-1.5 text-sm border rounded focus:outline-none focus:ring-2 focus:ring-accent-primary bg-secondary border-default"
+                                    value={viewName}
+                                    onChange={(e) => setViewName(e.target.value)}
+                                />
+                                {viewError && <div className="text-danger text-xs">{viewError}</div>}
+                                <div className="flex gap-2">
+                                    <button
+                                        type="submit"
+                                        disabled={!viewName.trim()}
+                                        className="flex-1 px-2 py-1.5 text-sm rounded bg-accent-primary text-white hover:bg-accent-hover disabled:opacity-50"
+                                    >
+                                        Save
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => { setViewName(null); setViewError(null); }}
+                                        className="flex-1 px-2 py-1.5 text-sm rounded bg-tertiary hover:bg-secondary"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </form>
+                        )}
                         <button
                             onClick={resetFilters}
                             className="w-full px-2 py-1.5 text-sm text-accent-primary hover:text-accent-hover bg-tertiary rounded hover:bg-secondary"
@@ -1331,7 +2421,7 @@ const Sidebar = ({ filters, onUpdateFilters, uniqueTags, uniqueConversations, no
 };
 
 // NotesGrid Component
-const NotesGrid = React.memo(({ notes, onEdit, onDelete, onColorChange, onTagClick, onConversationClick, selectedNotes, onSelectNote, bulkActionMode, onExport }) => {
+const NotesGrid = React.memo(({ notes, onEdit, onDelete, onColorChange, onStateChange, onToggleTask, onTagClick, onConversationClick, selectedNotes, onSelectNote, bulkActionMode, onExport }) => {
     if (!notes.length) {
         return (
             <div className="text-center text-gray-500 mt-8">
@@ -1349,6 +2439,8 @@ const NotesGrid = React.memo(({ notes, onEdit, onDelete, onColorChange, onTagCli
                     onEdit={onEdit}
                     onDelete={onDelete}
                     onColorChange={onColorChange}
+                    onStateChange={onStateChange}
+                    onToggleTask={onToggleTask}
                     onTagClick={onTagClick}
                     onConversationClick={onConversationClick}
                     isSelected={selectedNotes.has(note.id)}
@@ -1373,10 +2465,15 @@ const App = () => {
         updateFilters,
         fetchNotes,
         updateNoteColor,
-        updateNotesColor
+        updateNotesColor,
+        toggleTask,
+        setNotesState
     } = useNotesData();
     const { conversations, isLoadingConversations, fetchConversations } = useConversationsData();
+    const { views: savedViews, fetchViews, saveView, deleteView } = useSavedViewsData();
     const [isAboutModalOpen, setIsAboutModalOpen] = React.useState(false);
+    const [isTrashModalOpen, setIsTrashModalOpen] = React.useState(false);
+    const [trashVersion, setTrashVersion] = React.useState(0);
 
     const [isModalOpen, setIsModalOpen] = React.useState(false);
     const [selectedNote, setSelectedNote] = React.useState(null);
@@ -1402,40 +2499,67 @@ const App = () => {
 
                 ws = new WebSocket(`ws://localhost:${data.port}`);
 
+                // Resets filters when deleted notes were the last ones matching the current conversation or tag
+                const handleDeletedNotes = (deletedNotes) => {
+                    const deletedIds = deletedNotes.map(note => note.id);
+                    const remainingNotes = notes.filter(note => !deletedIds.includes(note.id));
+
+                    // Check if these were the last notes for the current conversation or tag
+                    const isLastInConversation = deletedNotes.some(deletedNote =>
+                        filters.selectedConversation === deletedNote.conversation_id &&
+                        !remainingNotes.some(note => note.conversation_id === deletedNote.conversation_id)
+                    );
+
+                    const isLastWithTag = filters.selectedTags.length > 0 &&
+                        deletedNotes.some(deletedNote => deletedNote.tags &&
+                            filters.selectedTags.some(tag =>
+                                deletedNote.tags.includes(tag) &&
+                                !remainingNotes.some(note => note.tags && note.tags.includes(tag))
+                            )
+                        );
+
+                    // If they were the last notes, reset all filters
+                    if (isLastInConversation || isLastWithTag) {
+                        updateFilters({
+                            searchTerm: '',
+                            selectedTags: [],
+                            selectedConversation: '',
+                            selectedColor: null,
+                            dateRange: 'ALL_TIME',
+                            resetPage: true
+                        });
+                    }
+                };
+
                 ws.onmessage = (event) => {
                     const message = JSON.parse(event.data);
                     if (message.type === 'note_created') {
                         fetchNotes();
                         fetchConversations();
+                        fetchViews();
                     } else if (message.type === 'note_deleted') {
-                        const deletedNote = message.payload;
-                        const remainingNotes = notes.filter(note => note.id !== deletedNote.id);
-
-                        // Check if this was the last note for the current conversation or tag
-                        const isLastInConversation = filters.selectedConversation === deletedNote.conversation_id &&
-                            !remainingNotes.some(note => note.conversation_id === deletedNote.conversation_id);
-
-                        const isLastWithTag = filters.selectedTags.length > 0 && deletedNote.tags &&
-                            filters.selectedTags.some(tag =>
-                                deletedNote.tags.includes(tag) &&
-                                !remainingNotes.some(note => note.tags && note.tags.includes(tag))
-                            );
-
-                        // If it was the last note, reset all filters
-                        if (isLastInConversation || isLastWithTag) {
-                            updateFilters({
-                                searchTerm: '',
-                                selectedTags: [],
-                                selectedConversation: '',
-                                selectedColor: null,
-                                dateRange: 'ALL_TIME',
-                                resetPage: true
-                            });
-                        }
+                        handleDeletedNotes([message.payload]);
+                        setTrashVersion(version => version + 1);
 
                         // Always fetch fresh data
                         fetchNotes();
                         fetchConversations();
+                        fetchViews();
+                    } else if (message.type === 'note_updated') {
+                        fetchViews();
+                    } else if (message.type === 'conversation_updated') {
+                        fetchConversations();
+                    } else if (message.type === 'notes_batch') {
+                        // One message covers a whole batch operation
+                        if (message.payload.action === 'deleted') {
+                            handleDeletedNotes(message.payload.notes);
+                        }
+                        if (['deleted', 'restored', 'purged'].includes(message.payload.action)) {
+                            setTrashVersion(version => version + 1);
+                        }
+                        fetchNotes();
+                        fetchConversations();
+                        fetchViews();
                     }
                 };
 
@@ -1471,7 +2595,7 @@ const App = () => {
                 ws.close();
             }
         };
-    }, [fetchNotes, fetchConversations, filters, updateFilters]);
+    }, [fetchNotes, fetchConversations, fetchViews, filters, updateFilters]);
 
     const { uniqueTags, uniqueConversations } = React.useMemo(() => {
         const tagSet = new Set();
@@ -1520,7 +2644,11 @@ const App = () => {
                 );
 
             // Delete the notes
-            await Promise.all(idsArray.map(id => NotesAPI.deleteNote(id)));
+            if (idsArray.length > 1) {
+                await NotesAPI.deleteNotesBulk(idsArray);
+            } else {
+                await NotesAPI.deleteNote(idsArray[0]);
+            }
 
             // If any of the deleted notes were the last ones, reset filters
             if (isLastInConversation || isLastWithTag) {
@@ -1547,6 +2675,36 @@ const App = () => {
         setIsModalOpen(true);
     }, []);
 
+    // Opens a note that may not be on the current page, e.g. the target of a [[...]] link
+    const handleOpenNote = React.useCallback(async (id) => {
+        try {
+            handleEditNote(await NotesAPI.fetchNote(id));
+        } catch (error) {
+            console.error('Error opening note:', error);
+        }
+    }, [handleEditNote]);
+
+    // Wiki links in rendered markdown point at /?note=ID: open them in the modal instead of reloading
+    React.useEffect(() => {
+        const handleWikiLinkClick = (event) => {
+            const link = event.target.closest && event.target.closest('a.wiki-link');
+            if (!link) return;
+            const id = new URL(link.href).searchParams.get('note');
+            if (!id) return;
+            event.preventDefault();
+            event.stopPropagation();
+            handleOpenNote(Number(id));
+        };
+        document.addEventListener('click', handleWikiLinkClick, true);
+        return () => document.removeEventListener('click', handleWikiLinkClick, true);
+    }, [handleOpenNote]);
+
+    // A wiki link opened in a new tab lands on /?note=ID
+    React.useEffect(() => {
+        const id = new URLSearchParams(window.location.search).get('note');
+        if (id) handleOpenNote(Number(id));
+    }, []);
+
     const handleNewNote = React.useCallback(() => {
         setSelectedNote(null);
         setIsModalOpen(true);
@@ -1572,11 +2730,17 @@ const App = () => {
         setBulkActionMode(false);
     };
 
+    const handleBulkStateChange = async (state) => {
+        await setNotesState(Array.from(selectedNotes), state);
+        setSelectedNotes(new Set());
+        setBulkActionMode(false);
+    };
+
     const handleBulkDelete = () => {
         setDeleteConfirm({
             isOpen: true,
             noteId: Array.from(selectedNotes),
-            message: `Delete ${selectedNotes.size} selected notes?`
+            message: `Move ${selectedNotes.size} selected notes to the trash?`
         });
     };
 
@@ -1614,6 +2778,10 @@ const App = () => {
                     uniqueConversations={conversations}
                     noteColors={NOTE_COLORS}
                     onOpenAbout={() => setIsAboutModalOpen(true)}
+                    onOpenTrash={() => setIsTrashModalOpen(true)}
+                    savedViews={savedViews}
+                    onSaveView={saveView}
+                    onDeleteView={deleteView}
                 />
 
                 <main className="flex-1 flex flex-col h-screen">
@@ -1644,6 +2812,7 @@ const App = () => {
                         {bulkActionMode && (
                             <BulkActionsToolbar
                                 onColorChange={handleBulkColorChange}
+                                onStateChange={handleBulkStateChange}
                                 onDelete={handleBulkDelete}
                                 onExport={handleBulkExport}
                                 selectedCount={selectedNotes.size}
@@ -1652,6 +2821,7 @@ const App = () => {
                                     setBulkActionMode(false);
                                 }}
                                 noteColors={NOTE_COLORS}
+                                showingArchived={filters.showArchived}
                             />
                         )}
                     </div>
@@ -1677,6 +2847,8 @@ const App = () => {
                                 onEdit={handleEditNote}
                                 onDelete={noteId => setDeleteConfirm({ isOpen: true, noteId })}
                                 onColorChange={updateNoteColor}
+                                onStateChange={(noteId, state) => setNotesState([noteId], state)}
+                                onToggleTask={toggleTask}
                                 onTagClick={tag => updateFilters({ selectedTags: [tag], resetPage: true })}
                                 onConversationClick={conv => updateFilters({ selectedConversation: conv, resetPage: true })}
                                 selectedNotes={selectedNotes}
@@ -1700,15 +2872,18 @@ const App = () => {
 
                     {isModalOpen && (
                         <NoteModal
+                            key={selectedNote ? selectedNote.id : 'new'}
                             note={selectedNote}
                             onClose={handleCloseModal}
                             onSave={handleSaveNote}
+                            onRestored={fetchNotes}
+                            onOpenNote={handleOpenNote}
                         />
                     )}
 
                     <ConfirmDialog
                         isOpen={deleteConfirm.isOpen}
-                        message={deleteConfirm.message || "Are you sure you want to delete this note?"}
+                        message={deleteConfirm.message || "Move this note to the trash?"}
                         onConfirm={() => handleDeleteNote(deleteConfirm.noteId)}
                         onCancel={() => setDeleteConfirm({ isOpen: false, noteId: null })}
                     />
@@ -1718,6 +2893,16 @@ const App = () => {
                     isOpen={isAboutModalOpen}
                     onClose={() => setIsAboutModalOpen(false)}
                 />
+
+                <TrashModal
+                    isOpen={isTrashModalOpen}
+                    trashVersion={trashVersion}
+                    onClose={() => setIsTrashModalOpen(false)}
+                    onRestored={() => {
+                        fetchNotes();
+                        fetchConversations();
+                    }}
+                />
             </div>
         </ThemeProvider>
     );
@@ -0,0 +1,705 @@
+import { z } from 'zod';
+import { ARCHIVED_FILTERS, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT, NoteFilters } from './services/noteQueryService.js';
+import { toUnixSeconds } from './utils/search.js';
+import { PROPERTY_KEY_PATTERN, parsePropertyFilter } from './utils/properties.js';
+import { SearchQueryError, parseSearchQuery } from './utils/searchQuery.js';
+
+// Declarative schemas for note, tag, section and filter payloads.
+// REST handlers validate with validateRequest(), MCP tools with validateToolArguments(),
+// and the tool inputSchema objects are generated from the same definitions.
+
+// Upper bound on items in one batch request
+export const MAX_BATCH_SIZE = 100;
+
+// Numeric strings are accepted wherever a number is expected (URL params, query strings, loose clients)
+const toNumber = (value: unknown) => typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+// Query strings repeat a key for arrays, so a single value arrives as a plain string
+const toArray = (value: unknown) => typeof value === 'string' ? [value] : value;
+
+// Notes store flags as 0/1, so a note read from the API can be sent back as it is;
+// query strings send "true" and "false"
+const toBoolean = (value: unknown) => {
+    if (value === 0 || value === 1) return Boolean(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+};
+
+// ---- Fields ----
+
+export const idSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a positive integer id' })
+    .int('must be a positive integer id')
+    .positive('must be a positive integer id'));
+
+const nullableIdSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a positive integer id or null' })
+    .int('must be a positive integer id or null')
+    .positive('must be a positive integer id or null')
+    .nullable());
+
+const idListSchema = z.array(idSchema)
+    .min(1, 'must contain at least one id')
+    .max(MAX_BATCH_SIZE, `must contain at most ${MAX_BATCH_SIZE} ids`)
+    .transform(ids => [...new Set(ids)]);
+
+const titleSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' });
+
+const contentSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' });
+
+const conversationIdSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty');
+
+export const colorSchema = z.string({ invalid_type_error: 'must be a string' })
+    .regex(/^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/, 'must be a hex color such as #FFE999');
+
+const tagNameSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty');
+
+// Trimmed and de-duplicated
+const tagListSchema = z.array(tagNameSchema, { invalid_type_error: 'must be an array of strings' })
+    .transform(tags => [...new Set(tags)]);
+
+const propertyKeySchema = z.string({ invalid_type_error: 'must be a string' })
+    .regex(PROPERTY_KEY_PATTERN, 'must start with a letter or _ and contain only letters, digits, _, - and . (at most 64 characters)');
+
+// Values are stored as text; numbers and booleans are accepted and converted
+const propertyValueSchema = z.union([z.string(), z.number(), z.boolean()], { invalid_type_error: 'must be a string, number or boolean' })
+    .transform(value => String(value).trim())
+    .refine(value => value !== '', 'must not be empty');
+
+const propertiesSchema = z.record(propertyKeySchema, propertyValueSchema, { invalid_type_error: 'must be an object of key-value pairs' });
+
+const sectionNameSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty');
+
+const orderIndexSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be an integer' })
+    .int('must be an integer')
+    .min(0, 'must not be negative'));
+
+// Unix seconds or any date string Date.parse understands, normalized to Unix seconds
+const dateSchema = z.union([z.string(), z.number()], { invalid_type_error: 'must be an ISO date or Unix seconds' })
+    .refine(value => toUnixSeconds(value) !== null, 'must be an ISO date or Unix seconds')
+    .transform(value => toUnixSeconds(value));
+
+const flagSchema = z.preprocess(toBoolean, z.boolean({ invalid_type_error: 'must be true or false' }));
+
+const pageSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a positive integer' })
+    .int('must be a positive integer')
+    .min(1, 'must be a positive integer'));
+
+const limitSchema = z.preprocess(toNumber, z.number({ invalid_type_error: `must be an integer from 1 to ${MAX_PAGE_LIMIT}` })
+    .int(`must be an integer from 1 to ${MAX_PAGE_LIMIT}`)
+    .min(1, `must be an integer from 1 to ${MAX_PAGE_LIMIT}`)
+    .max(MAX_PAGE_LIMIT, `must be an integer from 1 to ${MAX_PAGE_LIMIT}`));
+
+const offsetSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a non-negative integer' })
+    .int('must be a non-negative integer')
+    .min(0, 'must be a non-negative integer'));
+
+// 1-based line number in a note's content
+const lineSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a positive line number' })
+    .int('must be a positive line number')
+    .positive('must be a positive line number'));
+
+// Tools without arguments
+export const emptyArgsSchema = z.object({});
+
+// ---- Notes ----
+
+const noteFields = {
+    title: titleSchema,
+    content: contentSchema,
+    color_hex: colorSchema.nullish(),
+    section_id: nullableIdSchema.optional(),
+    tags: tagListSchema.optional(),
+    properties: propertiesSchema.optional().describe('Key-value pairs such as { "priority": "high", "estimate": 3 }')
+};
+
+export const createNoteArgsSchema = z.object({
+    ...noteFields,
+    conversationId: conversationIdSchema
+});
+
+export const createNoteBodySchema = z.object({
+    ...noteFields,
+    conversation_id: conversationIdSchema
+});
+
+export const updateNoteArgsSchema = z.object({
+    id: idSchema,
+    title: titleSchema.trim().min(1, 'must not be empty').optional(),
+    content: contentSchema.optional(),
+    mode: z.enum(['replace', 'append', 'prepend']).optional().describe('How content is applied (default replace)'),
+    conversationId: conversationIdSchema.optional().describe('Moves the note to another conversation'),
+    color_hex: colorSchema.nullish(),
+    section_id: nullableIdSchema.optional().describe('Moves the note to a section; null removes it from its section'),
+    tags: tagListSchema.optional().describe('Replaces all tags'),
+    addTags: tagListSchema.optional(),
+    removeTags: tagListSchema.optional(),
+    properties: propertiesSchema.optional().describe('Replaces all properties'),
+    setProperties: propertiesSchema.optional().describe('Adds or changes these properties'),
+    removeProperties: z.array(propertyKeySchema, { invalid_type_error: 'must be an array of property keys' }).optional(),
+    pinned: flagSchema.optional().describe('Pinned notes are listed first'),
+    archived: flagSchema.optional().describe('Archived notes are hidden from listings unless requested')
+}).refine(
+    ({ id, mode, ...fields }) => Object.values(fields).some(value => value !== undefined),
+    'Nothing to update: provide at least one field besides id'
+);
+
+export const updateNoteBodySchema = z.object({
+    title: titleSchema.optional(),
+    content: contentSchema.optional(),
+    conversation_id: conversationIdSchema.optional(),
+    color_hex: colorSchema.nullish(),
+    section_id: nullableIdSchema.optional(),
+    tags: tagListSchema.optional(),
+    properties: propertiesSchema.optional(),
+    pinned: flagSchema.optional(),
+    archived: flagSchema.optional()
+});
+
+export const noteIdArgsSchema = z.object({
+    id: idSchema
+});
+
+export const idParamsSchema = z.object({
+    id: idSchema
+});
+
+export const noteColorBodySchema = z.object({
+    color_hex: colorSchema
+});
+
+const noteStateFields = {
+    pinned: flagSchema.optional().describe('Pin or unpin'),
+    archived: flagSchema.optional().describe('Archive or unarchive')
+};
+const hasStateChange = ({ pinned, archived }: { pinned?: boolean; archived?: boolean }) => pinned !== undefined || archived !== undefined;
+
+export const noteStateBodySchema = z.object(noteStateFields)
+    .refine(hasStateChange, 'Provide pinned and/or archived');
+
+// PATCH /api/notes/bulk/state body and set-note-state tool arguments
+export const setNoteStateSchema = z.object({
+    noteIds: idListSchema,
+    ...noteStateFields
+}).refine(hasStateChange, 'Provide pinned and/or archived');
+
+export const noteSectionBodySchema = z.object({
+    section_id: nullableIdSchema
+});
+
+// GET /api/notes/:id/related query string
+export const relatedNotesQuerySchema = z.object({
+    limit: limitSchema.default(10).describe(`Maximum related notes (default 10, max ${MAX_PAGE_LIMIT})`)
+});
+
+export const findRelatedNotesArgsSchema = z.object({
+    id: idSchema.describe('Note to find related notes for'),
+    ...relatedNotesQuerySchema.shape
+});
+
+// ---- Revisions ----
+
+export const revisionParamsSchema = z.object({
+    id: idSchema,
+    revisionId: idSchema
+});
+
+export const revisionDiffQuerySchema = z.object({
+    from: idSchema.optional().describe('Older revision (default: the revision before "to")'),
+    to: idSchema.optional().describe('Newer revision (default: the latest revision)')
+});
+
+export const diffNoteRevisionsArgsSchema = z.object({
+    id: idSchema,
+    ...revisionDiffQuerySchema.shape
+});
+
+export const restoreNoteRevisionArgsSchema = z.object({
+    id: idSchema,
+    revisionId: idSchema
+});
+
+// ---- Attachments ----
+
+// Stored as given, so it may not contain path separators
+const filenameSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty')
+    .max(255, 'must be at most 255 characters')
+    .refine(name => !/[\\/\0]/.test(name), 'must be a file name without a path');
+
+const mimeTypeSchema = z.string({ invalid_type_error: 'must be a string' })
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/, 'must be a MIME type such as image/png');
+
+// Multipart uploads: the file name and type the client sent
+export const attachmentFileSchema = z.object({
+    filename: filenameSchema,
+    mimeType: mimeTypeSchema.default('application/octet-stream')
+});
+
+export const addAttachmentArgsSchema = z.object({
+    noteId: idSchema.describe('Note to attach the file to'),
+    filename: filenameSchema.describe('File name, e.g. screenshot.png'),
+    mimeType: mimeTypeSchema.default('application/octet-stream').describe('MIME type of the file, e.g. image/png'),
+    content: z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+        .transform(value => value.replace(/\s+/g, ''))
+        .refine(value => value.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(value), 'must be base64 encoded')
+        .describe('File content, base64 encoded')
+});
+
+export const noteAttachmentsArgsSchema = z.object({
+    noteId: idSchema
+});
+
+export const attachmentIdArgsSchema = z.object({
+    id: idSchema.describe('Attachment id')
+});
+
+// ---- Templates ----
+
+const templateNameSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty');
+
+const templateTextSchema = z.string({ invalid_type_error: 'must be a string' });
+
+export const createTemplateBodySchema = z.object({
+    name: templateNameSchema,
+    title: templateTextSchema.default(''),
+    content: templateTextSchema.default(''),
+    tags: tagListSchema.default([]),
+    color_hex: colorSchema.nullable().default(null),
+    section_id: nullableIdSchema.default(null)
+});
+
+export const updateTemplateBodySchema = z.object({
+    name: templateNameSchema.optional(),
+    title: templateTextSchema.optional(),
+    content: templateTextSchema.optional(),
+    tags: tagListSchema.optional(),
+    color_hex: colorSchema.nullable().optional(),
+    section_id: nullableIdSchema.optional()
+}).refine(
+    fields => Object.values(fields).some(value => value !== undefined),
+    'Nothing to update: provide at least one field'
+);
+
+// Values for a template's own {{variables}}, by name
+const templateValuesSchema = z.record(z.string({ invalid_type_error: 'must be a string' }), { invalid_type_error: 'must be an object of strings' })
+    .default({});
+
+// POST /api/templates/:id/render body
+export const renderTemplateBodySchema = z.object({
+    conversation_id: conversationIdSchema,
+    variables: templateValuesSchema
+});
+
+export const createNoteFromTemplateArgsSchema = z.object({
+    template: z.union([
+        z.number().int().positive(),
+        templateNameSchema
+    ], { invalid_type_error: 'must be a template id or name' }).describe('Template id or name, as listed by list-templates'),
+    conversationId: conversationIdSchema,
+    variables: templateValuesSchema.describe('Values for the template\'s {{variables}}. date, time, datetime, conversation_id and title are filled in automatically'),
+    title: titleSchema.trim().min(1, 'must not be empty').optional().describe('Replaces the title from the template'),
+    tags: tagListSchema.optional().describe('Added to the template\'s default tags')
+});
+
+// ---- Filters ----
+
+const archivedFilterSchema = z.enum(ARCHIVED_FILTERS, { invalid_type_error: 'must be exclude, include or only' })
+    .describe('Archived notes: exclude (default), include or only');
+
+// "key", or "key" followed by =, !=, <, <=, > or >= and a value
+const propertyFilterTextSchema = z.string({ invalid_type_error: 'must be a string' })
+    .refine(value => parsePropertyFilter(value) !== null, 'must be a property key, optionally followed by =, !=, <, <=, > or >= and a value');
+
+const propertyFilterSchema = propertyFilterTextSchema.transform(value => parsePropertyFilter(value)!);
+
+// Search box text such as: tag:bug -tag:done created:>2025-01-01 "exact phrase" OR other
+const searchQuerySchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .superRefine((value, context) => {
+        try {
+            parseSearchQuery(value);
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            context.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        }
+    });
+
+const SEARCH_SYNTAX = 'Words, "quoted phrases" and prefix* words match title and content (full-text with FTS, otherwise substrings). '
+    + 'Qualifiers: tag:NAME, color:#HEX, conv:ID, section:NAME, created:DATE and updated:DATE (dates may start with <, <=, > or >=). '
+    + 'Terms are ANDed; use OR, -term to exclude and parentheses to group';
+
+const filterFields = {
+    search: searchQuerySchema.optional().describe(SEARCH_SYNTAX),
+    tags: z.preprocess(toArray, tagListSchema).optional().describe('Only notes with any of these tags'),
+    recursive: flagSchema.optional().describe('Also match notes tagged with child tags of the given tags, at any depth'),
+    startDate: dateSchema.optional().describe('Created on or after (ISO date or Unix seconds)'),
+    endDate: dateSchema.optional().describe('Created on or before (ISO date or Unix seconds)'),
+    sort: z.string().optional().describe('Field and direction, e.g. "updated_at DESC". Fields: title, updated_at, created_at, color_hex, conversation_id, relevance, or property:KEY. Searches with FTS default to relevance. Pinned notes always come first'),
+    archived: archivedFilterSchema.optional(),
+    properties: z.preprocess(toArray, z.array(propertyFilterSchema, { invalid_type_error: 'must be an array of property filters' })).optional()
+        .describe('Only notes matching all of these, e.g. ["priority=high", "estimate>=3", "due<2024-12-01", "owner"]. Numbers and dates compare by value'),
+    page: pageSchema.optional().describe('Page number (default 1)'),
+    limit: limitSchema.optional().describe(`Notes per page (default ${DEFAULT_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})`)
+};
+
+type FilterFields = z.output<z.ZodObject<typeof filterFields>>;
+
+const toNoteFilters = ({ search, tags, recursive, startDate, endDate, sort, archived, properties, page, limit }: FilterFields, conversation?: string, color?: string): NoteFilters => ({
+    search: search || undefined,
+    tags: tags || [],
+    recursive: recursive ?? false,
+    conversation: conversation || undefined,
+    color: color || undefined,
+    startDate: startDate ?? null,
+    endDate: endDate ?? null,
+    sort,
+    archived: archived ?? 'exclude',
+    properties: properties || [],
+    page: page ?? 1,
+    limit: limit ?? DEFAULT_PAGE_LIMIT
+});
+
+// GET /api/notes query string
+export const noteFiltersQuerySchema = z.object({
+    ...filterFields,
+    conversation: z.string().trim().optional(),
+    color: z.string().trim().optional()
+}).transform(({ conversation, color, ...fields }) => toNoteFilters(fields, conversation, color));
+
+// list-notes tool arguments
+export const listNotesArgsSchema = z.object({
+    ...filterFields,
+    conversationId: z.string().trim().optional(),
+    color_hex: z.string().trim().optional()
+}).transform(({ conversationId, color_hex, ...fields }) => toNoteFilters(fields, conversationId, color_hex));
+
+export const searchNotesArgsSchema = z.object({
+    query: searchQuerySchema
+        .refine(value => value !== '', 'must not be empty')
+        .describe(SEARCH_SYNTAX),
+    tags: tagListSchema.optional().describe('Only notes with any of these tags'),
+    conversationId: conversationIdSchema.optional().describe('Only notes in this conversation'),
+    color_hex: colorSchema.optional().describe('Only notes with this color'),
+    startDate: filterFields.startDate,
+    endDate: filterFields.endDate,
+    archived: archivedFilterSchema.default('exclude'),
+    limit: limitSchema.default(10).describe(`Maximum results (default 10, max ${MAX_PAGE_LIMIT})`),
+    offset: offsetSchema.default(0).describe('Number of results to skip (default 0)')
+});
+
+// ---- Tasks ----
+
+const taskFilterFields = {
+    status: z.enum(['open', 'done', 'all'], { invalid_type_error: 'must be open, done or all' })
+        .default('all')
+        .describe('open, done or all (default)'),
+    tags: filterFields.tags,
+    archived: archivedFilterSchema.default('exclude'),
+    limit: limitSchema.default(DEFAULT_PAGE_LIMIT).describe(`Maximum tasks (default ${DEFAULT_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})`),
+    offset: offsetSchema.default(0).describe('Number of tasks to skip (default 0)')
+};
+
+// list-tasks tool arguments
+export const listTasksArgsSchema = z.object({
+    ...taskFilterFields,
+    conversationId: z.string().trim().optional()
+});
+
+export type TaskFilters = z.output<typeof listTasksArgsSchema>;
+
+// GET /api/tasks query string
+export const taskFiltersQuerySchema = z.object({
+    ...taskFilterFields,
+    conversation: z.string().trim().optional()
+}).transform(({ conversation, ...fields }): TaskFilters => ({ ...fields, conversationId: conversation }));
+
+export const toggleTaskArgsSchema = z.object({
+    noteId: idSchema,
+    line: lineSchema.describe('Line of the task in the note content, as listed by list-tasks'),
+    done: flagSchema.optional().describe('Check (true) or uncheck (false); omit to flip')
+});
+
+export const taskParamsSchema = z.object({
+    id: idSchema,
+    line: lineSchema
+});
+
+export const toggleTaskBodySchema = z.object({
+    done: flagSchema.optional()
+});
+
+// ---- Sections ----
+
+export const createSectionSchema = z.object({
+    name: sectionNameSchema,
+    order_index: orderIndexSchema.optional().describe('Position of the section (default: after the last section)')
+});
+
+export const updateSectionBodySchema = z.object({
+    name: sectionNameSchema.optional(),
+    order_index: orderIndexSchema.optional()
+}).refine(
+    ({ name, order_index }) => name !== undefined || order_index !== undefined,
+    'Nothing to update: provide name or order_index'
+);
+
+export const updateSectionArgsSchema = z.object({
+    id: idSchema,
+    name: sectionNameSchema.optional(),
+    order_index: orderIndexSchema.optional()
+}).refine(
+    ({ name, order_index }) => name !== undefined || order_index !== undefined,
+    'Nothing to update: provide name or order_index'
+);
+
+export const sectionIdArgsSchema = z.object({
+    id: idSchema.describe('Section id')
+});
+
+export const reorderSectionsArgsSchema = z.object({
+    ids: z.array(idSchema)
+        .min(1, 'must contain at least one id')
+        .refine(ids => new Set(ids).size === ids.length, 'must not contain duplicates')
+        .describe('Section ids in the desired order')
+});
+
+export const moveNotesToSectionArgsSchema = z.object({
+    noteIds: idListSchema,
+    section_id: nullableIdSchema.describe('Target section, or null to unassign')
+});
+
+// ---- Conversations ----
+
+// Optional text; an empty string clears it
+const conversationTextSchema = z.string({ invalid_type_error: 'must be a string or null' })
+    .trim()
+    .nullable()
+    .transform(value => value || null);
+
+const conversationDeleteFields = {
+    notes: z.enum(['move', 'trash'], { invalid_type_error: 'must be move or trash' })
+        .default('move')
+        .describe('move (default) keeps the notes by moving them to moveTo; trash moves them to the trash'),
+    moveTo: conversationIdSchema.default('default').describe('Conversation that receives the notes (default "default")')
+};
+
+export const conversationParamsSchema = z.object({
+    id: conversationIdSchema
+});
+
+export const updateConversationBodySchema = z.object({
+    title: conversationTextSchema.optional(),
+    description: conversationTextSchema.optional(),
+    conversation_id: conversationIdSchema.optional()
+}).refine(
+    fields => Object.values(fields).some(value => value !== undefined),
+    'Nothing to update: provide title, description or conversation_id'
+);
+
+export const updateConversationArgsSchema = z.object({
+    conversationId: conversationIdSchema,
+    title: conversationTextSchema.optional().describe('Human-readable title; null clears it'),
+    description: conversationTextSchema.optional().describe('null clears it'),
+    newConversationId: conversationIdSchema.optional().describe('Renames the conversation id, moving its notes. Use merge-conversations to move them into an existing conversation')
+}).refine(
+    ({ conversationId, ...fields }) => Object.values(fields).some(value => value !== undefined),
+    'Nothing to update: provide title, description or newConversationId'
+);
+
+export const mergeConversationBodySchema = z.object({
+    into: conversationIdSchema
+});
+
+export const mergeConversationsArgsSchema = z.object({
+    sourceId: conversationIdSchema.describe('Conversation whose notes are moved; it is deleted afterwards'),
+    targetId: conversationIdSchema.describe('Conversation that receives the notes and keeps its title and description')
+}).refine(({ sourceId, targetId }) => sourceId !== targetId, 'sourceId and targetId must differ');
+
+export const deleteConversationQuerySchema = z.object(conversationDeleteFields);
+
+export const deleteConversationArgsSchema = z.object({
+    conversationId: conversationIdSchema,
+    ...conversationDeleteFields
+}).refine(({ conversationId, notes, moveTo }) => notes === 'trash' || moveTo !== conversationId, 'moveTo must be another conversation');
+
+// ---- Tags ----
+
+export const tagListQuerySchema = z.object({
+    detail: flagSchema.optional().describe('Return each tag with its id, parent_id and note_count instead of its name')
+});
+
+export const createTagSchema = z.object({
+    name: tagNameSchema,
+    parent_id: nullableIdSchema.optional()
+});
+
+export const updateTagBodySchema = z.object({
+    name: tagNameSchema.optional(),
+    parent_id: nullableIdSchema.optional()
+}).refine(
+    ({ name, parent_id }) => name !== undefined || parent_id !== undefined,
+    'Nothing to update: provide name or parent_id'
+);
+
+export const mergeTagBodySchema = z.object({
+    into: idSchema
+});
+
+export const renameTagArgsSchema = z.object({
+    name: tagNameSchema,
+    newName: tagNameSchema.describe('Use merge-tags to combine it with an existing tag')
+});
+
+export const mergeTagsArgsSchema = z.object({
+    source: tagNameSchema.describe('Tag whose notes and child tags are moved; it is deleted afterwards'),
+    target: tagNameSchema.describe('Tag that receives them')
+}).refine(({ source, target }) => source !== target, 'source and target must differ');
+
+export const deleteTagArgsSchema = z.object({
+    name: tagNameSchema.describe('Removed from every note; its child tags move up to its parent')
+});
+
+export const tagParentBodySchema = z.object({
+    parent_id: nullableIdSchema
+});
+
+export const setTagParentArgsSchema = z.object({
+    id: idSchema,
+    parent_id: nullableIdSchema.describe('New parent tag, or null for a top-level tag')
+});
+
+// ---- Batches ----
+
+export const batchCreateNotesArgsSchema = z.object({
+    notes: z.array(createNoteArgsSchema)
+        .min(1, 'must contain at least one note')
+        .max(MAX_BATCH_SIZE, `must contain at most ${MAX_BATCH_SIZE} notes`)
+});
+
+export const batchCreateNotesBodySchema = z.object({
+    notes: z.array(createNoteBodySchema)
+        .min(1, 'must contain at least one note')
+        .max(MAX_BATCH_SIZE, `must contain at most ${MAX_BATCH_SIZE} notes`)
+});
+
+const batchTagFields = {
+    noteIds: idListSchema.optional(),
+    addTags: tagListSchema.default([]),
+    removeTags: tagListSchema.default([])
+};
+
+const hasOneTarget = (noteIds: unknown, conversation: unknown) => (noteIds === undefined) !== (conversation === undefined);
+const hasTagChanges = ({ addTags, removeTags }: { addTags: string[]; removeTags: string[] }) => addTags.length > 0 || removeTags.length > 0;
+
+export const batchTagNotesArgsSchema = z.object({
+    ...batchTagFields,
+    conversationId: conversationIdSchema.optional().describe('Tag every note in this conversation instead of listing noteIds')
+})
+    .refine(args => hasOneTarget(args.noteIds, args.conversationId), 'Provide either noteIds or conversationId')
+    .refine(hasTagChanges, 'Provide addTags and/or removeTags');
+
+export const batchTagNotesBodySchema = z.object({
+    ...batchTagFields,
+    conversation_id: conversationIdSchema.optional()
+})
+    .refine(body => hasOneTarget(body.noteIds, body.conversation_id), 'Provide either noteIds or conversation_id')
+    .refine(hasTagChanges, 'Provide addTags and/or removeTags');
+
+export const noteIdsSchema = z.object({
+    noteIds: idListSchema
+});
+
+// ---- Trash ----
+
+export const purgeNotesArgsSchema = z.object({
+    noteIds: idListSchema.optional().describe('Trashed notes to delete permanently'),
+    all: z.literal(true).optional().describe('Set to true to empty the whole trash instead of listing noteIds')
+}).refine(({ noteIds, all }) => (noteIds === undefined) !== (all === undefined), 'Provide either noteIds or all: true');
+
+export const bulkColorBodySchema = z.object({
+    noteIds: idListSchema,
+    color_hex: colorSchema
+});
+
+// ---- Views ----
+
+const viewNameSchema = z.string({ required_error: 'is required', invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty')
+    .max(100, 'must be at most 100 characters');
+
+const viewDaysSchema = z.preprocess(toNumber, z.number({ invalid_type_error: 'must be a positive number of days' })
+    .int('must be a positive number of days')
+    .positive('must be a positive number of days'));
+
+// The filters a saved view stores: the GET /api/notes filters, plus days for a rolling date range.
+// Property filters are kept as written so the view reads back the way it was saved.
+const viewFiltersSchema = z.object({
+    search: searchQuerySchema.optional().describe(SEARCH_SYNTAX),
+    tags: tagListSchema.optional().describe('Only notes with any of these tags'),
+    recursive: flagSchema.optional().describe('Also match notes tagged with child tags of the given tags'),
+    conversation: conversationIdSchema.optional(),
+    color: colorSchema.optional(),
+    days: viewDaysSchema.optional().describe('Only notes created in the last N days, counted from when the view is read'),
+    startDate: dateSchema.optional().describe('Created on or after (ISO date or Unix seconds)'),
+    endDate: dateSchema.optional().describe('Created on or before (ISO date or Unix seconds)'),
+    archived: archivedFilterSchema.optional(),
+    properties: z.array(propertyFilterTextSchema, { invalid_type_error: 'must be an array of property filters' }).optional()
+}, { invalid_type_error: 'must be an object of filters' });
+
+const viewSortSchema = z.string({ invalid_type_error: 'must be a string' })
+    .trim()
+    .min(1, 'must not be empty');
+
+export const createViewBodySchema = z.object({
+    name: viewNameSchema,
+    filters: viewFiltersSchema.default({}),
+    sort: viewSortSchema.nullable().default(null)
+});
+
+export const updateViewBodySchema = z.object({
+    name: viewNameSchema.optional(),
+    filters: viewFiltersSchema.optional(),
+    sort: viewSortSchema.nullable().optional()
+}).refine(
+    fields => Object.values(fields).some(value => value !== undefined),
+    'Nothing to update: provide at least one field'
+);
+
+export type ViewFilters = z.output<typeof viewFiltersSchema>;
+
+/**
+ * Turns a saved view's filters into listing filters. days counts back from now; when
+ * startDate is also set, the later of the two applies.
+ */
+export const viewNoteFilters = (filters: ViewFilters, sort: string | null, page: number, limit: number, now: number = Date.now()): NoteFilters => {
+    const since = filters.days ? Math.floor(now / 1000) - filters.days * 24 * 60 * 60 : null;
+    const startDate = filters.startDate ?? null;
+    return {
+        search: filters.search || undefined,
+        tags: filters.tags || [],
+        recursive: filters.recursive ?? false,
+        conversation: filters.conversation,
+        color: filters.color,
+        startDate: since !== null && (startDate === null || since > startDate) ? since : startDate,
+        endDate: filters.endDate ?? null,
+        sort: sort ?? undefined,
+        archived: filters.archived ?? 'exclude',
+        properties: (filters.properties || []).map(filter => parsePropertyFilter(filter)!),
+        page,
+        limit
+    };
+};
+
+export type CreateNoteArgs = z.output<typeof createNoteArgsSchema>;
+export type CreateNoteBody = z.output<typeof createNoteBodySchema>;
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+import Database from 'better-sqlite3';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { FtsIndexService, FtsIndexStatus } from '../services/ftsIndexService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: node build/scripts/fts-index.js <command>
+
+Commands:
+  status    Compare the full-text index with the notes
+  rebuild   Recreate the index from the notes
+  optimize  Merge the index into one b-tree for faster searches
+  drop      Remove the index and its triggers (only with enableFTS off)`;
+
+const printStatus = (status: FtsIndexStatus) => {
+    if (!status.exists) {
+        console.log(`No full-text index; ${status.notes} notes`);
+        return;
+    }
+    if (!status.current) {
+        console.log(`Full-text index has an outdated layout and will be recreated; ${status.notes} notes`);
+        return;
+    }
+    console.log(`Indexed ${status.indexed} of ${status.notes} notes`);
+    console.log(`Missing: ${status.missing}, orphaned: ${status.orphaned}, outdated: ${status.outdated}`);
+};
+
+function runCommand(command: string | undefined) {
+    if (!command || !['status', 'rebuild', 'optimize', 'drop'].includes(command)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const enabled = config.features?.enableFTS ?? false;
+    if ((command === 'rebuild' || command === 'optimize') && !enabled) {
+        console.error('Full-text search is disabled (enableFTS); nothing to do');
+        process.exit(1);
+    }
+    if (command === 'drop' && enabled) {
+        console.error('Full-text search is enabled and the server would recreate the index; disable enableFTS first');
+        process.exit(1);
+    }
+
+    const db = new Database(join(config.db.root, config.db.path), {
+        fileMustExist: true,
+        timeout: config.db.timeout
+    });
+
+    try {
+        const ftsIndexService = new FtsIndexService(db);
+
+        switch (command) {
+            case 'status':
+                printStatus(ftsIndexService.status());
+                break;
+            case 'rebuild':
+                console.log('Rebuilding full-text index...');
+                printStatus(ftsIndexService.rebuild());
+                break;
+            case 'optimize':
+                if (!ftsIndexService.status().current) {
+                    console.error('The full-text index is missing or outdated; run rebuild instead');
+                    process.exitCode = 1;
+                    break;
+                }
+                console.log('Optimizing full-text index...');
+                printStatus(ftsIndexService.optimize());
+                break;
+            case 'drop':
+                ftsIndexService.drop();
+                console.log('Full-text index dropped');
+                break;
+        }
+    } catch (error) {
+        console.error('Full-text index command failed:', error);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+// Run the command if this file is executed directly
+if (process.argv[1] === __filename) {
+    runCommand(process.argv[2]);
+}
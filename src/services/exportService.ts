@@ -1,9 +1,19 @@
 import { renderMarkdown, renderMarkdownWithToc } from '../utils/markdown.js';
+import { formatBytes } from '../utils/attachments.js';
 
 interface ExportOptions {
     includeMetadata?: boolean;
     includeToc?: boolean;
     format?: 'md' | 'html';
+    title?: string;
+}
+
+interface ExportAttachment {
+    id: number;
+    filename: string;
+    mime_type: string;
+    size: number;
+    data: Buffer;
 }
 
 interface Note {
@@ -14,6 +24,9 @@ interface Note {
     created_at: number;
     updated_at: number;
     tags?: string[];
+    properties?: Record<string, string>;
+    // Only embedded when loaded by the caller
+    attachments?: ExportAttachment[];
 }
 
 export class ExportService {
@@ -36,6 +49,7 @@ export class ExportService {
             if (note.tags && note.tags.length > 0) {
                 content += `- Tags: ${note.tags.join(', ')}\n`;
             }
+            content += this.propertiesMetadata(note);
             content += '\n';
         }
 
@@ -45,11 +59,16 @@ export class ExportService {
         }
 
         // Add main content
-        content += `${note.content}\n`;
+        content += `${this.linkAttachments(note)}\n`;
+        if (note.attachments && note.attachments.length > 0) {
+            content += `\n${this.attachmentsSection(note, '##')}`;
+        }
 
         // Convert to HTML if requested
         if (format === 'html') {
-            return includeToc ? renderMarkdownWithToc(content) : renderMarkdown(content);
+            return includeToc
+                ? renderMarkdownWithToc(content, { allowDataLinks: true })
+                : renderMarkdown(content, undefined, { allowDataLinks: true });
         }
 
         return content;
@@ -59,9 +78,9 @@ export class ExportService {
      * Exports multiple notes to a single markdown or HTML document
      */
     public exportNotes(notes: Note[], options: ExportOptions = {}): string {
-        const { includeMetadata = true, includeToc = false, format = 'md' } = options;
+        const { includeMetadata = true, includeToc = false, format = 'md', title = 'Exported Notes' } = options;
 
-        let content = '# Exported Notes\n\n';
+        let content = `# ${title}\n\n`;
 
         if (includeToc) {
             content += '[[toc]]\n\n';
@@ -78,10 +97,12 @@ export class ExportService {
                 if (note.tags && note.tags.length > 0) {
                     content += `- Tags: ${note.tags.join(', ')}\n`;
                 }
+                content += this.propertiesMetadata(note);
                 content += '\n';
             }
 
-            content += `${note.content}\n\n`;
+            content += `${this.linkAttachments(note)}\n\n`;
+            content += this.attachmentsSection(note, '###');
 
             // Add separator between notes, except for the last one
             if (index < notes.length - 1) {
@@ -91,9 +112,54 @@ export class ExportService {
 
         // Convert to HTML if requested
         if (format === 'html') {
-            return includeToc ? renderMarkdownWithToc(content) : renderMarkdown(content);
+            return includeToc
+                ? renderMarkdownWithToc(content, { allowDataLinks: true })
+                : renderMarkdown(content, undefined, { allowDataLinks: true });
         }
 
         return content;
     }
-} 
\ No newline at end of file
+
+    /**
+     * Lists a note's properties as a nested metadata item
+     */
+    private propertiesMetadata(note: Note): string {
+        const properties = Object.entries(note.properties || {});
+        if (properties.length === 0) return '';
+
+        return `- Properties:\n${properties.map(([key, value]) => `  - ${key}: ${value}\n`).join('')}`;
+    }
+
+    /**
+     * Points attachment:ID references in a note's content at the embedded copies of its attachments
+     */
+    private linkAttachments(note: Note): string {
+        const ids = new Set((note.attachments || []).map(attachment => attachment.id));
+        if (ids.size === 0) return note.content;
+
+        // [label](attachment:5) becomes the reference link [label][attachment-5]
+        return note.content.replace(/\]\(\s*attachment:(\d+)\s*\)/g, (reference, id: string) =>
+            ids.has(Number(id)) ? `][attachment-${id}]` : reference);
+    }
+
+    /**
+     * Lists a note's attachments and defines each one as a data URI, so the export is self-contained.
+     * The filename is the link title, which HTML exports use to save the file under its name.
+     */
+    private attachmentsSection(note: Note, heading: string): string {
+        const attachments = note.attachments || [];
+        if (attachments.length === 0) return '';
+
+        let section = `${heading} Attachments\n\n`;
+        for (const attachment of attachments) {
+            const label = attachment.filename.replace(/[[\]\\]/g, '\\$&');
+            section += `- [${label}][attachment-${attachment.id}] (${attachment.mime_type}, ${formatBytes(attachment.size)})\n`;
+        }
+        section += '\n';
+        for (const attachment of attachments) {
+            const title = attachment.filename.replace(/["\\]/g, '\\$&');
+            section += `[attachment-${attachment.id}]: <data:${attachment.mime_type};base64,${attachment.data.toString('base64')}> "${title}"\n`;
+        }
+        return `${section}\n`;
+    }
+}
@@ -0,0 +1,187 @@
+import Database from 'better-sqlite3';
+
+export interface FtsIndexStatus {
+    // Whether notes_fts exists at all
+    exists: boolean;
+    // Whether notes_fts has the current layout: its own copy of title, content and tags, with
+    // notes_fts_vocab listing each term's occurrences
+    current: boolean;
+    notes: number;
+    indexed: number;
+    // Notes without a row in the index
+    missing: number;
+    // Index rows whose note no longer exists
+    orphaned: number;
+    // Index rows whose title, content or tags differ from the note's
+    outdated: number;
+}
+
+export type FtsEnsureResult = 'current' | 'created' | 'rebuilt';
+
+// Space separated names of a note's tags in name order, as stored in notes_fts.tags
+const noteTagNames = (noteId: string) => `
+    (SELECT COALESCE(group_concat(name, ' '), '') FROM (
+        SELECT tags.name FROM note_tags
+        JOIN tags ON tags.id = note_tags.tag_id
+        WHERE note_tags.note_id = ${noteId}
+        ORDER BY tags.name
+    ))
+`;
+
+// Triggers of the first notes_fts layout, which read title and content from notes itself
+const LEGACY_TRIGGERS = ['notes_ai', 'notes_ad', 'notes_au'];
+
+const TRIGGERS = ['notes_fts_ai', 'notes_fts_ad', 'notes_fts_au', 'note_tags_fts_ai', 'note_tags_fts_ad', 'tags_fts_au'];
+
+/**
+ * Keeps notes_fts, the full-text index over note titles, content and tag names, in step with
+ * the notes. The index holds its own copy of the text, so a missing, stale or outdated index
+ * can be detected and rebuilt from the notes.
+ */
+export class FtsIndexService {
+    private db: Database.Database;
+
+    constructor(db: Database.Database) {
+        this.db = db;
+    }
+
+    /**
+     * Compares the index with the notes
+     */
+    public status(): FtsIndexStatus {
+        const { count: notes } = this.db.prepare('SELECT COUNT(*) AS count FROM notes').get() as { count: number };
+        const exists = this.tableExists();
+        if (!exists) {
+            return { exists, current: false, notes, indexed: 0, missing: notes, orphaned: 0, outdated: 0 };
+        }
+
+        const current = this.isCurrent();
+        // An outdated layout has nothing to compare with: external content reads straight from notes
+        if (!current) {
+            return { exists, current, notes, indexed: 0, missing: notes, orphaned: 0, outdated: 0 };
+        }
+
+        const counts = this.db.prepare(`
+            SELECT
+                (SELECT COUNT(*) FROM notes_fts) AS indexed,
+                (SELECT COUNT(*) FROM notes WHERE id NOT IN (SELECT rowid FROM notes_fts)) AS missing,
+                (SELECT COUNT(*) FROM notes_fts WHERE rowid NOT IN (SELECT id FROM notes)) AS orphaned,
+                (SELECT COUNT(*) FROM notes JOIN notes_fts ON notes_fts.rowid = notes.id
+                 WHERE notes_fts.title IS NOT notes.title
+                    OR notes_fts.content IS NOT notes.content
+                    OR notes_fts.tags IS NOT ${noteTagNames('notes.id')}) AS outdated
+        `).get() as { indexed: number; missing: number; orphaned: number; outdated: number };
+
+        return { exists, current, notes, ...counts };
+    }
+
+    /**
+     * Makes sure the index exists, has the current layout and matches the notes, creating or
+     * rebuilding it when not. Run at startup, so enabling FTS on an existing database indexes its notes.
+     */
+    public ensure(): FtsEnsureResult {
+        const status = this.status();
+        if (!status.exists || !status.current) {
+            this.rebuild();
+            return 'created';
+        }
+        if (status.missing > 0 || status.orphaned > 0 || status.outdated > 0) {
+            this.rebuild();
+            return 'rebuilt';
+        }
+        this.createTriggers();
+        return 'current';
+    }
+
+    /**
+     * Recreates the index from the notes, replacing an outdated layout
+     */
+    public rebuild(): FtsIndexStatus {
+        this.db.transaction(() => {
+            if (!this.tableExists() || !this.isCurrent()) {
+                this.dropIndex();
+                this.db.exec(`
+                    CREATE VIRTUAL TABLE notes_fts USING fts5(title, content, tags);
+
+                    -- Each term's occurrences by note and column, for related note ranking
+                    CREATE VIRTUAL TABLE notes_fts_vocab USING fts5vocab('notes_fts', 'instance');
+                `);
+            }
+            this.createTriggers();
+            this.db.exec(`
+                DELETE FROM notes_fts;
+                INSERT INTO notes_fts(rowid, title, content, tags)
+                SELECT notes.id, notes.title, notes.content, ${noteTagNames('notes.id')} FROM notes;
+            `);
+        })();
+        return this.status();
+    }
+
+    /**
+     * Merges the index's b-trees into one, which speeds up queries after many edits
+     */
+    public optimize(): FtsIndexStatus {
+        this.db.prepare("INSERT INTO notes_fts(notes_fts) VALUES('optimize')").run();
+        return this.status();
+    }
+
+    /**
+     * Removes the index and its triggers, so notes are no longer indexed as they change
+     */
+    public drop(): void {
+        this.db.transaction(() => this.dropIndex())();
+    }
+
+    private tableExists(): boolean {
+        return this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'notes_fts'").get() !== undefined;
+    }
+
+    private isCurrent(): boolean {
+        const { sql } = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'notes_fts'").get() as { sql: string };
+        const columns = (this.db.prepare('PRAGMA table_info(notes_fts)').all() as { name: string }[]).map(column => column.name);
+        // The first vocabulary table was in 'row' mode, which can not tell the columns apart
+        const vocab = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'notes_fts_vocab'").get() as { sql: string } | undefined;
+        return columns.join(',') === 'title,content,tags' && !/\bcontent\s*=/i.test(sql)
+            && vocab !== undefined && /'instance'/i.test(vocab.sql);
+    }
+
+    private dropIndex(): void {
+        for (const trigger of [...LEGACY_TRIGGERS, ...TRIGGERS]) {
+            this.db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
+        }
+        this.db.exec(`
+            DROP TABLE IF EXISTS notes_fts_vocab;
+            DROP TABLE IF EXISTS notes_fts;
+        `);
+    }
+
+    private createTriggers(): void {
+        this.db.exec(`
+            CREATE TRIGGER IF NOT EXISTS notes_fts_ai AFTER INSERT ON notes BEGIN
+                INSERT INTO notes_fts(rowid, title, content, tags)
+                VALUES (new.id, new.title, new.content, ${noteTagNames('new.id')});
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS notes_fts_ad AFTER DELETE ON notes BEGIN
+                DELETE FROM notes_fts WHERE rowid = old.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS notes_fts_au AFTER UPDATE OF title, content ON notes BEGIN
+                UPDATE notes_fts SET title = new.title, content = new.content WHERE rowid = new.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS note_tags_fts_ai AFTER INSERT ON note_tags BEGIN
+                UPDATE notes_fts SET tags = ${noteTagNames('new.note_id')} WHERE rowid = new.note_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS note_tags_fts_ad AFTER DELETE ON note_tags BEGIN
+                UPDATE notes_fts SET tags = ${noteTagNames('old.note_id')} WHERE rowid = old.note_id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS tags_fts_au AFTER UPDATE OF name ON tags BEGIN
+                UPDATE notes_fts SET tags = ${noteTagNames('notes_fts.rowid')}
+                WHERE rowid IN (SELECT note_id FROM note_tags WHERE tag_id = new.id);
+            END;
+        `);
+    }
+}
@@ -0,0 +1,534 @@
+import Database from 'better-sqlite3';
+import { PROPERTY_KEY_PATTERN, PropertyFilter, propertyComparison } from '../utils/properties.js';
+import { MatchRange, buildExcerpt, buildFtsQuery, extractHighlightRanges, findMatchRanges, parseMarkedExcerpt } from '../utils/search.js';
+import { SearchNode, parseSearchQuery, positiveTextTerms } from '../utils/searchQuery.js';
+
+// Whether listings leave out archived notes, add them or show nothing else
+export const ARCHIVED_FILTERS = ['exclude', 'include', 'only'] as const;
+export type ArchivedFilter = typeof ARCHIVED_FILTERS[number];
+
+export interface NoteFilters {
+    // Search box syntax, see utils/searchQuery
+    search?: string;
+    tags?: string[];
+    // Also match notes tagged with descendants of the given tags
+    recursive?: boolean;
+    conversation?: string;
+    color?: string;
+    startDate?: number | null;
+    endDate?: number | null;
+    sort?: string;
+    archived?: ArchivedFilter;
+    properties?: PropertyFilter[];
+    page: number;
+    limit: number;
+}
+
+interface Note {
+    id: number;
+    title: string;
+    content: string;
+    conversation_id: string;
+    color_hex?: string;
+    section_id?: number | null;
+    pinned?: number;
+    archived?: number;
+    deleted_at?: number | null;
+    created_at: number;
+    updated_at: number;
+    tags?: string[];
+    properties?: Record<string, string>;
+    match?: NoteMatch;
+}
+
+// Why a note matched the search text
+export interface NoteMatch {
+    // Higher is better: bm25() relevance with FTS, otherwise the number of matches with title matches counting double
+    // and each matching tag once
+    score: number;
+    // Excerpt of the content around the best match
+    snippet: string;
+    // Matches within snippet
+    snippet_highlights: { start: number; end: number }[];
+    // Matches in the full title and content
+    highlights: MatchRange[];
+}
+
+type TextTerm = Extract<SearchNode, { type: 'text' }>;
+
+// How a query orders notes by relevance
+interface Relevance {
+    expression: string;
+    params: unknown[];
+    direction: 'ASC' | 'DESC';
+}
+
+export interface NotesPage {
+    notes: Note[];
+    pagination: {
+        total: number;
+        page: number;
+        limit: number;
+        totalPages: number;
+    };
+}
+
+const VALID_SORT_FIELDS = ['title', 'updated_at', 'created_at', 'color_hex', 'conversation_id'];
+const VALID_SORT_DIRECTIONS = ['ASC', 'DESC'];
+
+// Sorting by a property: "property:priority DESC"
+const PROPERTY_SORT_PREFIX = 'property:';
+
+// Best search matches first; the default sort when searching for text
+export const RELEVANCE_SORT = 'relevance';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Recursive CTE named tag_tree that walks the tag hierarchy down from the tags matching anchor,
+ * with each tag's depth below its anchor as level
+ */
+export const tagTreeCte = (anchor: string): string => `
+    WITH RECURSIVE tag_tree AS (
+        SELECT id, name, parent_id, 0 as level
+        FROM tags
+        WHERE ${anchor}
+        UNION ALL
+        SELECT t.id, t.name, t.parent_id, tt.level + 1
+        FROM tags t
+        JOIN tag_tree tt ON t.parent_id = tt.id
+    )
+`;
+
+// Escapes LIKE wildcards so text matches literally, for use with ESCAPE '\'
+const escapeLike = (text: string): string => text.replace(/[\\%_]/g, '\\$&');
+
+// Sorts match ranges by position, dropping any that overlap an earlier one
+const mergeRanges = (ranges: MatchRange[]): MatchRange[] => {
+    const merged: MatchRange[] = [];
+    for (const range of [...ranges].sort((a, b) => a.start - b.start || b.end - a.end)) {
+        if (merged.length === 0 || range.start >= merged[merged.length - 1].end) {
+            merged.push(range);
+        }
+    }
+    return merged;
+};
+
+export const DEFAULT_PAGE_LIMIT = 10;
+export const MAX_PAGE_LIMIT = 100;
+
+export class NoteQueryService {
+    private db: Database.Database;
+    // Whether notes_fts exists to search with
+    private fts: boolean;
+
+    constructor(db: Database.Database, options: { fts?: boolean } = {}) {
+        this.db = db;
+        this.fts = options.fts ?? false;
+    }
+
+    /**
+     * Builds the WHERE clause shared by the page and count queries
+     * @throws SearchQueryError when the search text is malformed
+     */
+    public buildConditions(filters: NoteFilters): { where: string; params: unknown[] } {
+        // Notes in the trash are never listed
+        const conditions: string[] = ['notes.deleted_at IS NULL'];
+        const params: unknown[] = [];
+
+        if (filters.archived !== 'include') {
+            conditions.push('notes.archived = ?');
+            params.push(filters.archived === 'only' ? 1 : 0);
+        }
+
+        if (filters.tags && filters.tags.length > 0) {
+            conditions.push(this.buildTagCondition(filters.tags, filters.recursive));
+            params.push(...filters.tags);
+        }
+
+        if (filters.conversation) {
+            conditions.push('notes.conversation_id = ?');
+            params.push(filters.conversation);
+        }
+
+        if (filters.color) {
+            conditions.push('notes.color_hex = ?');
+            params.push(filters.color);
+        }
+
+        if (filters.startDate !== undefined && filters.startDate !== null) {
+            conditions.push('notes.created_at >= ?');
+            params.push(filters.startDate);
+        }
+
+        if (filters.endDate !== undefined && filters.endDate !== null) {
+            conditions.push('notes.created_at <= ?');
+            params.push(filters.endDate);
+        }
+
+        const query = filters.search ? parseSearchQuery(filters.search) : null;
+        if (query) {
+            const search = this.buildSearchCondition(query, filters.recursive);
+            conditions.push(search.condition);
+            params.push(...search.params);
+        }
+
+        for (const filter of filters.properties || []) {
+            const property = this.buildPropertyCondition(filter);
+            conditions.push(property.condition);
+            params.push(...property.params);
+        }
+
+        return {
+            where: ` WHERE ${conditions.join(' AND ')}`,
+            params
+        };
+    }
+
+    /**
+     * Matches notes with any of the named tags, and with their descendants when recursive.
+     * Takes the names as parameters.
+     */
+    private buildTagCondition(names: string[], recursive?: boolean): string {
+        const anchor = `name IN (${names.map(() => '?').join(', ')})`;
+        return `
+            EXISTS (
+                SELECT 1
+                FROM note_tags
+                WHERE note_tags.note_id = notes.id
+                AND note_tags.tag_id IN (${recursive ? `${tagTreeCte(anchor)} SELECT id FROM tag_tree` : `SELECT id FROM tags WHERE ${anchor}`})
+            )
+        `;
+    }
+
+    /**
+     * Turns a parsed search query into a condition. Text terms search notes_fts when FTS is enabled,
+     * otherwise they are case-insensitive substring matches on title, content and tag names.
+     */
+    private buildSearchCondition(node: SearchNode, recursive?: boolean): { condition: string; params: unknown[] } {
+        switch (node.type) {
+            case 'text':
+                if (this.fts) {
+                    return { condition: 'notes.id IN (SELECT rowid FROM notes_fts WHERE notes_fts MATCH ?)', params: [this.toFtsTerm(node)] };
+                }
+                const pattern = `%${escapeLike(node.text)}%`;
+                return {
+                    condition: `(notes.title LIKE ? ESCAPE '\\' OR notes.content LIKE ? ESCAPE '\\' OR EXISTS (
+                        SELECT 1 FROM note_tags JOIN tags ON tags.id = note_tags.tag_id
+                        WHERE note_tags.note_id = notes.id AND tags.name LIKE ? ESCAPE '\\'
+                    ))`,
+                    params: [pattern, pattern, pattern]
+                };
+            case 'not': {
+                const inner = this.buildSearchCondition(node.node, recursive);
+                return { condition: `NOT ${inner.condition}`, params: inner.params };
+            }
+            case 'and':
+            case 'or': {
+                const parts = node.nodes.map(child => this.buildSearchCondition(child, recursive));
+                return {
+                    condition: `(${parts.map(part => part.condition).join(node.type === 'and' ? ' AND ' : ' OR ')})`,
+                    params: parts.flatMap(part => part.params)
+                };
+            }
+            case 'qualifier':
+                switch (node.key) {
+                    case 'tag':
+                        return { condition: this.buildTagCondition([node.value], recursive), params: [node.value] };
+                    // Written so that negating them keeps notes without a color or section
+                    case 'color':
+                        return { condition: "(COALESCE(notes.color_hex, '') = ? COLLATE NOCASE)", params: [node.value] };
+                    case 'conversation':
+                        return { condition: '(notes.conversation_id = ?)', params: [node.value] };
+                    case 'section':
+                        return { condition: 'EXISTS (SELECT 1 FROM sections WHERE sections.id = notes.section_id AND sections.name = ? COLLATE NOCASE)', params: [node.value] };
+                    case 'created':
+                    case 'updated':
+                        return this.buildDateCondition(`notes.${node.key}_at`, node.operator, node.value);
+                }
+        }
+    }
+
+    /**
+     * Compares a timestamp column with a date. A date without a time stands for the whole (UTC) day,
+     * so created:2025-01-01 matches that day and created:>2025-01-01 starts the day after.
+     */
+    private buildDateCondition(column: string, operator: string, value: string): { condition: string; params: unknown[] } {
+        const time = Math.floor(Date.parse(value) / 1000);
+        if (value.length > 10) {
+            return { condition: `(${column} ${operator} ?)`, params: [time] };
+        }
+        switch (operator) {
+            case '>': return { condition: `(${column} >= ?)`, params: [time + DAY_SECONDS] };
+            case '>=': return { condition: `(${column} >= ?)`, params: [time] };
+            case '<': return { condition: `(${column} < ?)`, params: [time] };
+            case '<=': return { condition: `(${column} < ?)`, params: [time + DAY_SECONDS] };
+            default: return { condition: `(${column} >= ? AND ${column} < ?)`, params: [time, time + DAY_SECONDS] };
+        }
+    }
+
+    // A text term as an FTS5 MATCH expression: a quoted word or phrase, with * for a prefix
+    private toFtsTerm(term: TextTerm): string {
+        return buildFtsQuery(term.phrase ? `"${term.text}"` : `${term.text}${term.prefix ? '*' : ''}`);
+    }
+
+    /**
+     * Orders notes by how well they match the text terms: bm25() over notes_fts with FTS,
+     * otherwise by the number of matches, title matches counting double
+     */
+    private buildRelevance(terms: TextTerm[]): Relevance | null {
+        if (terms.length === 0) return null;
+
+        if (this.fts) {
+            // bm25() ranks matches below zero, so notes that only matched through qualifiers come after them
+            return {
+                expression: 'COALESCE((SELECT rank FROM notes_fts WHERE notes_fts MATCH ? AND notes_fts.rowid = notes.id), 0)',
+                params: [terms.map(term => this.toFtsTerm(term)).join(' OR ')],
+                direction: 'ASC'
+            };
+        }
+
+        const occurrences = (column: string) =>
+            `(length(${column}) - length(replace(lower(${column}), lower(?), ''))) / length(?)`;
+        return {
+            expression: `(${terms.map(() => `${occurrences('notes.title')} * 2 + ${occurrences('notes.content')}`).join(' + ')})`,
+            params: terms.flatMap(term => [term.text, term.text, term.text, term.text]),
+            direction: 'DESC'
+        };
+    }
+
+    /**
+     * Matches notes by one property. Values are compared as numbers or dates when the
+     * filter value is one, otherwise as case-insensitive text; != also matches notes without the property.
+     */
+    private buildPropertyCondition({ key, operator, value }: PropertyFilter): { condition: string; params: unknown[] } {
+        const hasProperty = (comparison: string) => `
+            EXISTS (
+                SELECT 1
+                FROM note_properties
+                WHERE note_properties.note_id = notes.id
+                AND note_properties.key = ?${comparison}
+            )
+        `;
+
+        if (operator === 'exists' || value === undefined) {
+            return { condition: hasProperty(''), params: [key] };
+        }
+
+        const { column, operand } = propertyComparison(value);
+        if (operator === '!=') {
+            return { condition: `NOT ${hasProperty(` AND ${column} = ?`)}`, params: [key, operand] };
+        }
+        return { condition: hasProperty(` AND ${column} ${operator} ?`), params: [key, operand] };
+    }
+
+    /**
+     * Turns a "field DIRECTION" sort string into a safe ORDER BY clause, with pinned notes first.
+     * "property:KEY" sorts by a property, numbers and dates before text, and notes without it last.
+     * "relevance", the default when searching for text, puts the best matches first; without text it falls back to the newest.
+     */
+    public buildOrderBy(sort?: string, relevance: Relevance | null = null): { orderBy: string; params: unknown[] } {
+        let sortField = 'updated_at';
+        let sortDirection = 'DESC';
+        let propertyKey: string | null = null;
+        let byRelevance = !sort;
+
+        if (sort) {
+            const [field, direction] = sort.trim().split(/\s+/);
+            if (field && field.toLowerCase() === RELEVANCE_SORT) {
+                byRelevance = true;
+            } else if (field && VALID_SORT_FIELDS.includes(field.toLowerCase())) {
+                sortField = field.toLowerCase();
+            } else if (field && field.toLowerCase().startsWith(PROPERTY_SORT_PREFIX)
+                && PROPERTY_KEY_PATTERN.test(field.slice(PROPERTY_SORT_PREFIX.length))) {
+                propertyKey = field.slice(PROPERTY_SORT_PREFIX.length);
+            }
+            if (direction && VALID_SORT_DIRECTIONS.includes(direction.toUpperCase())) {
+                sortDirection = direction.toUpperCase();
+            }
+        }
+
+        if (byRelevance && relevance) {
+            return {
+                orderBy: ` ORDER BY notes.pinned DESC, ${relevance.expression} ${relevance.direction}, notes.updated_at DESC`,
+                params: relevance.params
+            };
+        }
+
+        if (propertyKey) {
+            // The key pattern allows no quotes, so the key can be inlined
+            const property = `(
+                SELECT COALESCE(note_properties.number_value, note_properties.date_value, note_properties.value)
+                FROM note_properties
+                WHERE note_properties.note_id = notes.id AND note_properties.key = '${propertyKey}'
+            )`;
+            return {
+                orderBy: ` ORDER BY notes.pinned DESC, ${property} IS NULL, ${property} COLLATE NOCASE ${sortDirection}, notes.updated_at DESC`,
+                params: []
+            };
+        }
+
+        return { orderBy: ` ORDER BY notes.pinned DESC, notes.${sortField} ${sortDirection}`, params: [] };
+    }
+
+    /**
+     * Returns one page of notes matching the filters, each with its tags.
+     * When searching for text, each note also has a match with an excerpt and the positions of the matches.
+     * @throws SearchQueryError when the search text is malformed
+     */
+    public queryNotes(filters: NoteFilters): NotesPage {
+        const { notes, total } = this.findNotes(filters, filters.limit, (filters.page - 1) * filters.limit);
+        return {
+            notes,
+            pagination: {
+                total,
+                page: filters.page,
+                limit: filters.limit,
+                totalPages: Math.ceil(total / filters.limit)
+            }
+        };
+    }
+
+    /**
+     * Returns the notes matching the filters from an offset, with the total number of matches.
+     * The page and limit of the filters are ignored.
+     * @throws SearchQueryError when the search text is malformed
+     */
+    public findNotes(filters: NoteFilters, limit: number, offset: number): { notes: Note[]; total: number } {
+        const transaction = this.db.transaction(() => {
+            const { where, params } = this.buildConditions(filters);
+            const terms = positiveTextTerms(filters.search ? parseSearchQuery(filters.search) : null);
+            const { orderBy, params: orderParams } = this.buildOrderBy(filters.sort, this.buildRelevance(terms));
+
+            const notes = this.db.prepare(
+                `SELECT notes.* FROM notes${where}${orderBy} LIMIT ? OFFSET ?`
+            ).all(...params, ...orderParams, limit, offset) as Note[];
+
+            this.attachTags(notes);
+            this.attachProperties(notes);
+            this.attachMatches(notes, terms);
+
+            return { notes, total: this.countNotes(filters) };
+        });
+
+        return transaction();
+    }
+
+    /**
+     * Counts the notes matching the filters
+     * @throws SearchQueryError when the search text is malformed
+     */
+    public countNotes(filters: NoteFilters): number {
+        const { where, params } = this.buildConditions(filters);
+        const result = this.db.prepare(`SELECT COUNT(*) as total FROM notes${where}`).get(...params) as { total: number };
+        return result?.total || 0;
+    }
+
+    /**
+     * Adds the match of each note that contains one of the text terms. With FTS the excerpt and
+     * positions come from snippet() and highlight(); otherwise from the occurrences of each term.
+     */
+    private attachMatches(notes: Note[], terms: TextTerm[]): void {
+        if (notes.length === 0 || terms.length === 0) return;
+
+        if (this.fts) {
+            const rows = this.db.prepare(`
+                SELECT rowid AS id,
+                    bm25(notes_fts) AS score,
+                    snippet(notes_fts, 1, char(2), char(3), '...', 24) AS snippet,
+                    highlight(notes_fts, 0, char(2), char(3)) AS title,
+                    highlight(notes_fts, 1, char(2), char(3)) AS content
+                FROM notes_fts
+                WHERE notes_fts MATCH ? AND rowid IN (${notes.map(() => '?').join(',')})
+            `).all(terms.map(term => this.toFtsTerm(term)).join(' OR '), ...notes.map(note => note.id)) as
+                { id: number; score: number; snippet: string; title: string; content: string }[];
+            const rowsByNote = new Map(rows.map(row => [row.id, row]));
+
+            for (const note of notes) {
+                const row = rowsByNote.get(note.id);
+                if (!row) continue;
+                const excerpt = parseMarkedExcerpt(row.snippet || '');
+                note.match = {
+                    // bm25() scores are negative with the best match lowest; flip so higher is better
+                    score: -row.score,
+                    snippet: excerpt.text,
+                    snippet_highlights: excerpt.highlights,
+                    highlights: [
+                        ...extractHighlightRanges(row.title || '', 'title'),
+                        ...extractHighlightRanges(row.content || '', 'content')
+                    ]
+                };
+            }
+            return;
+        }
+
+        for (const note of notes) {
+            const titleRanges = mergeRanges(terms.flatMap(term => findMatchRanges(note.title, term.text, 'title')));
+            const contentRanges = mergeRanges(terms.flatMap(term => findMatchRanges(note.content, term.text, 'content')));
+            const tagMatches = (note.tags || []).filter(tag => terms.some(term => tag.toLowerCase().includes(term.text.toLowerCase()))).length;
+            if (titleRanges.length === 0 && contentRanges.length === 0 && tagMatches === 0) continue;
+            const excerpt = buildExcerpt(note.content, contentRanges);
+            note.match = {
+                score: titleRanges.length * 2 + contentRanges.length + tagMatches,
+                snippet: excerpt.text,
+                snippet_highlights: excerpt.highlights,
+                highlights: [...titleRanges, ...contentRanges]
+            };
+        }
+    }
+
+    /**
+     * Loads tags for all given notes in a single query
+     */
+    public attachTags(notes: Note[]): void {
+        if (notes.length === 0) return;
+
+        const noteIds = notes.map(note => note.id);
+        const tagResults = this.db.prepare(`
+            SELECT note_tags.note_id, tags.name
+            FROM note_tags
+            JOIN tags ON note_tags.tag_id = tags.id
+            WHERE note_tags.note_id IN (${noteIds.map(() => '?').join(',')})
+        `).all(...noteIds) as { note_id: number; name: string }[];
+
+        // Group tags by note
+        const tagsByNote = new Map<number, string[]>();
+        for (const { note_id, name } of tagResults) {
+            if (!tagsByNote.has(note_id)) {
+                tagsByNote.set(note_id, []);
+            }
+            tagsByNote.get(note_id)!.push(name);
+        }
+
+        for (const note of notes) {
+            note.tags = tagsByNote.get(note.id) || [];
+        }
+    }
+
+    /**
+     * Loads properties for all given notes in a single query
+     */
+    public attachProperties(notes: Note[]): void {
+        if (notes.length === 0) return;
+
+        const noteIds = notes.map(note => note.id);
+        const rows = this.db.prepare(`
+            SELECT note_id, key, value
+            FROM note_properties
+            WHERE note_id IN (${noteIds.map(() => '?').join(',')})
+            ORDER BY key
+        `).all(...noteIds) as { note_id: number; key: string; value: string }[];
+
+        const propertiesByNote = new Map<number, Record<string, string>>();
+        for (const { note_id, key, value } of rows) {
+            if (!propertiesByNote.has(note_id)) {
+                propertiesByNote.set(note_id, {});
+            }
+            propertiesByNote.get(note_id)![key] = value;
+        }
+
+        for (const note of notes) {
+            note.properties = propertiesByNote.get(note.id) || {};
+        }
+    }
+}
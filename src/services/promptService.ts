@@ -0,0 +1,147 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ExportService } from './exportService.js';
+import { NoteFilters, NoteQueryService } from './noteQueryService.js';
+import { toUnixSeconds } from '../utils/search.js';
+
+interface PromptArgument {
+    name: string;
+    description: string;
+    required: boolean;
+}
+
+interface PromptDefinition {
+    name: string;
+    description: string;
+    arguments: PromptArgument[];
+}
+
+interface PromptMessage {
+    role: 'user' | 'assistant';
+    content: { type: 'text'; text: string };
+}
+
+// Upper bound on notes embedded in one prompt, to keep prompts within model context limits
+const MAX_PROMPT_NOTES = 200;
+
+const PROMPTS: PromptDefinition[] = [
+    {
+        name: 'summarize-conversation',
+        description: 'Summarize all notes from a conversation',
+        arguments: [
+            { name: 'conversationId', description: 'Conversation whose notes should be summarized', required: true }
+        ]
+    },
+    {
+        name: 'daily-standup',
+        description: 'Write a standup update from recent notes, optionally limited to a tag',
+        arguments: [
+            { name: 'tag', description: 'Only include notes with this tag', required: false },
+            { name: 'since', description: 'Include notes created since this date (ISO date or Unix seconds, default: 24 hours ago)', required: false }
+        ]
+    },
+    {
+        name: 'decision-log',
+        description: "Turn a conversation's notes into a decision log",
+        arguments: [
+            { name: 'conversationId', description: 'Conversation to extract decisions from', required: true }
+        ]
+    }
+];
+
+export class PromptService {
+    private noteQueryService: NoteQueryService;
+    private exportService: ExportService;
+
+    constructor(noteQueryService: NoteQueryService, exportService: ExportService) {
+        this.noteQueryService = noteQueryService;
+        this.exportService = exportService;
+    }
+
+    /**
+     * Returns the definitions advertised through prompts/list
+     */
+    public listPrompts(): PromptDefinition[] {
+        return PROMPTS;
+    }
+
+    /**
+     * Assembles a prompt from the notes tables
+     * @throws McpError when the prompt is unknown or a required argument is missing
+     */
+    public getPrompt(name: string, args: Record<string, string> = {}): { description: string; messages: PromptMessage[] } {
+        const definition = PROMPTS.find(prompt => prompt.name === name);
+        if (!definition) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+        }
+
+        for (const argument of definition.arguments) {
+            if (argument.required && !(args[argument.name] || '').trim()) {
+                throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${argument.name}`);
+            }
+        }
+
+        let text: string;
+        switch (name) {
+            case 'summarize-conversation': {
+                const conversationId = args.conversationId.trim();
+                text = [
+                    `Summarize the notes from conversation "${conversationId}".`,
+                    'Cover the main topics, key facts, open questions and next steps. Keep it concise and reference note titles where useful.',
+                    '',
+                    this.renderNotes({ conversation: conversationId, sort: 'created_at ASC' })
+                ].join('\n');
+                break;
+            }
+
+            case 'daily-standup': {
+                const tag = (args.tag || '').trim();
+                const since = args.since ? toUnixSeconds(args.since) : Math.floor(Date.now() / 1000) - 24 * 60 * 60;
+                if (since === null) {
+                    throw new McpError(ErrorCode.InvalidParams, `Invalid since date: ${args.since}`);
+                }
+                text = [
+                    `Write a daily standup update from the notes${tag ? ` tagged "${tag}"` : ''} created since ${new Date(since * 1000).toISOString()}.`,
+                    'Use three sections: Done, In progress, and Blockers. Use short bullet points and mention note titles.',
+                    '',
+                    this.renderNotes({ tags: tag ? [tag] : [], startDate: since, sort: 'created_at ASC' })
+                ].join('\n');
+                break;
+            }
+
+            case 'decision-log': {
+                const conversationId = args.conversationId.trim();
+                text = [
+                    `Turn the notes from conversation "${conversationId}" into a decision log.`,
+                    'For each decision, give the date, the decision, the rationale, alternatives considered and the source note title.',
+                    'Present it as a markdown table in chronological order. List any unresolved questions separately.',
+                    '',
+                    this.renderNotes({ conversation: conversationId, sort: 'created_at ASC' })
+                ].join('\n');
+                break;
+            }
+
+            default:
+                throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+        }
+
+        return {
+            description: definition.description,
+            messages: [{ role: 'user', content: { type: 'text', text } }]
+        };
+    }
+
+    // Renders matching notes as markdown, noting when the list was truncated
+    private renderNotes(filters: Omit<NoteFilters, 'page' | 'limit'>): string {
+        const { notes, pagination } = this.noteQueryService.queryNotes({ ...filters, page: 1, limit: MAX_PROMPT_NOTES });
+
+        if (notes.length === 0) {
+            return 'No matching notes were found.';
+        }
+
+        let markdown = this.exportService.exportNotes(notes, { includeMetadata: true, format: 'md' });
+        if (pagination.total > notes.length) {
+            markdown += `\n\n(Showing the first ${notes.length} of ${pagination.total} notes.)`;
+        }
+        return markdown;
+    }
+}
@@ -0,0 +1,268 @@
+import Database from 'better-sqlite3';
+import { NoteQueryService } from './noteQueryService.js';
+import { cosineSimilarity, termFrequencies, tfIdf, tokenize, topTerms } from '../utils/terms.js';
+
+export interface RelatedReasons {
+    shared_tags: string[];
+    // The note's most distinctive terms that the related note also contains
+    shared_terms: string[];
+    // 'to' when the note links to the related one, 'from' when the related one links back
+    link: 'to' | 'from' | 'both' | null;
+    same_conversation: boolean;
+}
+
+export interface RelatedNote {
+    id: number;
+    title: string;
+    conversation_id: string;
+    color_hex?: string;
+    tags: string[];
+    updated_at: number;
+    // Higher is more related, see RELATED_WEIGHTS
+    score: number;
+    reasons: RelatedReasons;
+}
+
+// What each signal adds to the score. Term similarity is scaled from 0 to 1 first,
+// and each shared tag counts separately.
+export const RELATED_WEIGHTS = {
+    terms: 4,
+    tag: 2,
+    link: 3,
+    conversation: 1
+};
+
+// How many of a note's terms are used to look for notes sharing them, and how many are reported
+const QUERY_TERMS = 12;
+const REASON_TERMS = 5;
+
+// Upper bound on notes scored by term similarity with FTS, best bm25 matches first
+const FTS_CANDIDATES = 100;
+
+interface SourceNote {
+    id: number;
+    title: string;
+    content: string;
+    conversation_id: string;
+}
+
+interface CandidateNote extends SourceNote {
+    color_hex?: string;
+    created_at: number;
+    updated_at: number;
+    tags?: string[];
+}
+
+interface Signals {
+    terms: number;
+    tags: string[];
+    linkTo: boolean;
+    linkFrom: boolean;
+    sameConversation: boolean;
+}
+
+interface TermScores {
+    // Term similarity of each note sharing terms, from 0 to 1
+    scores: Map<number, number>;
+    // The source note's terms by TF-IDF weight
+    weights: Map<string, number>;
+}
+
+/**
+ * Ranks notes by how related they are to a given note: shared tags, shared distinctive terms,
+ * [[links]] in either direction and a shared conversation. Term statistics come from notes_fts
+ * when it exists, otherwise from a TF-IDF pass over all notes.
+ */
+export class RelatedNotesService {
+    private db: Database.Database;
+    private noteQueryService: NoteQueryService;
+    // Whether notes_fts and notes_fts_vocab exist to read term statistics from
+    private fts: boolean;
+
+    constructor(db: Database.Database, noteQueryService: NoteQueryService, options: { fts?: boolean } = {}) {
+        this.db = db;
+        this.noteQueryService = noteQueryService;
+        this.fts = options.fts ?? false;
+    }
+
+    /**
+     * Finds the notes most related to a note. Trashed and archived notes are left out.
+     * @returns Up to limit notes, most related first, or null when the note does not exist
+     */
+    public findRelated(noteId: number, limit: number): RelatedNote[] | null {
+        const note = this.db.prepare(`
+            SELECT id, title, content, conversation_id FROM notes WHERE id = ? AND deleted_at IS NULL
+        `).get(noteId) as SourceNote | undefined;
+        if (!note) return null;
+
+        const signals = new Map<number, Signals>();
+        const signalsOf = (id: number): Signals => {
+            if (!signals.has(id)) {
+                signals.set(id, { terms: 0, tags: [], linkTo: false, linkFrom: false, sameConversation: false });
+            }
+            return signals.get(id)!;
+        };
+
+        const sharedTags = this.db.prepare(`
+            SELECT other.note_id AS id, tags.name
+            FROM note_tags AS own
+            JOIN note_tags AS other ON other.tag_id = own.tag_id AND other.note_id != own.note_id
+            JOIN tags ON tags.id = own.tag_id
+            WHERE own.note_id = ?
+            ORDER BY tags.name
+        `).all(note.id) as { id: number; name: string }[];
+        for (const { id, name } of sharedTags) {
+            signalsOf(id).tags.push(name);
+        }
+
+        const linksTo = this.db.prepare(`
+            SELECT DISTINCT target_id AS id FROM note_links WHERE source_id = ? AND target_id IS NOT NULL AND target_id != source_id
+        `).all(note.id) as { id: number }[];
+        for (const { id } of linksTo) {
+            signalsOf(id).linkTo = true;
+        }
+
+        const linksFrom = this.db.prepare(`
+            SELECT DISTINCT source_id AS id FROM note_links WHERE target_id = ? AND source_id != target_id
+        `).all(note.id) as { id: number }[];
+        for (const { id } of linksFrom) {
+            signalsOf(id).linkFrom = true;
+        }
+
+        const sameConversation = this.db.prepare(`
+            SELECT id FROM notes WHERE conversation_id = ? AND id != ? AND deleted_at IS NULL AND archived = 0
+        `).all(note.conversation_id, note.id) as { id: number }[];
+        for (const { id } of sameConversation) {
+            signalsOf(id).sameConversation = true;
+        }
+
+        const { scores, weights } = this.fts ? this.ftsTermScores(note) : this.tfIdfTermScores(note);
+        for (const [id, score] of scores) {
+            signalsOf(id).terms = score;
+        }
+
+        if (signals.size === 0) return [];
+
+        const candidates = this.db.prepare(`
+            SELECT * FROM notes
+            WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL AND archived = 0
+        `).all(JSON.stringify([...signals.keys()])) as CandidateNote[];
+
+        const ranked = candidates
+            .map(candidate => ({ candidate, score: this.score(signals.get(candidate.id)!) }))
+            .sort((a, b) => b.score - a.score || b.candidate.updated_at - a.candidate.updated_at)
+            .slice(0, limit);
+
+        const notes = ranked.map(({ candidate }) => candidate);
+        this.noteQueryService.attachTags(notes);
+
+        const sourceTerms = topTerms(weights, QUERY_TERMS);
+        return ranked.map(({ candidate, score }) => {
+            const { tags, linkTo, linkFrom, sameConversation: same_conversation } = signals.get(candidate.id)!;
+            const words = new Set(tokenize(`${candidate.title} ${candidate.content}`));
+            return {
+                id: candidate.id,
+                title: candidate.title,
+                conversation_id: candidate.conversation_id,
+                color_hex: candidate.color_hex,
+                tags: candidate.tags || [],
+                updated_at: candidate.updated_at,
+                score: Math.round(score * 1000) / 1000,
+                reasons: {
+                    shared_tags: tags,
+                    shared_terms: sourceTerms.filter(term => words.has(term)).slice(0, REASON_TERMS),
+                    link: linkTo && linkFrom ? 'both' : linkTo ? 'to' : linkFrom ? 'from' : null,
+                    same_conversation
+                }
+            };
+        });
+    }
+
+    private score(signals: Signals): number {
+        return signals.terms * RELATED_WEIGHTS.terms
+            + signals.tags.length * RELATED_WEIGHTS.tag
+            + (signals.linkTo || signals.linkFrom ? RELATED_WEIGHTS.link : 0)
+            + (signals.sameConversation ? RELATED_WEIGHTS.conversation : 0);
+    }
+
+    /**
+     * Scores notes by the cosine similarity of their TF-IDF term vectors with the note's. notes_fts
+     * finds the notes sharing the note's most distinctive terms, and notes_fts_vocab supplies how
+     * many notes contain each term, counted the same way as tfIdfTermScores does.
+     */
+    private ftsTermScores(note: SourceNote): TermScores {
+        const frequencies = termFrequencies(note.title, note.content);
+        if (frequencies.size === 0) return { scores: new Map(), weights: new Map() };
+
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM notes WHERE deleted_at IS NULL').get() as { count: number };
+        const noteFrequencies = this.documentFrequencies([...frequencies.keys()]);
+        const weights = tfIdf(frequencies, term => noteFrequencies.get(term) || 1, count);
+
+        // A term no other note contains cannot relate the note to anything
+        const shared = new Map([...weights].filter(([term]) => (noteFrequencies.get(term) || 0) > 1));
+        const terms = topTerms(shared, QUERY_TERMS);
+        if (terms.length === 0) return { scores: new Map(), weights };
+
+        // Terms are letters and digits only, so quoting them is enough to keep FTS syntax out.
+        // Tag names are also indexed but count as shared tags, so only title and content are searched.
+        const rows = this.db.prepare(`
+            SELECT notes.id, notes.title, notes.content
+            FROM notes_fts
+            JOIN notes ON notes.id = notes_fts.rowid
+            WHERE notes_fts MATCH ? AND notes.id != ? AND notes.deleted_at IS NULL
+            ORDER BY rank
+            LIMIT ${FTS_CANDIDATES}
+        `).all(`{title content} : (${terms.map(term => `"${term}"`).join(' OR ')})`, note.id) as { id: number; title: string; content: string }[];
+
+        const candidates = rows.map(row => ({ id: row.id, frequencies: termFrequencies(row.title, row.content) }));
+        const candidateFrequencies = this.documentFrequencies([...new Set(candidates.flatMap(candidate => [...candidate.frequencies.keys()]))]);
+        const scores = new Map<number, number>();
+        for (const candidate of candidates) {
+            const vector = tfIdf(candidate.frequencies, term => candidateFrequencies.get(term) || 1, count);
+            scores.set(candidate.id, cosineSimilarity(weights, vector));
+        }
+        return { scores, weights };
+    }
+
+    // Number of notes outside the trash whose title or content contains each term. notes_fts also
+    // indexes trashed notes and tag names, which tfIdfTermScores does not count.
+    private documentFrequencies(terms: string[]): Map<string, number> {
+        const rows = this.db.prepare(`
+            SELECT vocab.term, COUNT(DISTINCT vocab.doc) AS doc
+            FROM notes_fts_vocab AS vocab
+            JOIN notes ON notes.id = vocab.doc AND notes.deleted_at IS NULL
+            WHERE vocab.term IN (SELECT value FROM json_each(?)) AND vocab.col IN ('title', 'content')
+            GROUP BY vocab.term
+        `).all(JSON.stringify(terms)) as { term: string; doc: number }[];
+        return new Map(rows.map(row => [row.term, row.doc]));
+    }
+
+    /**
+     * Scores notes by the cosine similarity of their TF-IDF term vectors with the note's
+     */
+    private tfIdfTermScores(note: SourceNote): TermScores {
+        const rows = this.db.prepare(`
+            SELECT id, title, content FROM notes WHERE deleted_at IS NULL
+        `).all() as { id: number; title: string; content: string }[];
+
+        const frequencies = new Map(rows.map(row => [row.id, termFrequencies(row.title, row.content)]));
+        const documentFrequencies = new Map<string, number>();
+        for (const terms of frequencies.values()) {
+            for (const term of terms.keys()) {
+                documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+            }
+        }
+
+        const vectorOf = (id: number) => tfIdf(frequencies.get(id)!, term => documentFrequencies.get(term) || 1, rows.length);
+        const weights = vectorOf(note.id);
+        const scores = new Map<number, number>();
+        for (const row of rows) {
+            if (row.id === note.id) continue;
+            const similarity = cosineSimilarity(weights, vectorOf(row.id));
+            if (similarity > 0) {
+                scores.set(row.id, similarity);
+            }
+        }
+        return { scores, weights };
+    }
+}
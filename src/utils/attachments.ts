@@ -0,0 +1,48 @@
+// Markdown refers to attachments by id: ![diagram](attachment:5) or [log](attachment:6)
+const ATTACHMENT_URL_PATTERN = /^attachment:(\d+)$/;
+
+// Types a browser may display in place; anything else is served as a download
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain'];
+
+export interface AttachmentInfo {
+    id: number;
+    filename: string;
+    mime_type: string;
+}
+
+/**
+ * Reads the attachment id out of an attachment:ID URL
+ * @returns The id, or null for any other URL
+ */
+export const parseAttachmentUrl = (url: string): number | null => {
+    const match = ATTACHMENT_URL_PATTERN.exec(url.trim());
+    return match ? Number(match[1]) : null;
+};
+
+// Path of the REST endpoint that serves an attachment's content
+export const attachmentDownloadPath = (id: number): string => `/api/attachments/${id}`;
+
+/**
+ * Markdown that embeds an attachment in a note: an image for images, a link otherwise
+ */
+export const attachmentMarkdown = ({ id, filename, mime_type }: AttachmentInfo): string => {
+    const label = filename.replace(/[[\]\\]/g, '\\$&');
+    return `${mime_type.startsWith('image/') ? '!' : ''}[${label}](attachment:${id})`;
+};
+
+// Whether a download of this type may be shown in the browser instead of saved
+export const isInlineMimeType = (mimeType: string): boolean => INLINE_MIME_TYPES.includes(mimeType);
+
+/**
+ * Formats a byte count for people, e.g. 1536 -> "1.5 KB"
+ */
+export const formatBytes = (bytes: number): string => {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[0]}` : `${Number(value.toFixed(1))} ${units[unit]}`;
+};
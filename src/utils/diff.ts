@@ -0,0 +1,178 @@
+export interface DiffLine {
+    type: 'context' | 'added' | 'removed';
+    text: string;
+}
+
+// Lines of unchanged context shown around each change in a unified diff
+const CONTEXT_LINES = 3;
+
+// Texts with more lines than this between them are not diffed
+export const MAX_DIFF_LINES = 10000;
+
+interface Snake {
+    // Where the snake starts and ends, relative to the start of the range being diffed
+    x: number;
+    y: number;
+    u: number;
+    v: number;
+}
+
+/**
+ * Finds the middle snake of a[aStart, aEnd) and b[bStart, bEnd): the diagonal run that the shortest
+ * edit script passes through halfway, found by searching forward from the start and backward from
+ * the end at once. Only the current frontier of each search is kept, so memory is linear.
+ */
+const middleSnake = (a: string[], aStart: number, aEnd: number, b: string[], bStart: number, bEnd: number): Snake => {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) === 1;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    // forward[k] holds the furthest x reached on diagonal k = x - y from the start; backward[k]
+    // the same counted from the end, on diagonal delta - k
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            // With an odd delta the searches can only meet after a forward step
+            if (odd && delta - k >= -(d - 1) && delta - k <= d - 1 && x + backward[offset + delta - k] >= n) {
+                return { x: startX, y: startY, u: x, v: y };
+            }
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+                return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+            }
+        }
+    }
+
+    throw new Error('Middle snake not found');
+};
+
+// Appends the diff of a[aStart, aEnd) and b[bStart, bEnd) to lines, splitting at the middle snake
+const diffRange = (a: string[], aStart: number, aEnd: number, b: string[], bStart: number, bEnd: number, lines: DiffLine[]): void => {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        lines.push({ type: 'context', text: a[aStart] });
+        aStart++;
+        bStart++;
+    }
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+        suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    if (aStart === aEnd) {
+        for (let y = bStart; y < bEnd; y++) lines.push({ type: 'added', text: b[y] });
+    } else if (bStart === bEnd) {
+        for (let x = aStart; x < aEnd; x++) lines.push({ type: 'removed', text: a[x] });
+    } else {
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, lines);
+        for (let x = aStart + snake.x; x < aStart + snake.u; x++) lines.push({ type: 'context', text: a[x] });
+        diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, lines);
+    }
+
+    for (let x = aEnd; x < aEnd + suffix; x++) lines.push({ type: 'context', text: a[x] });
+};
+
+/**
+ * Computes a line diff with Myers' algorithm, so the edit script is as short as possible. The
+ * linear-space variant is used, recursing on the middle snake instead of keeping every frontier.
+ * @param from The old text
+ * @param to The new text
+ * @returns Every line of both texts, marked as context, added or removed, or null when the texts
+ * have more than MAX_DIFF_LINES lines between them
+ */
+export const diffLines = (from: string, to: string): DiffLine[] | null => {
+    const a = from === '' ? [] : from.split('\n');
+    const b = to === '' ? [] : to.split('\n');
+    if (a.length + b.length > MAX_DIFF_LINES) return null;
+
+    const lines: DiffLine[] = [];
+    diffRange(a, 0, a.length, b, 0, b.length, lines);
+    return lines;
+};
+
+// Hunk header range as diff -u writes it: the count is omitted when it is 1,
+// and an empty range points at the line before it
+const formatRange = (start: number, count: number): string => {
+    if (count === 1) return `${start}`;
+    return `${count === 0 ? start - 1 : start},${count}`;
+};
+
+/**
+ * Formats a line diff as a unified diff with a few lines of context around each hunk
+ * @param lines Output of diffLines
+ * @param fromLabel Name of the old version, used in the --- header
+ * @param toLabel Name of the new version, used in the +++ header
+ * @returns The unified diff, or an empty string if nothing changed
+ */
+export const formatUnifiedDiff = (lines: DiffLine[], fromLabel: string, toLabel: string): string => {
+    const changed = lines.map((line, index) => line.type !== 'context' ? index : -1).filter(index => index >= 0);
+    if (changed.length === 0) {
+        return '';
+    }
+
+    // Group changes whose context windows touch into one hunk
+    const hunks: { start: number; end: number }[] = [];
+    for (const index of changed) {
+        const start = Math.max(0, index - CONTEXT_LINES);
+        const end = Math.min(lines.length, index + CONTEXT_LINES + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            hunks.push({ start, end });
+        }
+    }
+
+    const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    let fromLine = 1;
+    let toLine = 1;
+    let position = 0;
+
+    for (const hunk of hunks) {
+        // Advance the line counters past everything before this hunk
+        for (; position < hunk.start; position++) {
+            if (lines[position].type !== 'added') fromLine++;
+            if (lines[position].type !== 'removed') toLine++;
+        }
+
+        const body = lines.slice(hunk.start, hunk.end);
+        const fromCount = body.filter(line => line.type !== 'added').length;
+        const toCount = body.filter(line => line.type !== 'removed').length;
+        output.push(`@@ -${formatRange(fromLine, fromCount)} +${formatRange(toLine, toCount)} @@`);
+        for (const line of body) {
+            output.push(`${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}${line.text}`);
+        }
+    }
+
+    return output.join('\n');
+};
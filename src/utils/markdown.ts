@@ -5,11 +5,30 @@ import MarkdownIt from 'markdown-it';
 import markdownItAnchor from 'markdown-it-anchor';
 import markdownItToc from 'markdown-it-table-of-contents';
 import { JSDOM } from 'jsdom';
+import { wikiLinkExtension } from './wikiLinks.js';
+import { attachmentDownloadPath, parseAttachmentUrl } from './attachments.js';
+import { LexedTask, lexTasks } from './tasks.js';
 
 // Initialize DOMPurify with a DOM environment for server-side rendering
 const window = new JSDOM('').window;
 const purify = DOMPurify(window);
 
+// Task list checkboxes are the only inputs markdown may produce
+purify.addHook('uponSanitizeElement', (node, data) => {
+    if (data.tagName === 'input' && (node as Element).getAttribute('type') !== 'checkbox') {
+        node.parentNode?.removeChild(node);
+    }
+});
+
+// data: links only survive sanitizing when allowDataLinks is set. They are saved rather than opened,
+// under the link's title, which exports set to the attachment's filename.
+purify.addHook('afterSanitizeAttributes', node => {
+    const element = node as Element;
+    if (element.tagName === 'A' && /^data:/i.test(element.getAttribute('href') || '')) {
+        element.setAttribute('download', element.getAttribute('title') || '');
+    }
+});
+
 // Configure marked options with proper types
 const renderer = new Renderer();
 
@@ -31,6 +50,25 @@ renderer.code = function (code: string, language: string | undefined, isEscaped:
     return `<pre><code>${isEscaped ? code : escape(code)}</code></pre>`;
 };
 
+/**
+ * Gives a task list item a checkbox carrying its line, so the web UI can toggle it. marked's
+ * checkbox renderer is not told which item it renders, so the checkbox is put where marked's
+ * parser would put it and the item is no longer rendered as a task.
+ */
+const placeTaskCheckbox = ({ item, line }: LexedTask): void => {
+    const checkbox = `<input type="checkbox" class="task-checkbox" data-task-line="${line}"${item.checked ? ' checked=""' : ''}> `;
+    const html = { type: 'html', raw: '', pre: false, text: checkbox } as marked.Tokens.HTML;
+    const first = item.tokens[0];
+    item.task = false;
+
+    // Inside the first line's text, so a loose item's checkbox stays in its paragraph
+    if (first && (first.type === 'paragraph' || first.type === 'text') && 'tokens' in first && first.tokens) {
+        first.tokens.unshift(html);
+    } else {
+        item.tokens.unshift(html);
+    }
+};
+
 marked.setOptions({
     renderer,
     gfm: true,
@@ -38,8 +76,39 @@ marked.setOptions({
     headerIds: true,
 });
 
+/**
+ * Looks up the note a [[...]] link points to
+ * @returns The note, or null when the link is broken
+ */
+export type WikiLinkResolver = (target: string) => { id: number; title: string } | null;
+
+// Set for the duration of a renderMarkdown call, since marked is configured globally
+let wikiLinkResolver: WikiLinkResolver | null = null;
+
+marked.use({
+    extensions: [wikiLinkExtension(({ target, label }) => {
+        if (!wikiLinkResolver) {
+            return `<span class="wiki-link">${escape(label)}</span>`;
+        }
+        const note = wikiLinkResolver(target);
+        if (!note) {
+            return `<span class="wiki-link wiki-link-broken" title="No note matches ${escape(target)}">${escape(label)}</span>`;
+        }
+        return `<a href="/?note=${note.id}" class="wiki-link" title="${escape(note.title)}">${escape(label)}</a>`;
+    })],
+    // attachment:ID links and images point at the attachment download endpoint
+    walkTokens(token) {
+        if (token.type === 'link' || token.type === 'image') {
+            const id = parseAttachmentUrl(token.href);
+            if (id !== null) {
+                token.href = attachmentDownloadPath(id);
+            }
+        }
+    }
+});
+
 // Configure markdown-it instance
-const md = new MarkdownIt({
+const createMarkdownIt = () => new MarkdownIt({
     html: true,
     linkify: true,
     typographer: true,
@@ -57,6 +126,24 @@ const md = new MarkdownIt({
     .use(markdownItAnchor)
     .use(markdownItToc);
 
+const md = createMarkdownIt();
+
+// markdown-it only links data: images by default; this one also renders data: links, as downloads
+const dataLinkMd = createMarkdownIt();
+dataLinkMd.validateLink = (url: string) => md.validateLink(url) || /^data:/i.test(url.trim());
+dataLinkMd.renderer.rules.link_open = (tokens, index, options, _env, self) => {
+    const token = tokens[index];
+    if (/^data:/i.test(token.attrGet('href') || '')) {
+        token.attrSet('download', token.attrGet('title') || '');
+    }
+    return self.renderToken(tokens, index, options);
+};
+
+export interface RenderOptions {
+    // Keep data: links, e.g. attachments embedded in an export. Off for anything shown in the web UI.
+    allowDataLinks?: boolean;
+}
+
 // Helper function to escape HTML
 function escape(html: string): string {
     return html
@@ -67,12 +154,21 @@ function escape(html: string): string {
         .replace(/'/g, '&#39;');
 }
 
-// Function to render markdown content safely
-export const renderMarkdown = (content: string): string => {
+// Function to render markdown content safely. With a resolver, [[...]] links become links to their notes.
+export const renderMarkdown = (content: string, resolveWikiLink?: WikiLinkResolver, options: RenderOptions = {}): string => {
     // First pass: Convert markdown to HTML using marked
-    const rawHtml = marked.parse(content);
-    if (typeof rawHtml !== 'string') {
-        throw new Error('Unexpected non-string output from marked.parse');
+    // The tokens tasks are found in are the ones rendered, so checkbox lines always match
+    wikiLinkResolver = resolveWikiLink ?? null;
+    let rawHtml: string;
+    try {
+        const { tokens, tasks } = lexTasks(content);
+        if (marked.defaults.walkTokens) {
+            marked.walkTokens(tokens, marked.defaults.walkTokens);
+        }
+        tasks.forEach(placeTaskCheckbox);
+        rawHtml = marked.parser(tokens);
+    } finally {
+        wikiLinkResolver = null;
     }
 
     // Second pass: Sanitize the HTML
@@ -86,18 +182,20 @@ export const renderMarkdown = (content: string): string => {
             'a', 'img',
             'blockquote',
             'table', 'thead', 'tbody', 'tr', 'th', 'td',
-            'div', 'span'
+            'div', 'span',
+            'input'
         ],
-        ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'id'],
+        ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'id', 'type', 'checked', 'disabled', 'data-task-line'],
         ALLOW_DATA_ATTR: false,
+        ADD_DATA_URI_TAGS: options.allowDataLinks ? ['a'] : [],
     });
 
     return sanitizedHtml;
 };
 
 // Function to render markdown content with Table of Contents
-export const renderMarkdownWithToc = (content: string): string => {
-    return md.render(content);
+export const renderMarkdownWithToc = (content: string, options: RenderOptions = {}): string => {
+    return (options.allowDataLinks ? dataLinkMd : md).render(content);
 };
 
 // Function to get plain text from markdown
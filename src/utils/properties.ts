@@ -0,0 +1,63 @@
+// Property keys: a letter or _, then letters, digits, _, - or . (at most 64 characters)
+export const PROPERTY_KEY_PATTERN = /^[A-Za-z_][\w.-]{0,63}$/;
+
+// key, key=value, key!=value, key<value, key<=value, key>value or key>=value
+const PROPERTY_FILTER_PATTERN = /^([A-Za-z_][\w.-]{0,63})\s*(?:(!=|<=|>=|=|<|>)\s*(.+))?$/;
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?$/i;
+
+// ISO dates, optionally with a time and zone: 2024-12-01, 2024-12-01T09:30, 2024-12-01 09:30:00Z
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export type PropertyOperator = 'exists' | '=' | '!=' | '<' | '<=' | '>' | '>=';
+
+export interface PropertyFilter {
+    key: string;
+    operator: PropertyOperator;
+    // Absent for 'exists'
+    value?: string;
+}
+
+/**
+ * Drops properties by key. Keys are case-insensitive, so any spelling matches.
+ */
+export const omitProperties = (properties: Record<string, string>, keys: string[]): Record<string, string> => {
+    const omitted = keys.map(key => key.toLowerCase());
+    return Object.fromEntries(Object.entries(properties).filter(([key]) => !omitted.includes(key.toLowerCase())));
+};
+
+/**
+ * Parses a property filter such as "priority=high", "estimate>=3", "due<2024-12-01" or "owner"
+ * @returns The filter, or null when the expression is malformed
+ */
+export const parsePropertyFilter = (expression: string): PropertyFilter | null => {
+    const match = PROPERTY_FILTER_PATTERN.exec(expression.trim());
+    if (!match) return null;
+    const [, key, operator, value] = match;
+    return operator ? { key, operator: operator as PropertyOperator, value: value.trim() } : { key, operator: 'exists' };
+};
+
+/**
+ * Reads a property value as a number and as a date, so filters and sorting can compare it by type.
+ * Dates are Unix seconds; a value that is neither is compared as text.
+ */
+export const typedPropertyValue = (value: string): { number_value: number | null; date_value: number | null } => {
+    const text = value.trim();
+    const number = NUMBER_PATTERN.test(text) ? Number(text) : NaN;
+    const date = DATE_PATTERN.test(text) ? Date.parse(text) : NaN;
+    return {
+        number_value: Number.isFinite(number) ? number : null,
+        date_value: Number.isNaN(date) ? null : Math.floor(date / 1000)
+    };
+};
+
+/**
+ * Picks how a filter value is compared: numerically, as a date, or as case-insensitive text
+ * @returns The note_properties column to compare and the value to compare it with
+ */
+export const propertyComparison = (value: string): { column: string; operand: string | number } => {
+    const { number_value, date_value } = typedPropertyValue(value);
+    if (number_value !== null) return { column: 'note_properties.number_value', operand: number_value };
+    if (date_value !== null) return { column: 'note_properties.date_value', operand: date_value };
+    return { column: 'note_properties.value COLLATE NOCASE', operand: value };
+};
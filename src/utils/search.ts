@@ -0,0 +1,172 @@
+// Control characters used to mark matches in FTS highlight() output.
+// They never appear in note text, so stripping them is lossless.
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+export interface MatchRange {
+    field: 'title' | 'content';
+    start: number;
+    end: number;
+}
+
+/**
+ * Converts free text into a safe FTS5 MATCH expression.
+ * Bare words are quoted so punctuation can't break the query, "quoted phrases"
+ * are kept as phrases and a trailing * turns a word into a prefix query.
+ * @param input The user supplied search text
+ * @returns The MATCH expression, or an empty string if there is nothing to search for
+ */
+export const buildFtsQuery = (input: string): string => {
+    const terms: string[] = [];
+    const tokenPattern = /"([^"]*)"|(\S+)/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = tokenPattern.exec(input)) !== null) {
+        const phrase = match[1] !== undefined ? match[1].trim() : undefined;
+        if (phrase !== undefined) {
+            if (phrase) terms.push(`"${phrase.replace(/"/g, '""')}"`);
+            continue;
+        }
+
+        const word = match[2];
+        const isPrefix = word.length > 1 && word.endsWith('*');
+        const bare = (isPrefix ? word.slice(0, -1) : word).replace(/"/g, '');
+        if (bare) {
+            terms.push(`"${bare}"${isPrefix ? '*' : ''}`);
+        }
+    }
+
+    return terms.join(' ');
+};
+
+/**
+ * Strips highlight markers from FTS highlight() output and records where they were
+ * @param marked Text containing HIGHLIGHT_START/HIGHLIGHT_END markers
+ * @param field The note field the text came from
+ * @returns Character ranges of each match in the unmarked text
+ */
+export const extractHighlightRanges = (marked: string, field: MatchRange['field']): MatchRange[] => {
+    const ranges: MatchRange[] = [];
+    let offset = 0;
+    let start = -1;
+
+    for (const char of marked) {
+        if (char === HIGHLIGHT_START) {
+            start = offset;
+        } else if (char === HIGHLIGHT_END) {
+            if (start >= 0) ranges.push({ field, start, end: offset });
+            start = -1;
+        } else {
+            offset += char.length;
+        }
+    }
+
+    return ranges;
+};
+
+/**
+ * Finds every case-insensitive occurrence of a needle in a text
+ * @param text The text to scan
+ * @param needle The substring to look for
+ * @param field The note field the text came from
+ * @returns Character ranges of each occurrence
+ */
+export const findMatchRanges = (text: string, needle: string, field: MatchRange['field']): MatchRange[] => {
+    const ranges: MatchRange[] = [];
+    if (!needle) return ranges;
+
+    const haystack = text.toLowerCase();
+    const target = needle.toLowerCase();
+    let index = haystack.indexOf(target);
+
+    while (index !== -1) {
+        ranges.push({ field, start: index, end: index + target.length });
+        index = haystack.indexOf(target, index + target.length);
+    }
+
+    return ranges;
+};
+
+export interface Excerpt {
+    text: string;
+    // Character ranges of the matches within text
+    highlights: { start: number; end: number }[];
+}
+
+/**
+ * Builds a short excerpt around the first match, recording where the matches fall in it
+ * @param text The full text
+ * @param ranges Match ranges within the text, in ascending order
+ * @param radius Number of characters to keep on each side of the first match
+ * @returns The excerpt, with ellipses where text was cut
+ */
+export const buildExcerpt = (text: string, ranges: MatchRange[], radius: number = 80): Excerpt => {
+    if (ranges.length === 0) {
+        return { text: text.length > radius * 2 ? `${text.slice(0, radius * 2)}...` : text, highlights: [] };
+    }
+
+    const from = Math.max(0, ranges[0].start - radius);
+    const to = Math.min(text.length, ranges[0].end + radius);
+    const highlights: Excerpt['highlights'] = [];
+
+    let excerpt = from > 0 ? '...' : '';
+    let cursor = from;
+    for (const range of ranges) {
+        if (range.start < cursor || range.end > to) continue;
+        excerpt += text.slice(cursor, range.start);
+        highlights.push({ start: excerpt.length, end: excerpt.length + range.end - range.start });
+        excerpt += text.slice(range.start, range.end);
+        cursor = range.end;
+    }
+    excerpt += text.slice(cursor, to);
+
+    return { text: `${excerpt}${to < text.length ? '...' : ''}`, highlights };
+};
+
+/**
+ * Builds a short excerpt around the first match with matches wrapped in **bold**
+ * @param text The full text
+ * @param ranges Match ranges within the text, in ascending order
+ * @param radius Number of characters to keep on each side of the first match
+ * @returns The excerpt, with ellipses where text was cut
+ */
+export const buildSnippet = (text: string, ranges: MatchRange[], radius: number = 80): string => {
+    return boldExcerpt(buildExcerpt(text, ranges, radius));
+};
+
+/**
+ * Renders an excerpt as text with its matches wrapped in **bold**
+ */
+export const boldExcerpt = (excerpt: Excerpt): string => {
+    let snippet = '';
+    let cursor = 0;
+    for (const { start, end } of excerpt.highlights) {
+        snippet += `${excerpt.text.slice(cursor, start)}**${excerpt.text.slice(start, end)}**`;
+        cursor = end;
+    }
+    return snippet + excerpt.text.slice(cursor);
+};
+
+/**
+ * Turns FTS snippet() output marked with HIGHLIGHT_START/HIGHLIGHT_END into plain text and match ranges
+ */
+export const parseMarkedExcerpt = (marked: string): Excerpt => ({
+    text: marked.split(HIGHLIGHT_START).join('').split(HIGHLIGHT_END).join(''),
+    highlights: extractHighlightRanges(marked, 'content').map(({ start, end }) => ({ start, end }))
+});
+
+/**
+ * Normalizes a date filter to Unix seconds, matching the notes timestamp columns
+ * @param value Unix seconds, or any string Date.parse understands
+ * @returns The timestamp in seconds, or null if the value is empty or invalid
+ */
+export const toUnixSeconds = (value: unknown): number | null => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.floor(value) : null;
+    if (typeof value !== 'string') return null;
+
+    if (/^\d+$/.test(value.trim())) return parseInt(value.trim(), 10);
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
@@ -0,0 +1,228 @@
+// Search box syntax shared by the web UI and the MCP tools:
+//   tag:bug -tag:done color:#FFE999 conv:abc123 created:>2025-01-01 section:Backlog "exact phrase" OR other
+// Terms are ANDed, OR binds looser than AND, - negates a term or group and parentheses group terms.
+
+export type QualifierKey = 'tag' | 'color' | 'conversation' | 'section' | 'created' | 'updated';
+
+export type ComparisonOperator = '=' | '<' | '<=' | '>' | '>=';
+
+export type SearchNode =
+    // A word, a "quoted phrase" or a prefix* word matched against title and content
+    | { type: 'text'; text: string; phrase: boolean; prefix: boolean }
+    | { type: 'qualifier'; key: QualifierKey; operator: ComparisonOperator; value: string }
+    | { type: 'not'; node: SearchNode }
+    | { type: 'and'; nodes: SearchNode[] }
+    | { type: 'or'; nodes: SearchNode[] };
+
+const QUALIFIERS: Record<string, QualifierKey> = {
+    tag: 'tag',
+    color: 'color',
+    conv: 'conversation',
+    conversation: 'conversation',
+    section: 'section',
+    created: 'created',
+    updated: 'updated'
+};
+
+const DATE_QUALIFIERS: QualifierKey[] = ['created', 'updated'];
+
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+// 2025-01-01, or a date and time such as 2025-01-01T09:30 or 2025-01-01T09:30:00Z
+const DATE_VALUE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Thrown for malformed search text, with the character position the problem was found at
+ */
+export class SearchQueryError extends Error {
+    public readonly position: number;
+
+    constructor(message: string, position: number) {
+        super(`${message} (at position ${position + 1})`);
+        this.name = 'SearchQueryError';
+        this.position = position;
+    }
+}
+
+type Token =
+    | { type: 'close' | 'or'; position: number }
+    | { type: 'open'; position: number; negated: boolean }
+    | { type: 'term'; position: number; negated: boolean; key: string | null; value: string; quoted: boolean };
+
+// Reads a "quoted" string starting at the opening quote; returns its text and the index after the closing quote
+const readQuoted = (input: string, start: number): { text: string; end: number } => {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+        throw new SearchQueryError('Missing closing quote', start);
+    }
+    return { text: input.slice(start + 1, close), end: close + 1 };
+};
+
+const tokenize = (input: string): Token[] => {
+    const tokens: Token[] = [];
+    let index = 0;
+
+    while (index < input.length) {
+        const char = input[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        if (char === ')') {
+            tokens.push({ type: 'close', position: index });
+            index++;
+            continue;
+        }
+
+        const position = index;
+        const negated = char === '-';
+        if (negated) {
+            index++;
+            if (index >= input.length || /[\s)]/.test(input[index])) {
+                throw new SearchQueryError('- must be followed by a term, e.g. -tag:done', position);
+            }
+        }
+
+        if (input[index] === '(') {
+            tokens.push({ type: 'open', position, negated });
+            index++;
+            continue;
+        }
+
+        if (input[index] === '"') {
+            const { text, end } = readQuoted(input, index);
+            tokens.push({ type: 'term', position, negated, key: null, value: text, quoted: true });
+            index = end;
+            continue;
+        }
+
+        // A bare word runs to the next space or parenthesis; key:"quoted value" may contain spaces
+        let end = index;
+        while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+        const word = input.slice(index, end);
+        const qualifier = /^([A-Za-z]+):(.*)$/.exec(word);
+
+        if (qualifier && input[end] === '"' && qualifier[2] === '') {
+            const { text, end: quotedEnd } = readQuoted(input, end);
+            tokens.push({ type: 'term', position, negated, key: qualifier[1], value: text, quoted: true });
+            index = quotedEnd;
+        } else if (word === 'OR' && !negated) {
+            tokens.push({ type: 'or', position });
+            index = end;
+        } else {
+            tokens.push({ type: 'term', position, negated, key: qualifier ? qualifier[1] : null, value: qualifier ? qualifier[2] : word, quoted: false });
+            index = end;
+        }
+
+        if (index < input.length && input[index] === '"') {
+            throw new SearchQueryError('Quotes must start a term, e.g. "exact phrase" or section:"In progress"', index);
+        }
+    }
+
+    return tokens;
+};
+
+const toQualifier = (token: Extract<Token, { type: 'term' }>, key: QualifierKey): SearchNode => {
+    let value = token.value.trim();
+    let operator: ComparisonOperator = '=';
+
+    if (DATE_QUALIFIERS.includes(key)) {
+        const comparison = /^(<=|>=|<|>|=)?(.*)$/.exec(value)!;
+        operator = (comparison[1] || '=') as ComparisonOperator;
+        value = comparison[2];
+        if (!DATE_VALUE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+            throw new SearchQueryError(`${token.key}: needs a date such as 2025-01-01, optionally after <, <=, > or >=`, token.position);
+        }
+    } else if (!value) {
+        throw new SearchQueryError(`${token.key}: needs a value`, token.position);
+    } else if (key === 'color' && !COLOR_PATTERN.test(value)) {
+        throw new SearchQueryError(`${token.key}: needs a hex color such as #FFE999`, token.position);
+    }
+
+    return { type: 'qualifier', key, operator, value };
+};
+
+const toNode = (token: Extract<Token, { type: 'term' }>): SearchNode => {
+    let node: SearchNode;
+    if (token.key !== null) {
+        const key = QUALIFIERS[token.key.toLowerCase()];
+        if (!key) {
+            throw new SearchQueryError(
+                `Unknown qualifier ${token.key}:; use tag:, color:, conv:, section:, created: or updated:, or quote the text to search for it`,
+                token.position
+            );
+        }
+        node = toQualifier(token, key);
+    } else if (token.quoted) {
+        node = { type: 'text', text: token.value.trim(), phrase: true, prefix: false };
+    } else {
+        const prefix = token.value.length > 1 && token.value.endsWith('*');
+        node = { type: 'text', text: prefix ? token.value.slice(0, -1) : token.value, phrase: false, prefix };
+    }
+    return token.negated ? { type: 'not', node } : node;
+};
+
+/**
+ * Parses search text into a tree of conditions
+ * @returns The root node, or null when the text has no terms (or only empty phrases)
+ * @throws SearchQueryError describing the first syntax error
+ */
+export const parseSearchQuery = (input: string): SearchNode | null => {
+    const tokens = tokenize(input);
+    let index = 0;
+
+    const parseOr = (): SearchNode | null => {
+        const branches: SearchNode[] = [];
+        let branch = parseAnd();
+        while (index < tokens.length && tokens[index].type === 'or') {
+            const or = tokens[index++];
+            const next = parseAnd();
+            if (!branch || !next) {
+                throw new SearchQueryError('OR needs a term on both sides', or.position);
+            }
+            branches.push(branch);
+            branch = next;
+        }
+        if (branches.length === 0) return branch;
+        return { type: 'or', nodes: [...branches, branch!] };
+    };
+
+    const parseAnd = (): SearchNode | null => {
+        const nodes: SearchNode[] = [];
+        while (index < tokens.length && tokens[index].type !== 'or' && tokens[index].type !== 'close') {
+            const token = tokens[index++];
+            if (token.type === 'open') {
+                const group = parseOr();
+                if (index >= tokens.length || tokens[index].type !== 'close') {
+                    throw new SearchQueryError('Missing closing parenthesis', token.position);
+                }
+                index++;
+                if (!group) {
+                    throw new SearchQueryError('Empty parentheses', token.position);
+                }
+                nodes.push(token.negated ? { type: 'not', node: group } : group);
+            } else if (token.type === 'term') {
+                // Empty phrases ("") match everything, so they are dropped
+                if (token.quoted && token.key === null && !token.value.trim()) continue;
+                nodes.push(toNode(token));
+            }
+        }
+        if (nodes.length === 0) return null;
+        return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    };
+
+    const root = parseOr();
+    if (index < tokens.length) {
+        throw new SearchQueryError('Unexpected closing parenthesis', tokens[index].position);
+    }
+    return root;
+};
+
+/**
+ * Text terms that count towards a match, i.e. those not under a negation
+ */
+export const positiveTextTerms = (node: SearchNode | null): Extract<SearchNode, { type: 'text' }>[] => {
+    if (!node || node.type === 'not' || node.type === 'qualifier') return [];
+    if (node.type === 'text') return [node];
+    return node.nodes.flatMap(positiveTextTerms);
+};
@@ -0,0 +1,108 @@
+import { marked } from 'marked';
+
+// The checkbox of a task list item's first line: "- [ ] text", "* [x] text" or "1. [ ] text",
+// optionally inside a blockquote
+const CHECKBOX_PATTERN = /^(\s*(?:>\s*)*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\])/;
+
+export interface TaskItem {
+    // 1-based line number in the note content
+    line: number;
+    text: string;
+    done: boolean;
+}
+
+// A task list item as marked lexes it, with the line it starts on
+export interface LexedTask {
+    item: marked.Tokens.ListItem;
+    line: number;
+}
+
+// marked's block lexer expands leading tabs before tokenizing, so token raws are found in the expanded text
+const expandTabs = (text: string): string =>
+    text.replace(/^( *)(\t+)/gm, (_match, leading: string, tabs: string) => leading + '    '.repeat(tabs.length));
+
+const countNewlines = (text: string, end: number): number => {
+    let count = 0;
+    for (let index = text.indexOf('\n'); index !== -1 && index < end; index = text.indexOf('\n', index + 1)) {
+        count++;
+    }
+    return count;
+};
+
+/**
+ * Finds the task list items among tokens lexed from text, whose first line is firstLine. Nested
+ * tokens are lexed from their item or blockquote text with the markers removed but the line
+ * breaks kept, so each level is searched in its own text.
+ */
+const collectTasks = (tokens: marked.Token[], text: string, firstLine: number, tasks: LexedTask[]): void => {
+    const source = expandTabs(text);
+    let cursor = 0;
+
+    for (const token of tokens) {
+        // A paragraph merged with the block after it has a raw that is not in the source; it holds no tasks
+        const offset = source.indexOf(token.raw, cursor);
+        if (offset === -1) continue;
+        cursor = offset + token.raw.length;
+
+        if (token.type === 'list') {
+            let itemCursor = offset;
+            for (const item of token.items) {
+                const itemOffset = source.indexOf(item.raw, itemCursor);
+                if (itemOffset === -1) continue;
+                itemCursor = itemOffset + item.raw.length;
+
+                const line = firstLine + countNewlines(source, itemOffset);
+                if (item.task) {
+                    tasks.push({ item, line });
+                }
+                collectTasks(item.tokens, item.text, line, tasks);
+            }
+        } else if (token.type === 'blockquote') {
+            collectTasks(token.tokens, token.text, firstLine + countNewlines(source, offset), tasks);
+        }
+    }
+};
+
+/**
+ * Lexes a note's content with marked and finds its task list items, so tasks are exactly the
+ * checkboxes that render: checkboxes in code blocks or HTML blocks are left out
+ * @returns The tokens, to render from, and the tasks in document order
+ */
+export const lexTasks = (content: string): { tokens: marked.TokensList; tasks: LexedTask[] } => {
+    const tokens = marked.lexer(content);
+    const tasks: LexedTask[] = [];
+    // marked reads CRLF as one line break, so dropping the CR keeps line numbers the same
+    collectTasks(tokens, content.replace(/\r\n/g, '\n'), 1, tasks);
+    return { tokens, tasks };
+};
+
+/**
+ * Lists the task list items in a note's content
+ * @returns The tasks in the order they appear
+ */
+export const extractTasks = (content: string): TaskItem[] => {
+    return lexTasks(content).tasks.map(({ item, line }) => ({
+        line,
+        text: item.text.split('\n', 1)[0].trim(),
+        done: item.checked === true
+    }));
+};
+
+/**
+ * Checks or unchecks the task on a line of a note's content
+ * @param line 1-based line number of the task
+ * @param done The new state; omit to flip the current one
+ * @returns The new content, or null when there is no task on that line
+ */
+export const setTaskDone = (content: string, line: number, done?: boolean): string | null => {
+    const task = extractTasks(content).find(item => item.line === line);
+    if (!task) return null;
+
+    const lines = content.split('\n');
+    if (!CHECKBOX_PATTERN.test(lines[line - 1])) return null;
+
+    const checked = done ?? !task.done;
+    lines[line - 1] = lines[line - 1].replace(CHECKBOX_PATTERN,
+        (_match, before: string, _mark: string, after: string) => `${before}${checked ? 'x' : ' '}${after}`);
+    return lines.join('\n');
+};
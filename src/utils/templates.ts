@@ -0,0 +1,40 @@
+// {{name}} placeholders; names may contain letters, digits, _, - and .
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Variables every template can use without them being supplied
+export const BUILT_IN_VARIABLES = ['date', 'time', 'datetime', 'conversation_id', 'title'];
+
+/**
+ * Lists the variables a template text uses
+ * @returns Each name once, in order of first appearance
+ */
+export const templateVariables = (...texts: string[]): string[] => {
+    const names = new Set<string>();
+    for (const text of texts) {
+        for (const match of text.matchAll(VARIABLE_PATTERN)) {
+            names.add(match[1]);
+        }
+    }
+    return [...names];
+};
+
+/**
+ * Values of the built-in variables for a note created now. title is added once the title is filled.
+ */
+export const builtInValues = (conversationId: string, now: Date = new Date()): Record<string, string> => {
+    const iso = now.toISOString();
+    return {
+        date: iso.slice(0, 10),
+        time: iso.slice(11, 16),
+        datetime: iso.replace(/\.\d{3}Z$/, 'Z'),
+        conversation_id: conversationId
+    };
+};
+
+/**
+ * Replaces {{name}} placeholders with their values, leaving unknown names as they are
+ */
+export const fillTemplate = (text: string, values: Record<string, string>): string => {
+    return text.replace(VARIABLE_PATTERN, (placeholder, name: string) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder);
+};
@@ -0,0 +1,74 @@
+// Words too common to say anything about what a note is about
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'done', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his',
+    'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like', 'may', 'me', 'more',
+    'most', 'much', 'must', 'my', 'need', 'new', 'no', 'not', 'now', 'of', 'on', 'one', 'only',
+    'or', 'other', 'our', 'out', 'over', 'same', 'see', 'she', 'should', 'so', 'some', 'still',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'to', 'too', 'up', 'us', 'use', 'used', 'very', 'was', 'we', 'were', 'what', 'when',
+    'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'yes', 'you', 'your'
+]);
+
+/**
+ * Splits text into lowercase words the way FTS5's default unicode61 tokenizer does
+ * (letters and digits, diacritics removed), so the words line up with notes_fts terms
+ */
+export const tokenize = (text: string): string[] => {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+/**
+ * Counts how often each meaningful word occurs in a note. Stop words, single characters and
+ * numbers are left out, and words in the title count double.
+ */
+export const termFrequencies = (title: string, content: string): Map<string, number> => {
+    const frequencies = new Map<string, number>();
+    const count = (text: string, weight: number) => {
+        for (const term of tokenize(text)) {
+            if (term.length < 2 || STOP_WORDS.has(term) || /^\d+$/.test(term)) continue;
+            frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        }
+    };
+    count(title, 2);
+    count(content, 1);
+    return frequencies;
+};
+
+/**
+ * Weighs term frequencies by how rare each term is across notes (TF-IDF)
+ * @param frequencies Term frequencies of one note
+ * @param documentFrequency Number of notes containing a term
+ * @param documentCount Number of notes in all
+ */
+export const tfIdf = (frequencies: Map<string, number>, documentFrequency: (term: string) => number, documentCount: number): Map<string, number> => {
+    const weights = new Map<string, number>();
+    for (const [term, frequency] of frequencies) {
+        weights.set(term, frequency * Math.log(1 + documentCount / Math.max(1, documentFrequency(term))));
+    }
+    return weights;
+};
+
+/**
+ * Cosine similarity of two term weight vectors, from 0 (no terms in common) to 1
+ */
+export const cosineSimilarity = (a: Map<string, number>, b: Map<string, number>): number => {
+    let dot = 0;
+    for (const [term, weight] of a) {
+        dot += weight * (b.get(term) || 0);
+    }
+    if (dot === 0) return 0;
+    const norm = (vector: Map<string, number>) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return dot / (norm(a) * norm(b));
+};
+
+/**
+ * The highest weighted terms, best first
+ */
+export const topTerms = (weights: Map<string, number>, count: number): string[] => {
+    return [...weights.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, count)
+        .map(([term]) => term);
+};
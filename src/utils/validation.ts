@@ -0,0 +1,91 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NextFunction, Request, RequestHandler, Response } from 'express';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+export interface FieldError {
+    field: string;
+    message: string;
+}
+
+/**
+ * Thrown when input does not match its schema, with one entry per invalid field
+ */
+export class ValidationError extends Error {
+    public readonly status = 400;
+    public readonly fields: FieldError[];
+
+    constructor(fields: FieldError[]) {
+        super(`Invalid input: ${fields.map(({ field, message }) => field ? `${field}: ${message}` : message).join('; ')}`);
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+/**
+ * Parses input against a schema
+ * @param schema The schema to apply
+ * @param input Untrusted input, e.g. a request body or tool arguments
+ * @returns The parsed value, with defaults and transforms applied
+ * @throws ValidationError listing every invalid field
+ */
+export const validate = <T extends z.ZodTypeAny>(schema: T, input: unknown): z.output<T> => {
+    const result = schema.safeParse(input);
+    if (!result.success) {
+        throw new ValidationError(result.error.issues.map(issue => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        })));
+    }
+    return result.data;
+};
+
+/**
+ * Converts a ValidationError into the McpError a tool call fails with, carrying the field errors as data
+ */
+export const invalidParams = (error: ValidationError): McpError =>
+    new McpError(ErrorCode.InvalidParams, error.message, { fields: error.fields });
+
+/**
+ * Parses MCP tool arguments against a schema
+ * @throws McpError with ErrorCode.InvalidParams and the field errors as data
+ */
+export const validateToolArguments = <T extends z.ZodTypeAny>(schema: T, args: unknown): z.output<T> => {
+    try {
+        return validate(schema, args ?? {});
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw invalidParams(error);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Express middleware that validates and replaces req.params, req.query and req.body.
+ * Invalid requests get a 400 response listing each invalid field.
+ */
+export const validateRequest = (schemas: { params?: z.ZodTypeAny; query?: z.ZodTypeAny; body?: z.ZodTypeAny }): RequestHandler => {
+    return (req: Request, res: Response, next: NextFunction) => {
+        try {
+            if (schemas.params) req.params = validate(schemas.params, req.params);
+            if (schemas.query) req.query = validate(schemas.query, req.query);
+            if (schemas.body) req.body = validate(schemas.body, req.body ?? {});
+            next();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                res.status(400).json({ error: error.message, fields: error.fields });
+                return;
+            }
+            next(error);
+        }
+    };
+};
+
+/**
+ * Converts a schema into the JSON Schema object advertised as an MCP tool inputSchema
+ */
+export const toInputSchema = (schema: z.ZodTypeAny): { type: 'object'; [key: string]: unknown } => {
+    const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' }) as Record<string, unknown>;
+    return { ...jsonSchema, type: 'object' };
+};
@@ -0,0 +1,91 @@
+// [[Target]] or [[Target|label]], where the target is a note title or #id
+const WIKI_LINK_SOURCE = '\\[\\[([^\\[\\]|\\n]+?)(?:\\|([^\\[\\]\\n]+?))?\\]\\]';
+
+// Fenced code blocks and inline code spans, where [[...]] is literal text
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)/;
+
+export interface WikiLinkToken {
+    type: 'wikiLink';
+    raw: string;
+    target: string;
+    label: string;
+}
+
+/**
+ * Reads the note id out of a [[#123]] target
+ * @returns The id, or null when the target is a title
+ */
+export const parseNoteIdTarget = (target: string): number | null => {
+    const match = /^#(\d+)$/.exec(target.trim());
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Whether [[title]] can link to a note with this title. Titles containing brackets,
+ * pipes or line breaks can only be linked by id.
+ */
+export const isLinkableTitle = (title: string): boolean => {
+    return title.trim() !== '' && !/[[\]|\n]/.test(title);
+};
+
+// Applies fn to the parts of the content outside code, leaving code untouched
+const mapOutsideCode = (content: string, fn: (text: string) => string): string => {
+    // split() with a capture group puts the code parts at odd indexes
+    return content.split(CODE_PATTERN).map((part, index) => index % 2 === 1 ? part : fn(part)).join('');
+};
+
+/**
+ * Lists the link targets in a note's content, ignoring links inside code
+ * @returns Each target once, compared case-insensitively, in order of first appearance
+ */
+export const extractWikiLinks = (content: string): string[] => {
+    const targets = new Map<string, string>();
+    mapOutsideCode(content, text => {
+        for (const match of text.matchAll(new RegExp(WIKI_LINK_SOURCE, 'g'))) {
+            const target = match[1].trim();
+            if (target && !targets.has(target.toLowerCase())) {
+                targets.set(target.toLowerCase(), target);
+            }
+        }
+        return text;
+    });
+    return [...targets.values()];
+};
+
+/**
+ * Rewrites link targets outside code, keeping each link's label
+ * @param replace Returns the new target, or null to leave the link as it is
+ */
+export const replaceWikiLinks = (content: string, replace: (target: string) => string | null): string => {
+    return mapOutsideCode(content, text => text.replace(new RegExp(WIKI_LINK_SOURCE, 'g'), (raw, target: string, label?: string) => {
+        const replacement = replace(target.trim());
+        if (replacement === null) return raw;
+        return label !== undefined ? `[[${replacement}|${label}]]` : `[[${replacement}]]`;
+    }));
+};
+
+/**
+ * marked inline extension that turns [[...]] into a wikiLink token
+ * @param render Renders a token as HTML
+ */
+export const wikiLinkExtension = (render: (token: WikiLinkToken) => string) => ({
+    name: 'wikiLink',
+    level: 'inline' as const,
+    start(src: string) {
+        const index = src.indexOf('[[');
+        return index >= 0 ? index : undefined;
+    },
+    tokenizer(src: string): WikiLinkToken | undefined {
+        const match = new RegExp(`^${WIKI_LINK_SOURCE}`).exec(src);
+        if (!match || !match[1].trim()) return undefined;
+        return {
+            type: 'wikiLink',
+            raw: match[0],
+            target: match[1].trim(),
+            label: (match[2] ?? match[1]).trim()
+        };
+    },
+    renderer(token: any) {
+        return render(token as WikiLinkToken);
+    }
+});
@@ -19,6 +19,13 @@ interface TagUpdate {
     note_count?: number;
 }
 
+interface NotesBatch {
+    action: 'created' | 'updated' | 'deleted' | 'restored' | 'purged';
+    notes: any[];
+    conversations: ConversationUpdate[];
+    tags: TagUpdate[];
+}
+
 class NotesWebSocketServer {
     private webSocketServer: WebSocketServer | null = null;
     private connections = new Set<WebSocket>();
@@ -109,6 +116,20 @@ class NotesWebSocketServer {
         });
     }
 
+    // Method to broadcast a whole batch operation as one message instead of one per note
+    public broadcastNotesBatch(batch: NotesBatch) {
+        const message: WebSocketMessage = {
+            type: 'notes_batch',
+            payload: batch
+        };
+
+        this.connections.forEach(ws => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(message));
+            }
+        });
+    }
+
     public getClients(): Set<WebSocket> {
         return this.connections;
     }